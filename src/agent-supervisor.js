@@ -0,0 +1,190 @@
+// Budgets and cancellation for Task sub-agents
+// Every running sub-agent is registered here with its own AbortController, linked to
+// the parent's so that interrupting the turn stops it, while stopping one agent leaves
+// the parent and the other agents running. Limits come from "agentBudget" in
+// settings.json and can be overridden per agent type with max-tokens, max-cost and
+// max-duration (seconds) in its frontmatter:
+//   { "agentBudget": { "maxTokens": 500000, "maxCostUSD": 2, "maxDurationSeconds": 900 } }
+// Tokens count everything each API call processed (input, output and cache), summed
+// over the agent's turns. A tripped limit stops the agent after its current step and
+// returns what it produced so far.
+// Agents belong to the session that started them, so under `claude serve` a session
+// can only list and stop its own agents.
+
+import { randomUUID } from "crypto";
+import { dR2 } from "./api-system.js";
+
+const BUDGET_KEYS = ["maxTokens", "maxCostUSD", "maxDurationSeconds"];
+
+const runningAgents = new Map();
+
+// Validate a budget value from settings or frontmatter; null means no limit
+export function parseBudgetValue(value, name) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`Invalid ${name} "${value}": expected a positive number`);
+  }
+  return number;
+}
+
+// Settings limits, overridden by the agent type's own limits
+export function resolveAgentBudget(agentType) {
+  const settings = kQ().agentBudget ?? {};
+  const budget = {};
+  for (const key of BUDGET_KEYS) {
+    budget[key] = agentType.budget?.[key] ?? parseBudgetValue(settings[key], `agentBudget.${key}`);
+  }
+  return budget;
+}
+
+// MODEL_PRICING is keyed by model family
+function getPricingModel(model = "") {
+  if (model.includes("haiku")) {
+    return "claude-3-haiku";
+  }
+  if (model.includes("opus")) {
+    return "claude-3-opus";
+  }
+  return "claude-3-sonnet";
+}
+
+export function getUsageTokens(usage) {
+  return (usage.cache_creation_input_tokens ?? 0) +
+    (usage.cache_read_input_tokens ?? 0) +
+    usage.input_tokens +
+    usage.output_tokens;
+}
+
+function getExceededLimit({ tokens, costUSD, durationMs }, budget) {
+  if (budget.maxTokens && tokens >= budget.maxTokens) {
+    return `token limit of ${budget.maxTokens.toLocaleString()} reached`;
+  }
+  if (budget.maxCostUSD && costUSD >= budget.maxCostUSD) {
+    return `cost limit of $${budget.maxCostUSD.toFixed(2)} reached`;
+  }
+  if (budget.maxDurationSeconds && durationMs >= budget.maxDurationSeconds * 1000) {
+    return `time limit of ${budget.maxDurationSeconds}s reached`;
+  }
+  return null;
+}
+
+// Register a sub-agent and return its handle. Call finish() when it is done.
+export function startSupervisedAgent({ label, description, agentType, parentAbortController, sessionId = PB() }) {
+  const abortController = new AbortController();
+  const budget = resolveAgentBudget(agentType);
+  const agent = {
+    id: randomUUID().slice(0, 8),
+    sessionId,
+    label,
+    description,
+    agentType: agentType.name,
+    budget,
+    startedAt: Date.now(),
+    usage: { tokens: 0, costUSD: 0, durationMs: 0 },
+    stopReason: null,
+    abortController,
+    // Usage is reported on every content block of a response; count each response once
+    countedResponseIds: new Set()
+  };
+
+  const stop = (reason) => {
+    if (!abortController.signal.aborted) {
+      agent.stopReason = reason;
+      abortController.abort();
+    }
+  };
+  const onParentAbort = () => stop("interrupted");
+  parentAbortController.signal.addEventListener("abort", onParentAbort);
+  if (parentAbortController.signal.aborted) {
+    onParentAbort();
+  }
+
+  const timer = budget.maxDurationSeconds
+    ? setTimeout(() => stop(`time limit of ${budget.maxDurationSeconds}s reached`), budget.maxDurationSeconds * 1000)
+    : null;
+  timer?.unref?.();
+
+  agent.stop = stop;
+  runningAgents.set(agent.id, agent);
+
+  return {
+    id: agent.id,
+    sessionId,
+    abortController,
+    budget,
+
+    // Add an assistant message's usage and stop the agent once a limit is reached
+    recordAssistantMessage(message) {
+      const { id, model, usage } = message.message;
+      if (usage && !agent.countedResponseIds.has(id)) {
+        agent.countedResponseIds.add(id);
+        agent.usage.tokens += getUsageTokens(usage);
+        agent.usage.costUSD += dR2(getPricingModel(model), usage).finalCostUSD;
+      }
+      agent.usage.durationMs = Date.now() - agent.startedAt;
+
+      const exceeded = getExceededLimit(agent.usage, budget);
+      if (exceeded) {
+        stop(exceeded);
+      }
+      return { ...agent.usage };
+    },
+
+    get usage() {
+      return { ...agent.usage, durationMs: Date.now() - agent.startedAt };
+    },
+
+    // Why the agent stopped early, or null. "interrupted" means the parent was aborted.
+    get stopReason() {
+      return agent.stopReason;
+    },
+
+    finish() {
+      clearTimeout(timer);
+      parentAbortController.signal.removeEventListener("abort", onParentAbort);
+      runningAgents.delete(agent.id);
+    }
+  };
+}
+
+export function isAgentRunning(id) {
+  return runningAgents.has(id);
+}
+
+// Running agents of one session
+export function listRunningAgents(sessionId = PB()) {
+  return [...runningAgents.values()].filter((agent) => agent.sessionId === sessionId).map((agent) => ({
+    id: agent.id,
+    label: agent.label,
+    description: agent.description,
+    agentType: agent.agentType,
+    tokens: agent.usage.tokens,
+    costUSD: agent.usage.costUSD,
+    durationMs: Date.now() - agent.startedAt,
+    budget: agent.budget
+  }));
+}
+
+// Stop one agent without touching its parent or siblings. Agents of other sessions
+// are reported as not running.
+export function stopAgent(id, { reason = "stopped by user", sessionId = PB() } = {}) {
+  const agent = runningAgents.get(id);
+  if (!agent || agent.sessionId !== sessionId) {
+    throw new Error(`No running agent ${id}`);
+  }
+  agent.stop(reason);
+  return { id, label: agent.label, stopped: true };
+}
+
+// "12,345 tokens · $0.0412 · 31.2s", with the limits that apply
+export function formatAgentUsage({ tokens, costUSD, durationMs }, budget = {}) {
+  const limit = (value) => (value ? ` / ${value}` : "");
+  return [
+    `${tokens.toLocaleString()}${limit(budget.maxTokens?.toLocaleString())} tokens`,
+    `$${costUSD.toFixed(4)}${limit(budget.maxCostUSD && `$${budget.maxCostUSD.toFixed(2)}`)}`,
+    `${(durationMs / 1000).toFixed(1)}s${limit(budget.maxDurationSeconds && `${budget.maxDurationSeconds}s`)}`
+  ].join(" · ");
+}
@@ -0,0 +1,212 @@
+// Sub-agent types for the Task tool
+// Agent types are markdown files with frontmatter under ~/.claude/agents/ (user) and
+// <project>/.claude/agents/ (project). Project types override user types, which
+// override the built-in ones of the same name:
+//
+//   ---
+//   name: test-runner
+//   description: Runs the test suite and reports failures
+//   tools: Read, Grep, Glob, Bash(npm test:*)
+//   disallowed-tools: Bash(npm test -- --updateSnapshot:*)
+//   model: claude-3-5-haiku-20241022
+//   max-turns: 20
+//   max-cost: 0.50
+//   ---
+//   You run tests. Report each failing test with its file, name and error.
+//
+// `tools` uses the --allowedTools syntax. A tool listed with rule content, such as
+// Bash(npm test:*), is only allowed for calls matching one of its rules; every
+// subcommand of a Bash command must match one. `disallowed-tools` uses the
+// --disallowedTools syntax and wins over `tools`.
+// max-tokens, max-cost (USD) and max-duration (seconds) override agentBudget from
+// settings for agents of this type.
+
+import { existsSync, readdirSync, readFileSync } from "fs";
+import { homedir } from "os";
+import { basename, join } from "path";
+import { parseFrontmatter, parseToolList } from "./tools-checkpoint.js";
+import { ToolPermissionManager } from "./tool-permissions.js";
+import { parseBudgetValue } from "./agent-supervisor.js";
+import { parseCommandList } from "./command-parser.js";
+
+export const DEFAULT_AGENT_TYPE = "general-purpose";
+
+const BUILTIN_AGENT_TYPES = [
+  {
+    name: DEFAULT_AGENT_TYPE,
+    description: "General-purpose agent for researching questions, searching code and multi-step tasks",
+    tools: null,
+    systemPrompt: null,
+    model: null,
+    maxTurns: null
+  },
+  {
+    name: "test-runner",
+    description: "Runs tests and reports failures without changing code",
+    tools: ["Read", "Grep", "Glob", "LS", "Bash(npm test:*)", "Bash(npm run test:*)", "Bash(yarn test:*)", "Bash(pnpm test:*)", "Bash(pytest:*)", "Bash(go test:*)", "Bash(cargo test:*)"],
+    systemPrompt: "You are a test runner. Run the tests the task asks for, then report each failure with its file, test name and the relevant error output. Do not modify any files. If everything passes, say so in one line.",
+    model: null,
+    maxTurns: 20
+  },
+  {
+    name: "reviewer",
+    description: "Reviews code changes and reports problems without editing files",
+    tools: ["Read", "Grep", "Glob", "LS", "Bash(git diff:*)", "Bash(git log:*)", "Bash(git show:*)", "Bash(git status:*)"],
+    // git's --output=<file> and shell redirection would let the reviewer write files
+    disallowedTools: ["Bash(/git\\s+(diff|log|show)(\\s.*)?\\s--output(=.*|\\s.*)?/)", "Bash(/.*>(?!&\\d).*/)"],
+    systemPrompt: "You are a code reviewer. Read the changes the task points at and report concrete problems: bugs, missing error handling, security issues and inconsistencies with the surrounding code. Cite file paths and line numbers. Do not modify any files.",
+    model: null,
+    maxTurns: 30
+  },
+  {
+    name: "doc-writer",
+    description: "Writes and updates documentation files",
+    tools: ["Read", "Grep", "Glob", "LS", "Edit(**/*.md)", "Write(**/*.md)", "MultiEdit(**/*.md)"],
+    systemPrompt: "You are a documentation writer. Read the code the task refers to and write or update the documentation it asks for. Only edit markdown files. Match the tone and structure of the existing docs.",
+    model: null,
+    maxTurns: 30
+  }
+];
+
+function getAgentDirectories() {
+  return [
+    { source: "user", path: join(homedir(), ".claude", "agents") },
+    { source: "project", path: join(process.cwd(), ".claude", "agents") }
+  ];
+}
+
+// Parse one agent file. The name defaults to the file name without .md.
+export function parseAgentFile(content, filePath, source) {
+  const { frontmatter, content: body } = parseFrontmatter(content);
+  const maxTurns = frontmatter["max-turns"] ?? frontmatter.maxTurns;
+  const agentType = {
+    name: frontmatter.name || basename(filePath, ".md"),
+    description: frontmatter.description || body.trim().split("\n")[0] || "",
+    tools: frontmatter.tools ? parseToolList([frontmatter.tools]) : null,
+    disallowedTools: frontmatter["disallowed-tools"] ? parseToolList([frontmatter["disallowed-tools"]]) : null,
+    systemPrompt: body.trim() || null,
+    model: frontmatter.model || null,
+    maxTurns: maxTurns ? Number(maxTurns) : null,
+    budget: {
+      maxTokens: parseBudgetValue(frontmatter["max-tokens"], `max-tokens in ${filePath}`),
+      maxCostUSD: parseBudgetValue(frontmatter["max-cost"], `max-cost in ${filePath}`),
+      maxDurationSeconds: parseBudgetValue(frontmatter["max-duration"], `max-duration in ${filePath}`)
+    },
+    source,
+    filePath
+  };
+
+  if (agentType.maxTurns !== null && (!Number.isInteger(agentType.maxTurns) || agentType.maxTurns < 1)) {
+    throw new Error(`Invalid max-turns "${maxTurns}" in ${filePath}: expected a positive integer`);
+  }
+  return agentType;
+}
+
+// Load every agent type, keyed by name. Invalid files are logged and skipped.
+export function loadAgentTypes() {
+  const agentTypes = new Map(BUILTIN_AGENT_TYPES.map((agentType) => [agentType.name, { ...agentType, source: "built-in" }]));
+
+  for (const { source, path } of getAgentDirectories()) {
+    if (!existsSync(path)) {
+      continue;
+    }
+    for (const fileName of readdirSync(path).filter((name) => name.endsWith(".md")).sort()) {
+      const filePath = join(path, fileName);
+      try {
+        const agentType = parseAgentFile(readFileSync(filePath, "utf8"), filePath, source);
+        agentTypes.set(agentType.name, agentType);
+      } catch (error) {
+        h1(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  }
+
+  return agentTypes;
+}
+
+export function getAgentType(name = DEFAULT_AGENT_TYPE) {
+  const agentTypes = loadAgentTypes();
+  const agentType = agentTypes.get(name);
+  if (!agentType) {
+    throw new Error(`Unknown subagent_type "${name}". Available agent types: ${[...agentTypes.keys()].join(", ")}`);
+  }
+  return agentType;
+}
+
+// Restrict a tool to the calls matching its allowed rules (null allows every call),
+// e.g. Bash(npm test:*), and none of its denied rules
+function restrictTool(tool, allowedRuleContents, deniedRuleContents) {
+  const permissionManager = new ToolPermissionManager();
+  const matchesAllowed = (input) => allowedRuleContents.some((ruleContent) =>
+    ruleContent === null || permissionManager.matchRuleContent(tool.name, ruleContent, input));
+
+  // Each subcommand may match a different rule, e.g. "git diff && git log"
+  const isAllowed = (input) => tool.name === "Bash" && !allowedRuleContents.includes(null)
+    ? parseCommandList(input.command).every((command) => matchesAllowed({ ...input, command }))
+    : matchesAllowed(input);
+
+  return {
+    ...tool,
+    async checkPermissions(input, context) {
+      const deniedRule = deniedRuleContents.find((ruleContent) =>
+        permissionManager.matchRuleContent(tool.name, ruleContent, input, "some"));
+      if (deniedRule !== undefined) {
+        return {
+          behavior: "deny",
+          message: `This agent may not use ${tool.name} for: ${deniedRule}`
+        };
+      }
+      if (!isAllowed(input)) {
+        return {
+          behavior: "deny",
+          message: `This agent may only use ${tool.name} for: ${allowedRuleContents.join(", ")}`
+        };
+      }
+      return tool.checkPermissions(input, context);
+    }
+  };
+}
+
+// Group "Tool" and "Tool(content)" entries by tool name; a bare name becomes null
+function groupRulesByTool(entries) {
+  const rulesByTool = new Map();
+  for (const entry of entries ?? []) {
+    const { toolName, ruleContent } = new ToolPermissionManager().parseToolRule(entry);
+    if (!rulesByTool.has(toolName)) {
+      rulesByTool.set(toolName, []);
+    }
+    rulesByTool.get(toolName).push(ruleContent ?? null);
+  }
+  return rulesByTool;
+}
+
+// Narrow the parent's tool set to what the agent type allows
+export function resolveAgentTools(agentType, tools) {
+  if (!agentType.tools && !agentType.disallowedTools) {
+    return tools;
+  }
+
+  const allowedRules = groupRulesByTool(agentType.tools);
+  const deniedRules = groupRulesByTool(agentType.disallowedTools);
+
+  return tools
+    .filter((tool) => !agentType.tools || allowedRules.has(tool.name))
+    .filter((tool) => !deniedRules.get(tool.name)?.includes(null))
+    .map((tool) => {
+      // A bare tool name allows every call, even when rules are listed too
+      const allowedRuleContents = allowedRules.get(tool.name) ?? [null];
+      const deniedRuleContents = deniedRules.get(tool.name) ?? [];
+      return allowedRuleContents.includes(null) && deniedRuleContents.length === 0
+        ? tool
+        : restrictTool(tool, allowedRuleContents, deniedRuleContents);
+    });
+}
+
+// Appended to the Task tool prompt so the model knows which types exist
+export function formatAgentTypesForPrompt() {
+  const lines = [...loadAgentTypes().values()].map((agentType) => {
+    const tools = agentType.tools ? agentType.tools.join(", ") : "all tools";
+    return `- ${agentType.name}: ${agentType.description} (Tools: ${tools})`;
+  });
+  return `Available agent types for the subagent_type parameter (default: ${DEFAULT_AGENT_TYPE}):\n${lines.join("\n")}`;
+}
@@ -0,0 +1,380 @@
+// Git worktree isolation for parallel Task agents
+// With "parallelTasksIsolation": "worktree", each parallel agent works in its own
+// temporary worktree on a throwaway branch (claude/agent-<run>-<n>), based on the
+// current HEAD plus any uncommitted changes to tracked files. Once the agents finish,
+// their changes are committed on their branches and the user picks which to merge
+// back into the working tree with /agents.
+// Agents get their tools bound to their worktree (bindToolsToWorktree): relative paths
+// resolve inside it, file writes outside it are denied and Bash runs in a sandbox that
+// can only write to the worktree and a private TMPDIR next to it.
+
+import { randomUUID } from "crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, unlinkSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { dirname, isAbsolute, join, relative, resolve } from "path";
+import { ToolPermissionManager } from "./tool-permissions.js";
+import { createSandbox, getSandboxBackend, quoteForShell } from "./sandbox-security.js";
+
+export const AGENT_WORKTREE_ROOT = join(tmpdir(), "claude-worktrees");
+const RUN_FILE = "run.json";
+// Run IDs are the first 8 hex digits of a UUID; anything else could escape AGENT_WORKTREE_ROOT
+const RUN_ID_PATTERN = /^[0-9a-f]{8}$/;
+
+async function git(args, cwd) {
+  const { code, stdout, stderr } = await N3("git", args, { cwd });
+  if (code !== 0) {
+    throw new Error(`git ${args[0]} failed: ${stderr.trim() || stdout.trim()}`);
+  }
+  return stdout.trim();
+}
+
+function getRunDirectory(runId) {
+  return join(AGENT_WORKTREE_ROOT, runId);
+}
+
+function saveAgentRun(run) {
+  writeFileSync(join(getRunDirectory(run.runId), RUN_FILE), JSON.stringify(run, null, 2), "utf8");
+}
+
+// Also guards discardAgentRun, which loads the run before removing its directory
+export function loadAgentRun(runId) {
+  if (!RUN_ID_PATTERN.test(runId)) {
+    throw new Error(`Invalid agent run ID: ${runId}. Run /agents to list runs.`);
+  }
+  const runFile = join(getRunDirectory(runId), RUN_FILE);
+  if (!existsSync(runFile)) {
+    throw new Error(`No agent run ${runId}. Run /agents to list runs.`);
+  }
+  return JSON.parse(readFileSync(runFile, "utf8"));
+}
+
+// Runs for the current repository, newest first
+export function listAgentRuns(gitRoot) {
+  if (!existsSync(AGENT_WORKTREE_ROOT)) {
+    return [];
+  }
+  return readdirSync(AGENT_WORKTREE_ROOT)
+    .filter((runId) => RUN_ID_PATTERN.test(runId) && existsSync(join(getRunDirectory(runId), RUN_FILE)))
+    .map((runId) => loadAgentRun(runId))
+    .filter((run) => !gitRoot || run.gitRoot === gitRoot)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Create one worktree per agent. `git stash create` snapshots uncommitted changes
+// to tracked files without touching the working tree; untracked files are not copied.
+export async function createAgentRun({ gitRoot, count, description }) {
+  const runId = randomUUID().slice(0, 8);
+  const baseCommit = await git(["stash", "create"], gitRoot) || await git(["rev-parse", "HEAD"], gitRoot);
+  mkdirSync(getRunDirectory(runId), { recursive: true });
+
+  const run = {
+    runId,
+    gitRoot,
+    description,
+    baseCommit,
+    createdAt: new Date().toISOString(),
+    agents: []
+  };
+
+  try {
+    for (let index = 0; index < count; index++) {
+      const number = index + 1;
+      const branch = `claude/agent-${runId}-${number}`;
+      const path = join(getRunDirectory(runId), `agent-${number}`);
+      await git(["worktree", "add", "-b", branch, path, baseCommit], gitRoot);
+      run.agents.push({ number, branch, path, status: "running", commit: null, changedFiles: [], shortstat: "" });
+    }
+  } catch (error) {
+    saveAgentRun(run);
+    await discardAgentRun(runId);
+    throw error;
+  }
+
+  saveAgentRun(run);
+  return run;
+}
+
+// Commit whatever each agent left in its worktree and record what changed
+export async function finalizeAgentRun(run, statuses = {}) {
+  for (const agent of run.agents) {
+    agent.status = statuses[agent.number] ?? "completed";
+    if (!existsSync(agent.path)) {
+      agent.status = "missing";
+      continue;
+    }
+
+    await git(["add", "-A"], agent.path);
+    if (await git(["status", "--porcelain"], agent.path)) {
+      await git(["-c", "user.name=Claude", "-c", "user.email=noreply@anthropic.com", "commit", "--no-verify", "-m", `Agent ${agent.number}: ${run.description}`], agent.path);
+    }
+    agent.commit = await git(["rev-parse", "HEAD"], agent.path);
+    agent.changedFiles = (await git(["diff", "--name-only", "--no-renames", run.baseCommit, agent.commit], run.gitRoot)).split("\n").filter(Boolean);
+    agent.shortstat = await git(["diff", "--shortstat", run.baseCommit, agent.commit], run.gitRoot);
+  }
+
+  saveAgentRun(run);
+  return run;
+}
+
+function getAgent(run, number) {
+  const agent = run.agents.find((candidate) => candidate.number === Number(number));
+  if (!agent) {
+    throw new Error(`Agent run ${run.runId} has no agent ${number}. Agents: ${run.agents.map((candidate) => candidate.number).join(", ")}`);
+  }
+  if (!agent.commit) {
+    throw new Error(`Agent ${number} of run ${run.runId} has not finished`);
+  }
+  return agent;
+}
+
+export async function getAgentDiff(runId, number) {
+  const run = loadAgentRun(runId);
+  const agent = getAgent(run, number);
+  return git(["diff", run.baseCommit, agent.commit], run.gitRoot);
+}
+
+async function readRevisionFile(run, revision, path) {
+  const { code, stdout } = await N3("git", ["show", `${revision}:${path}`], { cwd: run.gitRoot });
+  return code === 0 ? stdout : null;
+}
+
+// Files git reports as binary ("-" line counts in --numstat) between the base and the agent's commit
+async function getBinaryFiles(run, agent) {
+  const numstat = await git(["diff", "--numstat", "-z", "--no-renames", run.baseCommit, agent.commit], run.gitRoot);
+  return new Set(numstat.split("\0")
+    .filter((entry) => entry.startsWith("-\t-\t"))
+    .map((entry) => entry.slice(4)));
+}
+
+// Three-way merge of each changed file into the working tree, which may have local
+// edits. Returns the files left with conflict markers, or kept locally: deletions and
+// binary files, which can't be merged as text.
+async function mergeAgentFiles(run, agent) {
+  const conflicts = [];
+  const binaryFiles = await getBinaryFiles(run, agent);
+  const mergeDirectory = join(getRunDirectory(run.runId), `merge-${agent.number}`);
+  mkdirSync(mergeDirectory, { recursive: true });
+
+  try {
+    for (const [index, path] of agent.changedFiles.entries()) {
+      if (binaryFiles.has(path)) {
+        conflicts.push(path);
+        continue;
+      }
+      const base = await readRevisionFile(run, run.baseCommit, path);
+      const theirs = await readRevisionFile(run, agent.commit, path);
+      const target = join(run.gitRoot, path);
+      const current = existsSync(target) ? readFileSync(target, "utf8") : null;
+
+      if (current === theirs) {
+        continue;
+      }
+      if (current === base) {
+        if (theirs === null) {
+          unlinkSync(target);
+        } else {
+          mkdirSync(dirname(target), { recursive: true });
+          writeFileSync(target, theirs, "utf8");
+        }
+        continue;
+      }
+      if (theirs === null) {
+        // Deleted by the agent but changed locally: keep the local file
+        conflicts.push(path);
+        continue;
+      }
+
+      const baseFile = join(mergeDirectory, `${index}.base`);
+      const theirsFile = join(mergeDirectory, `${index}.theirs`);
+      writeFileSync(baseFile, base ?? "", "utf8");
+      writeFileSync(theirsFile, theirs, "utf8");
+      if (current === null) {
+        mkdirSync(dirname(target), { recursive: true });
+        writeFileSync(target, "", "utf8");
+      }
+      const { code } = await N3("git", ["merge-file", "-L", "working tree", "-L", "base", "-L", `agent ${agent.number}`, target, baseFile, theirsFile], { cwd: run.gitRoot });
+      if (code !== 0) {
+        conflicts.push(path);
+      }
+    }
+  } finally {
+    rmSync(mergeDirectory, { recursive: true, force: true });
+  }
+
+  return conflicts;
+}
+
+// Apply the chosen agents' changes to the main working tree, in order. When a patch
+// doesn't apply cleanly, files are merged one by one and conflicts are left marked.
+export async function mergeAgentChanges(runId, numbers) {
+  const run = loadAgentRun(runId);
+  const results = [];
+
+  for (const number of numbers) {
+    const agent = getAgent(run, number);
+    if (agent.changedFiles.length === 0) {
+      results.push({ number: agent.number, status: "empty", conflicts: [] });
+      continue;
+    }
+
+    const patchFile = join(getRunDirectory(runId), `agent-${agent.number}.patch`);
+    writeFileSync(patchFile, `${await git(["diff", "--binary", "--no-renames", run.baseCommit, agent.commit], run.gitRoot)}\n`, "utf8");
+    try {
+      const { code: checkCode } = await N3("git", ["apply", "--check", patchFile], { cwd: run.gitRoot });
+      if (checkCode === 0) {
+        await git(["apply", patchFile], run.gitRoot);
+        results.push({ number: agent.number, status: "applied", conflicts: [] });
+        continue;
+      }
+
+      const conflicts = await mergeAgentFiles(run, agent);
+      results.push({ number: agent.number, status: conflicts.length > 0 ? "conflicts" : "applied", conflicts });
+    } catch (error) {
+      results.push({ number: agent.number, status: "failed", conflicts: [], error: error.message });
+    } finally {
+      unlinkSync(patchFile);
+    }
+  }
+
+  return results;
+}
+
+// Remove the run's worktrees and branches
+export async function discardAgentRun(runId) {
+  const run = loadAgentRun(runId);
+  for (const agent of run.agents) {
+    await N3("git", ["worktree", "remove", "--force", agent.path], { cwd: run.gitRoot });
+    await N3("git", ["branch", "-D", agent.branch], { cwd: run.gitRoot });
+  }
+  await N3("git", ["worktree", "prune"], { cwd: run.gitRoot });
+  rmSync(getRunDirectory(runId), { recursive: true, force: true });
+  return run;
+}
+
+const PATH_INPUT_KEYS = ["file_path", "notebook_path", "path"];
+const SEARCH_TOOLS = ["Glob", "Grep", "LS"];
+
+function isInsideDirectory(path, directory) {
+  const relativePath = relative(directory, path);
+  return relativePath === "" || (!relativePath.startsWith("..") && !isAbsolute(relativePath));
+}
+
+function isReadOnlyCall(tool, input) {
+  try {
+    return tool.isReadOnly(input) === true;
+  } catch {
+    return false;
+  }
+}
+
+// Wrap one tool so every call runs against the agent's worktree
+function bindToolToWorktree(tool, worktreePath, gitRoot) {
+  const permissionManager = new ToolPermissionManager();
+  const worktreeRoot = permissionManager.normalizeInputPath(worktreePath);
+
+  // Relative paths resolve inside the worktree; search tools default to it
+  const bindInput = (input) => {
+    const pathKey = PATH_INPUT_KEYS.find((key) => typeof input[key] === "string");
+    if (pathKey) {
+      return { ...input, [pathKey]: resolve(worktreeRoot, input[pathKey]) };
+    }
+    return SEARCH_TOOLS.includes(tool.name) ? { ...input, path: worktreeRoot } : input;
+  };
+
+  // The same path in the main tree, so project-relative permission rules still apply
+  const toMainTree = (input) => {
+    const pathKey = PATH_INPUT_KEYS.find((key) => typeof input[key] === "string");
+    const path = pathKey && permissionManager.normalizeInputPath(input[pathKey]);
+    return path && isInsideDirectory(path, worktreeRoot)
+      ? { ...input, [pathKey]: join(gitRoot, relative(worktreeRoot, path)) }
+      : input;
+  };
+
+  const checkWrite = (input) => {
+    if (tool.name === "Bash") {
+      return isReadOnlyCall(tool, input) || getSandboxBackend()
+        ? null
+        : "Sandboxing is not available on this system, so agents in worktrees may only run read-only commands";
+    }
+    if (isReadOnlyCall(tool, input)) {
+      return null;
+    }
+    const pathKey = PATH_INPUT_KEYS.find((key) => typeof input[key] === "string");
+    if (pathKey && !isInsideDirectory(permissionManager.normalizeInputPath(input[pathKey]), worktreeRoot)) {
+      return `This agent may only change files inside its worktree ${worktreeRoot}`;
+    }
+    return null;
+  };
+
+  return {
+    ...tool,
+    async checkPermissions(input, context) {
+      const boundInput = bindInput(input);
+      const writeError = checkWrite(boundInput);
+      if (writeError) {
+        return { behavior: "deny", message: writeError };
+      }
+
+      const permissionContext = context.getToolPermissionContext();
+      for (const behavior of ["deny", "ask"]) {
+        const rule = permissionManager.findMatchingRule(permissionContext, tool, behavior, toMainTree(boundInput));
+        if (rule) {
+          return {
+            behavior,
+            message: `Rule ${permissionManager.describeRule(rule)} applies to ${tool.name} in the agent's worktree.`,
+            decisionReason: { type: "rule", rule }
+          };
+        }
+      }
+      return tool.checkPermissions(boundInput, context);
+    },
+    async *call(input, ...rest) {
+      const boundInput = bindInput(input);
+      const writeError = checkWrite(boundInput);
+      if (writeError) {
+        throw new Error(writeError);
+      }
+      if (tool.name !== "Bash") {
+        yield* tool.call(boundInput, ...rest);
+        return;
+      }
+
+      // Run in a subshell so the shell's own working directory stays where it was
+      const command = `cd ${quoteForShell(worktreeRoot)} && ${boundInput.command}`;
+      if (isReadOnlyCall(tool, boundInput)) {
+        yield* tool.call({ ...boundInput, command: `(${command}\n)` }, ...rest);
+        return;
+      }
+
+      // Bash writes are confined by the sandbox to the worktree and the agent's own TMPDIR
+      const agentTmp = `${worktreeRoot}.tmp`;
+      mkdirSync(agentTmp, { recursive: true });
+      const sandbox = createSandbox({ allowFileWrite: true, allowedWritePaths: [worktreeRoot, agentTmp], allowNetworking: true });
+      try {
+        yield* tool.call({ ...boundInput, command: `eval ${sandbox.wrapCommand(`export TMPDIR=${quoteForShell(agentTmp)} && ${command}`)}` }, ...rest);
+      } finally {
+        sandbox.cleanup();
+      }
+    }
+  };
+}
+
+export function bindToolsToWorktree(tools, worktree, gitRoot) {
+  return tools.map((tool) => bindToolToWorktree(tool, worktree.path, gitRoot));
+}
+
+// Appended to each agent's prompt so it stays inside its worktree
+export function formatWorktreeInstructions(agent) {
+  return `You are working in an isolated git worktree at ${agent.path} on branch ${agent.branch}. Other agents are trying different approaches to the same task in their own worktrees. Make all file changes under ${agent.path} and run commands from that directory. Do not commit; your changes are collected when you finish.`;
+}
+
+export function formatAgentRun(run) {
+  const lines = [`Run ${run.runId} · ${run.description} · ${new Date(run.createdAt).toLocaleString()}`];
+  for (const agent of run.agents) {
+    const changes = agent.commit
+      ? agent.shortstat || "no changes"
+      : agent.status;
+    lines.push(`  Agent ${agent.number} (${agent.branch}): ${changes}`);
+  }
+  return lines.join("\n");
+}
@@ -1,16 +1,52 @@
 // Background Shell Management System
 // Reconstructed from cli.js lines 1577-1586
 
+const vm = require('vm');
+const { getScopedSessionId } = require('./session-context.js');
+
+// Cap on buffered output per stream; older output is dropped first
+const MAX_BUFFERED_OUTPUT = 5 * 1024 * 1024;
+
+// Reader used by the model-facing BashOutput tool
+const DEFAULT_OUTPUT_READER = "agent";
+
+// Filters come from the model, so a pathological pattern must not hang the process
+const OUTPUT_FILTER_TIMEOUT_MS = 1000;
+
+// Keep only the lines matching the filter. Runs under a vm timeout, which also
+// interrupts a regular expression that backtracks catastrophically.
+function filterOutputLines(A, B) {
+    try {
+        return vm.runInNewContext(
+            'text.split("\\n").filter((line) => { filter.lastIndex = 0; return filter.test(line); }).join("\\n")',
+            { text: A, filter: B },
+            { timeout: OUTPUT_FILTER_TIMEOUT_MS }
+        );
+    } catch (Q) {
+        if (Q?.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+            throw new Error(`Filter ${B} took longer than ${OUTPUT_FILTER_TIMEOUT_MS}ms to match the output; use a simpler pattern`);
+        }
+        throw Q;
+    }
+}
+
 // Background Shell class
 class dM2 {
     id;
+    // Served session that started the shell; undefined in the interactive CLI
+    sessionId;
     command;
     startTime;
+    endTime;
     status;
     result;
     shellCommand;
     stdout = "";
     stderr = "";
+    // Output dropped from the front of each buffer, so read offsets stay absolute
+    droppedOutput = { stdout: 0, stderr: 0 };
+    // Per-reader positions so the agent and the /bashes panel read independently
+    readOffsets = new Map;
     
     constructor(A, B, Q, D) {
         this.id = A;
@@ -27,14 +63,15 @@ class dM2 {
             this.result = { code: 1, interrupted: false };
         } else {
             I.stdoutStream.on("data", (G) => {
-                this.stdout += G.toString();
+                this.appendOutput("stdout", G.toString());
             });
             
             I.stderrStream.on("data", (G) => {
-                this.stderr += G.toString();
+                this.appendOutput("stderr", G.toString());
             });
             
             Q.result.then((G) => {
+                this.endTime = Date.now();
                 if (G.code === 0) {
                     this.status = "completed";
                 } else {
@@ -49,18 +86,44 @@ class dM2 {
         }
     }
     
-    getOutput() {
-        let A = { stdout: this.stdout, stderr: this.stderr };
+    appendOutput(A, B) {
+        this[A] += B;
         
-        // Clear buffers after reading
-        this.stdout = "";
-        this.stderr = "";
+        let Q = this[A].length - MAX_BUFFERED_OUTPUT;
+        if (Q > 0) {
+            this[A] = this[A].slice(Q);
+            this.droppedOutput[A] += Q;
+        }
+    }
+    
+    // Returns output the reader has not seen yet and advances its position
+    getOutput(A = DEFAULT_OUTPUT_READER) {
+        let B = this.readOffsets.get(A) || { stdout: 0, stderr: 0 };
+        let Q = (D) => this[D].slice(Math.max(0, B[D] - this.droppedOutput[D]));
+        let D = { stdout: Q("stdout"), stderr: Q("stderr") };
         
-        return A;
+        this.readOffsets.set(A, {
+            stdout: this.droppedOutput.stdout + this.stdout.length,
+            stderr: this.droppedOutput.stderr + this.stderr.length
+        });
+        
+        return D;
+    }
+    
+    // Returns the last lines of output without moving any reader
+    tailOutput(A = 10) {
+        let B = (Q) => Q.trimEnd().split("\n").slice(-A).join("\n");
+        return { stdout: B(this.stdout), stderr: B(this.stderr) };
+    }
+    
+    getRuntimeMs() {
+        return (this.endTime ?? Date.now()) - this.startTime;
     }
     
-    hasNewOutput() {
-        return !!this.stdout;
+    hasNewOutput(A = DEFAULT_OUTPUT_READER) {
+        let B = this.readOffsets.get(A);
+        return this.droppedOutput.stdout + this.stdout.length > (B?.stdout ?? 0) ||
+            this.droppedOutput.stderr + this.stderr.length > (B?.stderr ?? 0);
     }
     
     kill() {
@@ -68,6 +131,7 @@ class dM2 {
             iA(`BackgroundShell ${this.id} kill requested`);
             this.shellCommand?.kill();
             this.status = "killed";
+            this.endTime = Date.now();
             return true;
         } catch (A) {
             h1(A instanceof Error ? A : new Error(String(A)));
@@ -135,12 +199,18 @@ class Zc {
         this.notifySubscribers();
     }
     
+    // Shells of the calling session only, so served sessions cannot read or kill each other's shells
+    getOwnShell(A) {
+        let B = this.shells.get(A);
+        return B && B.sessionId === getScopedSessionId() ? B : undefined;
+    }
+    
     getAllShells() {
-        return Array.from(this.shells.values());
+        return Array.from(this.shells.values()).filter((A) => A.sessionId === getScopedSessionId());
     }
     
     getActiveShells() {
-        return Array.from(this.shells.values()).filter((A) => A.status === "running");
+        return this.getAllShells().filter((A) => A.status === "running");
     }
     
     getActiveShellCount() {
@@ -148,12 +218,14 @@ class Zc {
     }
     
     getShell(A) {
-        return this.shells.get(A);
+        return this.getOwnShell(A);
     }
     
-    getShellOutput(A) {
-        let B = this.shells.get(A);
-        if (!B) {
+    // Incremental read: only output produced since this reader's last call.
+    // With a filter, only matching lines are returned; the rest are still consumed.
+    getShellOutput(A, { filter: B, reader: Q = DEFAULT_OUTPUT_READER } = {}) {
+        let D = this.getOwnShell(A);
+        if (!D) {
             return {
                 shellId: A,
                 command: "",
@@ -164,19 +236,41 @@ class Zc {
             };
         }
         
-        let Q = B.result ? B.result.code : null;
-        let { stdout: D, stderr: I } = B.getOutput();
+        let I = D.result ? D.result.code : null;
+        let F = D.readOffsets.get(Q);
+        let { stdout: G, stderr: Z } = D.getOutput(Q);
+        
+        if (B) {
+            try {
+                G = filterOutputLines(G, B);
+                Z = filterOutputLines(Z, B);
+            } catch (Y) {
+                // Leave the output unread so a simpler filter still sees it
+                if (F) {
+                    D.readOffsets.set(Q, F);
+                } else {
+                    D.readOffsets.delete(Q);
+                }
+                throw Y;
+            }
+        }
         
         return {
             shellId: A,
-            command: B.command,
-            status: B.status,
-            exitCode: Q,
-            stdout: D.trimEnd(),
-            stderr: I.trimEnd()
+            command: D.command,
+            status: D.status,
+            exitCode: I,
+            runtimeMs: D.getRuntimeMs(),
+            stdout: G.trimEnd(),
+            stderr: Z.trimEnd()
         };
     }
     
+    getShellTail(A, B) {
+        let Q = this.getOwnShell(A);
+        return Q ? Q.tailOutput(B) : { stdout: "", stderr: "" };
+    }
+    
     getShellsUnreadOutputInfo() {
         return this.getActiveShells().map((A) => {
             let B = A.hasNewOutput();
@@ -189,7 +283,7 @@ class Zc {
     }
     
     removeShell(A) {
-        let B = this.shells.get(A);
+        let B = this.getOwnShell(A);
         if (B) {
             if (B.status === "running") {
                 B.kill();
@@ -204,8 +298,13 @@ class Zc {
     }
     
     killShell(A) {
-        let B = this.shells.get(A);
-        if (B && B.status === "running") {
+        let B = this.getOwnShell(A);
+        return B ? this.killShellInstance(B) : false;
+    }
+    
+    killShellInstance(B) {
+        let A = B.id;
+        if (B.status === "running") {
             iA(`Killing shell ${A} (command: ${B.command})`);
             B.kill();
             
@@ -230,6 +329,7 @@ class Zc {
         let D = new dM2(Q, A, B, (I) => {
             this.completeShell(D.id, I);
         });
+        D.sessionId = getScopedSessionId();
         
         this.addBackgroundShell(D);
         return Q;
@@ -238,12 +338,30 @@ class Zc {
     generateShellId() {
         return `bash_${++this.shellCounter}`;
     }
+    
+    // Kill every running shell of every session, e.g. when the process exits
+    killAllShells() {
+        for (let A of this.shells.values()) {
+            this.killShellInstance(A);
+        }
+    }
+    
+    // Kill the running shells a served session started, when that session closes
+    killSessionShells(A) {
+        for (let B of this.shells.values()) {
+            if (B.sessionId === A) {
+                this.killShellInstance(B);
+            }
+        }
+    }
 }
 
 // Global instance
 const dU = Zc.getInstance();
 
 module.exports = {
+    MAX_BUFFERED_OUTPUT,
+    DEFAULT_OUTPUT_READER,
     dM2,
     Zc,
     dU
@@ -0,0 +1,232 @@
+// Background shell tools: BashOutput and KillShell
+// Model-facing access to shells started with Bash run_in_background
+
+const { z: zodSchema } = require('zod');
+const { dU } = require('./background-shell-manager.js');
+
+const BASH_OUTPUT_TOOL_NAME = "BashOutput";
+const KILL_SHELL_TOOL_NAME = "KillShell";
+
+const KillShellSchema = zodSchema.strictObject({
+    shell_id: zodSchema.string().describe("The ID of the background shell to kill")
+});
+
+const BashOutputSchema = zodSchema.strictObject({
+    shell_id: zodSchema.string().describe("The ID of the background shell to retrieve output from"),
+    filter: zodSchema.string().optional().describe("Optional regular expression. Only output lines matching it are returned; non-matching lines are discarded and will not be shown on later reads")
+});
+
+const BASH_OUTPUT_PROMPT = `- Retrieves output from a running or completed background bash shell
+- Takes a shell_id parameter identifying the shell
+- Always returns only new output since the last check
+- Returns stdout and stderr output along with shell status
+- Supports optional regex filtering to show only lines matching a pattern; a filter that is invalid or too slow to match returns an error and leaves the output unread
+- Use this tool when you need to monitor or check the output of a long-running shell
+- Shell IDs are returned by the Bash tool when run_in_background is true, and are listed by the /bashes command`;
+
+const KILL_SHELL_PROMPT = `- Kills a running background bash shell by its ID
+- Takes a shell_id parameter identifying the shell to kill
+- Returns a success or failure status
+- Use this tool when you need to terminate a long-running shell such as a dev server or watcher`;
+
+// Parse the filter the same way for validation and for the call
+function parseOutputFilter(filter) {
+    return filter ? new RegExp(filter) : undefined;
+}
+
+function formatBashOutputResult({ shellId, status, exitCode, stdout, stderr }) {
+    return [
+        `<shell_id>${shellId}</shell_id>`,
+        `<status>${status}</status>`,
+        exitCode !== null && exitCode !== undefined ? `<exit_code>${exitCode}</exit_code>` : null,
+        stdout ? `<stdout>\n${stdout}\n</stdout>` : null,
+        stderr ? `<stderr>\n${stderr}\n</stderr>` : null,
+        `<timestamp>${new Date().toISOString()}</timestamp>`
+    ].filter(Boolean).join('\n');
+}
+
+const bashOutputTool = {
+    name: BASH_OUTPUT_TOOL_NAME,
+
+    async description() {
+        return "Retrieves new output from a background bash shell";
+    },
+
+    async prompt() {
+        return BASH_OUTPUT_PROMPT;
+    },
+
+    inputSchema: BashOutputSchema,
+
+    userFacingName() {
+        return "BashOutput";
+    },
+
+    isEnabled() {
+        return true;
+    },
+
+    isReadOnly() {
+        return true;
+    },
+
+    isConcurrencySafe() {
+        return true;
+    },
+
+    async checkPermissions(input) {
+        return { behavior: "allow", updatedInput: input };
+    },
+
+    async validateInput({ shell_id, filter }) {
+        if (!dU.getShell(shell_id)) {
+            return { result: false, message: `No background shell found with ID: ${shell_id}`, errorCode: 1 };
+        }
+        try {
+            parseOutputFilter(filter);
+        } catch (error) {
+            return { result: false, message: `Invalid filter regular expression: ${error.message}`, errorCode: 2 };
+        }
+        return { result: true };
+    },
+
+    async* call({ shell_id, filter }) {
+        const output = dU.getShellOutput(shell_id, { filter: parseOutputFilter(filter) });
+        yield {
+            type: "result",
+            data: output
+        };
+    },
+
+    mapToolResultToToolResultBlockParam(output, toolUseId) {
+        return {
+            tool_use_id: toolUseId,
+            type: "tool_result",
+            content: formatBashOutputResult(output)
+        };
+    },
+
+    renderToolUseMessage({ shell_id, filter }) {
+        if (!shell_id) return null;
+        return filter ? `${shell_id}, filter: ${filter}` : shell_id;
+    },
+
+    renderToolUseProgressMessage() {
+        return null;
+    },
+
+    renderToolResultMessage({ status, exitCode, stdout, stderr }, progressMessages, { verbose }) {
+        const lines = [stdout, stderr].filter(Boolean).join('\n').split('\n').filter(Boolean);
+        const exitInfo = exitCode !== null && exitCode !== undefined ? ` (exit code ${exitCode})` : "";
+        const summary = `${status}${exitInfo} · ${lines.length === 1 ? "1 new line" : `${lines.length} new lines`}`;
+        if (!verbose || lines.length === 0) {
+            return summary;
+        }
+        return `${summary}\n${lines.join('\n')}`;
+    },
+
+    renderToolUseRejectedMessage() {
+        return "Reading shell output was rejected";
+    },
+
+    renderToolUseErrorMessage(error) {
+        return `Error: ${error.message ?? error}`;
+    }
+};
+
+const killShellTool = {
+    name: KILL_SHELL_TOOL_NAME,
+
+    async description() {
+        return "Kill a background bash shell by ID";
+    },
+
+    async prompt() {
+        return KILL_SHELL_PROMPT;
+    },
+
+    inputSchema: KillShellSchema,
+
+    userFacingName() {
+        return "Kill Shell";
+    },
+
+    isEnabled() {
+        return true;
+    },
+
+    isReadOnly() {
+        return false;
+    },
+
+    isConcurrencySafe() {
+        return true;
+    },
+
+    async checkPermissions(input) {
+        return { behavior: "allow", updatedInput: input };
+    },
+
+    async validateInput({ shell_id }) {
+        const shell = dU.getShell(shell_id);
+        if (!shell) {
+            return { result: false, message: `No background shell found with ID: ${shell_id}`, errorCode: 1 };
+        }
+        if (shell.status !== "running") {
+            return { result: false, message: `Shell ${shell_id} is not running (status: ${shell.status})`, errorCode: 2 };
+        }
+        return { result: true };
+    },
+
+    async* call({ shell_id }) {
+        const killed = dU.killShell(shell_id);
+        if (!killed) {
+            throw new Error(`Failed to kill shell ${shell_id}`);
+        }
+        yield {
+            type: "result",
+            data: {
+                shellId: shell_id,
+                message: `Successfully killed shell: ${shell_id} (${dU.getShell(shell_id)?.command ?? ""})`
+            }
+        };
+    },
+
+    mapToolResultToToolResultBlockParam({ message }, toolUseId) {
+        return {
+            tool_use_id: toolUseId,
+            type: "tool_result",
+            content: message
+        };
+    },
+
+    renderToolUseMessage({ shell_id }) {
+        return shell_id ?? null;
+    },
+
+    renderToolUseProgressMessage() {
+        return null;
+    },
+
+    renderToolResultMessage() {
+        return "Shell killed";
+    },
+
+    renderToolUseRejectedMessage() {
+        return "Killing the shell was rejected";
+    },
+
+    renderToolUseErrorMessage(error) {
+        return `Error: ${error.message ?? error}`;
+    }
+};
+
+module.exports = {
+    BASH_OUTPUT_TOOL_NAME,
+    KILL_SHELL_TOOL_NAME,
+    BashOutputSchema,
+    KillShellSchema,
+    formatBashOutputResult,
+    bashOutputTool,
+    killShellTool
+};
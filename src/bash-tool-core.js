@@ -345,6 +345,18 @@ async function Kw6({ input: A, abortController: B, dialogResultPromise: Q, setTo
     let { command: I, timeout: G, shellExecutable: Z } = A;
     let F = G || Vm();
     let W = await fU0()(I, B.signal, F, A.sandbox || false, Z);
+    
+    // Requested background run: hand the shell to the manager right away
+    if (A.run_in_background) {
+        let Y = dU.moveToBackground(I, W);
+        return {
+            stdout: `Command running in background (shell ID: ${Y}). Use BashOutput to read its output and KillShell to stop it.`,
+            stderr: "",
+            code: 0,
+            interrupted: false
+        };
+    }
+    
     return Vw6({
         shellCommand: W,
         input: A,
@@ -3,6 +3,11 @@
 const { MCPConfigManager } = require('./mcp-config');
 const { telemetryManager } = require('./telemetry');
 const { configManager } = require('./config-management');
+const { ToolPermissionManager } = require('./tool-permissions');
+const { searchConversations, formatSearchResults } = require('./conversation-search');
+const { exportConversation } = require('./conversation-export');
+const { JsonRpcServer, serveSocket, serveStdio } = require('./json-rpc-server');
+const { readFileSync, writeFileSync } = require('fs');
 
 // Remove command - removes MCP server configuration
 export async function removeCommand(serverName, options) {
@@ -226,6 +231,144 @@ export async function installCommand(target, options) {
   });
 }
 
+// Permissions test command - explains how permission rules decide a tool call
+export async function permissionsTestCommand(toolName, inputJson, options) {
+  const permissionManager = new ToolPermissionManager();
+  try {
+    const rules = permissionManager.loadRulesFromSettingsFiles();
+
+    if (options.file) {
+      const cases = parsePermissionTestCases(readFileSync(options.file, "utf8"));
+      const results = cases.map((testCase) => {
+        const explanation = permissionManager.explainPermission(rules, testCase.tool, testCase.input ?? {});
+        return {
+          ...explanation,
+          expect: testCase.expect,
+          passed: testCase.expect === undefined || testCase.expect === explanation.decision
+        };
+      });
+      const failures = results.filter((result) => !result.passed);
+
+      if (options.json) {
+        process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+      } else {
+        results.forEach((result) => {
+          const status = result.passed ? "PASS" : `FAIL (expected ${result.expect})`;
+          process.stdout.write(`${status}  ${permissionManager.formatPermissionExplanation(result)}\n`);
+        });
+        process.stdout.write(`\n${results.length - failures.length}/${results.length} cases passed\n`);
+      }
+      process.exit(failures.length > 0 ? 1 : 0);
+    }
+
+    if (!toolName) {
+      process.stderr.write("Usage: claude permissions test <tool> [input-json] or --file <cases>\n");
+      process.exit(1);
+    }
+
+    const input = inputJson ? JSON.parse(inputJson) : {};
+    const explanation = permissionManager.explainPermission(rules, toolName, input);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(explanation, null, 2)}\n`);
+    } else {
+      process.stdout.write(`${permissionManager.formatPermissionExplanation(explanation)}\n`);
+    }
+    process.exit(0);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+  }
+}
+
+// Test cases may be a JSON array or JSON lines of { tool, input, expect }
+function parsePermissionTestCases(content) {
+  const trimmed = content.trim();
+  if (trimmed.startsWith("[")) {
+    return JSON.parse(trimmed);
+  }
+  return trimmed.split("\n").filter((line) => line.trim()).map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid test case on line ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+// Sessions search command - full-text search across every project's conversation logs
+export async function sessionsSearchCommand(query, options) {
+  if (!query && !options.tool && !options.file) {
+    process.stderr.write("Usage: claude sessions search <query> [--project <path>] [--tool <name>] [--file <path>] [--since <date>] [--until <date>]\n");
+    process.exit(1);
+  }
+
+  try {
+    const hits = searchConversations(query, {
+      project: options.project,
+      tool: options.tool,
+      file: options.file,
+      since: options.since,
+      until: options.until,
+      limit: options.limit ? Number(options.limit) : undefined,
+      context: options.context !== undefined ? Number(options.context) : undefined,
+      reindex: options.reindex
+    });
+
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(hits, null, 2)}\n`);
+    } else {
+      process.stdout.write(`${formatSearchResults(hits)}\n`);
+    }
+    process.exit(0);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+  }
+}
+
+// Sessions export command - renders a session log as a Markdown, HTML or JSON transcript
+export async function sessionsExportCommand(sessionId, options) {
+  try {
+    const output = exportConversation(sessionId, {
+      format: options.format ?? "md",
+      redact: Boolean(options.redact)
+    });
+
+    if (options.output) {
+      writeFileSync(options.output, output, "utf8");
+      process.stdout.write(`Exported session ${sessionId} to ${options.output}\n`);
+    } else {
+      process.stdout.write(output);
+    }
+    process.exit(0);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+  }
+}
+
+// Serve command - long-lived JSON-RPC server over stdio or a unix socket
+export async function serveCommand(options, { mcpClients, commands } = {}) {
+  if (Boolean(options.stdio) === Boolean(options.socket)) {
+    process.stderr.write("Usage: claude serve --stdio | --socket <path>\n");
+    process.exit(1);
+  }
+
+  const server = new JsonRpcServer({ mcpClients, commands, verbose: options.verbose });
+  try {
+    if (options.stdio) {
+      await serveStdio(server);
+      server.close();
+      process.exit(0);
+    }
+    await serveSocket(server, options.socket);
+    process.stderr.write(`Listening on ${options.socket}\n`);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+  }
+}
+
 // Cursor display function
 export function showCursor() {
   const output = process.stderr.isTTY ? process.stderr : 
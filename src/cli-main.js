@@ -11,7 +11,7 @@ const { SystemCore } = require('./system-core');
 const { DebugSystem } = require('./debug-system');
 const { InitializationManager } = require('./initialization');
 const { OtelSetup } = require('./otel-setup');
-const { HookSystem } = require('./hook-system');
+const { HookSystem, executeSessionEndHooks } = require('./hook-system');
 const { SandboxManager } = require('./sandbox-manager');
 const { GitCommitManager } = require('./git-commit-manager');
 const { GithubPrManager } = require('./github-pr-manager');
@@ -22,6 +22,7 @@ const { TaskAgent } = require('./task-agent');
 const { MemoryFileSystem } = require('./memory-file-system');
 const { VimEditor } = require('./vim-editor');
 const { CliCommands } = require('./cli-commands');
+const { dU: backgroundShells } = require('./background-shell-manager');
 
 class ClaudeCodeCLI {
     constructor() {
@@ -128,8 +129,14 @@ class ClaudeCodeCLI {
         await this.feedbackSystem.setupCommands(this.commanderSystem);
     }
 
-    async shutdown() {
+    async shutdown(reason = 'other') {
         try {
+            // Run SessionEnd hooks before tearing anything down
+            await executeSessionEndHooks(reason);
+            
+            // Don't leave dev servers or watchers running after exit
+            backgroundShells.killAllShells();
+            
             // Graceful shutdown of all systems
             await this.sandboxManager.shutdown();
             await this.memoryFileSystem.shutdown();
@@ -144,14 +151,14 @@ class ClaudeCodeCLI {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
     if (global.claudeCodeCLI) {
-        await global.claudeCodeCLI.shutdown();
+        await global.claudeCodeCLI.shutdown('exit');
     }
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     if (global.claudeCodeCLI) {
-        await global.claudeCodeCLI.shutdown();
+        await global.claudeCodeCLI.shutdown('exit');
     }
     process.exit(0);
 });
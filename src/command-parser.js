@@ -5,16 +5,17 @@
 
 /**
  * コマンドリストの解析
- * セミコロン、&&、||で分割されたコマンドを解析
+ * セミコロン、&&、||、|、&、改行で分割されたコマンドを解析
+ * （2>&1 や &> などのリダイレクトは分割しない）
  */
 function parseCommandList(command) {
     if (!command || typeof command !== 'string') {
         return [];
     }
     
-    // 基本的なコマンド分割（セミコロン、&&、||）
+    // 基本的なコマンド分割（セミコロン、&&、||、パイプ、改行）
     const commands = command
-        .split(/[;&|]{1,2}/)
+        .split(/\n|(?<![<>])(?:&&|\|\||[;&|])(?!>)/)
         .map(cmd => cmd.trim())
         .filter(cmd => cmd.length > 0);
     
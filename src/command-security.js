@@ -561,7 +561,8 @@ Input: ls
 Output: Lists files in current directory
 
 Input: git status
-Output: Shows working tree status`)
+Output: Shows working tree status`),
+    run_in_background: simpleSchema.boolean().optional().describe("Set to true to run this command in the background, e.g. for dev servers and watchers. Use BashOutput to read its output and KillShell to stop it.")
 });
 
 // 未定義関数の実装
@@ -93,6 +93,7 @@ export const globalConfigDefaults = {
   tipsHistory: {},
   memoryUsageCount: 0,
   parallelTasksCount: 1,
+  parallelTasksIsolation: 'none',
   promptQueueUseCount: 0,
   todoFeatureEnabled: true,
   messageIdleNotifThresholdMs: 60000,
@@ -116,6 +117,7 @@ export const modifiableGlobalKeys = [
   'env',
   'tipsHistory',
   'parallelTasksCount',
+  'parallelTasksIsolation',
   'todoFeatureEnabled',
   'messageIdleNotifThresholdMs',
   'autoConnectIde'
@@ -0,0 +1,233 @@
+// Conversation branches: every leaf of the parentUuid tree in a log is a branch.
+// Forking rewinds the conversation to an earlier user message, so the next prompt
+// becomes a sibling of that message and both branches stay in the same log.
+
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { basename, dirname, join } from "path";
+import { buildMessageChain, findRootMessages, getLogDirectoryPath } from "./conversation-log.js";
+
+const BRANCH_LABEL_LENGTH = 60;
+
+// Get the log file of a session in the current project
+export function getSessionLogPath(sessionId) {
+  return join(getLogDirectoryPath(dA()), `${sessionId}.jsonl`);
+}
+
+// The selected branch is kept next to the log so the log itself stays append-only
+function getBranchSelectionPath(logFile) {
+  return join(dirname(logFile), `${basename(logFile, ".jsonl")}.branch.json`);
+}
+
+export function loadBranchSelection(logFile) {
+  const selectionPath = getBranchSelectionPath(logFile);
+  if (!existsSync(selectionPath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(readFileSync(selectionPath, "utf8"));
+  } catch (error) {
+    h1(error instanceof Error ? error : new Error(String(error)));
+    return null;
+  }
+}
+
+export function saveBranchSelection(logFile, messageUuid) {
+  writeFileSync(getBranchSelectionPath(logFile), JSON.stringify({
+    messageUuid,
+    updatedAt: new Date().toISOString()
+  }, null, 2), "utf8");
+}
+
+// Map each message to its children, ordered oldest first (ties by uuid)
+function buildChildrenMap(messageMap) {
+  const children = new Map();
+  for (const message of messageMap.values()) {
+    if (!message.parentUuid || !messageMap.has(message.parentUuid)) {
+      continue;
+    }
+    if (!children.has(message.parentUuid)) {
+      children.set(message.parentUuid, []);
+    }
+    children.get(message.parentUuid).push(message);
+  }
+  for (const siblings of children.values()) {
+    siblings.sort(compareMessages);
+  }
+  return children;
+}
+
+function compareMessages(a, b) {
+  return new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime() ||
+    String(a.uuid).localeCompare(String(b.uuid));
+}
+
+// Follow the newest child down to a leaf
+function descendToLeaf(message, children) {
+  let current = message;
+  while (children.has(current.uuid)) {
+    const siblings = children.get(current.uuid);
+    current = siblings[siblings.length - 1];
+  }
+  return current;
+}
+
+function getMessageText(message) {
+  const content = message.message?.content;
+  if (typeof content === "string") {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.filter((item) => item.type === "text").map((item) => item.text).join(" ");
+  }
+  return "";
+}
+
+function isPromptMessage(message) {
+  return message.type === "user" && !message.isMeta && getMessageText(message).trim() !== "";
+}
+
+function truncateLabel(text) {
+  const singleLine = text.replace(/\s+/g, " ").trim();
+  return singleLine.length > BRANCH_LABEL_LENGTH ? `${singleLine.slice(0, BRANCH_LABEL_LENGTH - 1)}…` : singleLine;
+}
+
+// List every branch of a conversation, oldest first. A branch is named after the
+// first prompt that differs from its nearest sibling branch.
+export function listBranches(messageMap) {
+  const children = buildChildrenMap(messageMap);
+  const leaves = findRootMessages(messageMap)
+    .filter((message) => !message.isSidechain)
+    .sort(compareMessages);
+
+  return leaves.map((leaf, index) => {
+    const chain = buildMessageChain(leaf, messageMap);
+    let forkIndex = 0;
+    chain.forEach((message, position) => {
+      const parentUuid = position > 0 ? chain[position - 1].uuid : null;
+      if (parentUuid && children.get(parentUuid)?.length > 1) {
+        forkIndex = position;
+      }
+    });
+    const firstPrompt = chain.slice(forkIndex).find(isPromptMessage) ?? chain.find(isPromptMessage);
+
+    return {
+      index: index + 1,
+      leafUuid: leaf.uuid,
+      forkUuid: forkIndex > 0 ? chain[forkIndex - 1].uuid : null,
+      forkDepth: forkIndex,
+      messageCount: chain.length,
+      lastTimestamp: leaf.timestamp,
+      label: firstPrompt ? truncateLabel(getMessageText(firstPrompt)) : "(no prompt)"
+    };
+  });
+}
+
+// Resolve the branch to continue: the saved selection (followed to its newest
+// leaf), otherwise the most recently updated leaf. Deterministic for a given log.
+export function resolveActiveLeaf(messageMap, selection) {
+  const children = buildChildrenMap(messageMap);
+  const selected = selection?.messageUuid ? messageMap.get(selection.messageUuid) : null;
+  if (selected) {
+    return descendToLeaf(selected, children);
+  }
+
+  const leaves = findRootMessages(messageMap).filter((message) => !message.isSidechain);
+  return leaves.sort(compareMessages).pop() ?? null;
+}
+
+// Load the active branch of a session, or null when its log can't be read
+export async function loadSessionBranch(sessionId, branchUuid) {
+  const logFile = getSessionLogPath(sessionId);
+  if (!existsSync(logFile)) {
+    return null;
+  }
+
+  const { messages } = await Bu1(logFile);
+  const selection = branchUuid ? { messageUuid: branchUuid } : loadBranchSelection(logFile);
+  const leaf = resolveActiveLeaf(messages, selection);
+  if (!leaf) {
+    return null;
+  }
+
+  return { logFile, leafUuid: leaf.uuid, messages: buildMessageChain(leaf, messages) };
+}
+
+// Replace resumed messages with the active branch when the log has more than one
+export async function restoreActiveBranch(sessionId, messages, branchUuid) {
+  try {
+    const branch = await loadSessionBranch(sessionId, branchUuid);
+    return branch?.messages ?? messages;
+  } catch (error) {
+    h1(error instanceof Error ? error : new Error(String(error)));
+    return messages;
+  }
+}
+
+// Prompts in the current conversation that can be forked from
+export function getForkPoints(messages) {
+  return messages
+    .map((message, position) => ({ message, position }))
+    .filter(({ message }) => isPromptMessage(message))
+    .map(({ message, position }, index) => ({
+      index: index + 1,
+      position,
+      uuid: message.uuid,
+      label: truncateLabel(getMessageText(message))
+    }));
+}
+
+// Rewind to just before a prompt. The returned prompt text can be edited and sent
+// again, which starts the new branch; the old branch stays in the log.
+export function forkConversation(messages, forkPoint, logFile) {
+  const truncated = messages.slice(0, forkPoint.position);
+  const parent = truncated[truncated.length - 1];
+  if (logFile) {
+    // New messages will be the newest children of the fork parent, or a new root
+    saveBranchSelection(logFile, parent?.uuid ?? null);
+  }
+  return {
+    messages: truncated,
+    prompt: getMessageText(messages[forkPoint.position])
+  };
+}
+
+// Render the conversation as a tree: linear runs of messages collapse into one
+// line, forks indent their branches, and leaves carry the branch number
+export function formatBranchTree(messageMap, branches, activeLeafUuid) {
+  if (branches.length === 0) {
+    return "No messages in this conversation yet";
+  }
+
+  const children = buildChildrenMap(messageMap);
+  const branchByLeaf = new Map(branches.map((branch) => [branch.leafUuid, branch]));
+  const lines = [];
+
+  const renderSegment = (start, depth) => {
+    const segment = [start];
+    let current = start;
+    while (children.get(current.uuid)?.length === 1) {
+      current = children.get(current.uuid)[0];
+      segment.push(current);
+    }
+
+    const firstPrompt = segment.find(isPromptMessage);
+    const label = firstPrompt ? truncateLabel(getMessageText(firstPrompt)) : "(no prompt)";
+    const count = segment.length === 1 ? "1 message" : `${segment.length} messages`;
+    const branch = branchByLeaf.get(current.uuid);
+    const prefix = branch
+      ? `${branch.leafUuid === activeLeafUuid ? "●" : "○"} ${branch.index}.`
+      : "┬";
+    lines.push(`${"  ".repeat(depth)}${prefix} ${label} · ${count}`);
+
+    for (const child of children.get(current.uuid) ?? []) {
+      renderSegment(child, depth + 1);
+    }
+  };
+
+  const roots = [...messageMap.values()]
+    .filter((message) => !message.isSidechain && (!message.parentUuid || !messageMap.has(message.parentUuid)))
+    .sort(compareMessages);
+  roots.forEach((root) => renderSegment(root, 0));
+
+  return lines.join("\n");
+}
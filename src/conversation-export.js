@@ -0,0 +1,355 @@
+// Export a session log as a shareable Markdown, HTML or JSON transcript
+
+import { existsSync, readFileSync } from "fs";
+import { homedir } from "os";
+import { join } from "path";
+import { OA1 as structuredPatch } from "./diff-processing.js";
+import { getFullSessionSummaryText } from "./stats-telemetry.js";
+import { buildMessageChain, getLogDirectoryPath, getProjectLogDirectories } from "./conversation-log.js";
+import { loadBranchSelection, resolveActiveLeaf } from "./conversation-branches.js";
+import { isValidUUID } from "./resume-stream.js";
+
+export const EXPORT_FORMATS = ["md", "html", "json"];
+
+const MAX_TOOL_RESULT_LENGTH = 10000;
+
+// Secrets replaced when exporting with redaction
+const SECRET_PATTERNS = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  /\bsk-ant-[A-Za-z0-9_-]{10,}/g,
+  /\bsk-[A-Za-z0-9]{20,}/g,
+  /\bAKIA[0-9A-Z]{16}\b/g,
+  /\bgh[pousr]_[A-Za-z0-9]{30,}\b/g,
+  /\bgithub_pat_[A-Za-z0-9_]{30,}\b/g,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  /\b(Bearer\s+)[A-Za-z0-9._~+/-]{20,}=*/g,
+  /\b((?:api[_-]?key|secret|token|password|passwd)["']?\s*[:=]\s*["']?)[^\s"',;]{6,}/gi
+];
+
+// Find a session log in the current project first, then in every other project.
+// The ID becomes a file name, so anything but a UUID is rejected.
+function findSessionLog(sessionId) {
+  if (!isValidUUID(sessionId)) {
+    throw new Error(`Invalid session ID: ${sessionId}. Expected a UUID`);
+  }
+  const fileName = `${sessionId}.jsonl`;
+  const currentProjectLog = join(getLogDirectoryPath(dA()), fileName);
+  if (existsSync(currentProjectLog)) {
+    return currentProjectLog;
+  }
+  return getProjectLogDirectories()
+    .map((directory) => join(directory, fileName))
+    .find((logFile) => existsSync(logFile)) ?? null;
+}
+
+// Read the raw log entries of the session's active branch, keeping tool results
+function readSessionChain(logFile) {
+  const messages = new Map();
+  for (const line of readFileSync(logFile, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const entry = JSON.parse(line);
+      if ((entry.type === "user" || entry.type === "assistant") && entry.uuid) {
+        messages.set(entry.uuid, entry);
+      }
+    } catch {
+      // Skip partially written lines
+    }
+  }
+
+  const leaf = resolveActiveLeaf(messages, loadBranchSelection(logFile));
+  return leaf ? buildMessageChain(leaf, messages) : [];
+}
+
+function formatUnifiedPatch(filePath, oldString, newString) {
+  const { hunks } = structuredPatch(filePath, filePath, oldString, newString);
+  return [
+    `--- ${filePath}`,
+    `+++ ${filePath}`,
+    ...hunks.flatMap((hunk) => [
+      `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+      ...hunk.lines
+    ])
+  ].join("\n");
+}
+
+// Unified patches for Edit and MultiEdit calls
+function buildToolPatch(name, input) {
+  if (name === "Edit" && typeof input?.old_string === "string") {
+    return formatUnifiedPatch(input.file_path, input.old_string, input.new_string ?? "");
+  }
+  if (name === "MultiEdit" && Array.isArray(input?.edits)) {
+    return input.edits
+      .map((edit) => formatUnifiedPatch(input.file_path, edit.old_string, edit.new_string ?? ""))
+      .join("\n");
+  }
+  return null;
+}
+
+function toolResultText(content) {
+  const text = typeof content === "string"
+    ? content
+    : Array.isArray(content)
+      ? content.map((item) => item.type === "text" ? item.text : `[${item.type}]`).join("\n")
+      : "";
+  return text.length > MAX_TOOL_RESULT_LENGTH
+    ? `${text.slice(0, MAX_TOOL_RESULT_LENGTH)}\n… (${text.length - MAX_TOOL_RESULT_LENGTH} more characters)`
+    : text;
+}
+
+// Turn log entries into turns of text and tool calls, with each result attached to its call
+function buildTurns(chain) {
+  const turns = [];
+  const toolCalls = new Map();
+
+  for (const entry of chain) {
+    if (entry.isMeta) {
+      continue;
+    }
+    const content = entry.message?.content;
+    const items = typeof content === "string" ? [{ type: "text", text: content }] : content ?? [];
+    const blocks = [];
+
+    for (const item of items) {
+      if (item.type === "text" && item.text.trim()) {
+        blocks.push({ type: "text", text: item.text });
+      } else if (item.type === "tool_use") {
+        const call = {
+          type: "tool_call",
+          id: item.id,
+          name: item.name,
+          input: item.input,
+          patch: buildToolPatch(item.name, item.input),
+          result: null
+        };
+        toolCalls.set(item.id, call);
+        blocks.push(call);
+      } else if (item.type === "tool_result" && toolCalls.has(item.tool_use_id)) {
+        toolCalls.get(item.tool_use_id).result = {
+          isError: Boolean(item.is_error),
+          text: toolResultText(item.content)
+        };
+      }
+    }
+
+    if (blocks.length === 0) {
+      continue;
+    }
+
+    // Consecutive assistant entries belong to the same turn
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === entry.type && entry.type === "assistant") {
+      previous.blocks.push(...blocks);
+    } else {
+      turns.push({ role: entry.type, timestamp: entry.timestamp, blocks });
+    }
+  }
+
+  return turns;
+}
+
+// Cost summary: live stats for the running session, otherwise totals from the log
+function buildCostSummary(sessionId, chain) {
+  if (sessionId === PB()) {
+    return getFullSessionSummaryText().replace(/\x1B\[[0-9;]*m/g, "");
+  }
+
+  const totals = chain
+    .filter((entry) => entry.type === "assistant")
+    .reduce((sum, entry) => {
+      const usage = entry.message?.usage ?? {};
+      return {
+        costUSD: sum.costUSD + (entry.costUSD ?? 0),
+        inputTokens: sum.inputTokens + (usage.input_tokens ?? 0),
+        outputTokens: sum.outputTokens + (usage.output_tokens ?? 0),
+        cacheReadTokens: sum.cacheReadTokens + (usage.cache_read_input_tokens ?? 0),
+        cacheWriteTokens: sum.cacheWriteTokens + (usage.cache_creation_input_tokens ?? 0)
+      };
+    }, { costUSD: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 });
+
+  return [
+    `Total cost:            $${totals.costUSD.toFixed(4)}`,
+    `Usage:                 ${totals.inputTokens} input, ${totals.outputTokens} output, ${totals.cacheReadTokens} cache read, ${totals.cacheWriteTokens} cache write`
+  ].join("\n");
+}
+
+export function redactText(text) {
+  let redacted = SECRET_PATTERNS.reduce(
+    (current, pattern) => current.replace(pattern, (match, prefix) =>
+      typeof prefix === "string" && match.startsWith(prefix) ? `${prefix}[REDACTED]` : "[REDACTED]"),
+    text
+  );
+  const home = homedir();
+  if (home && home !== "/") {
+    redacted = redacted.split(home).join("~");
+  }
+  return redacted.replace(/\/(?:home|Users)\/[^/\s"'`]+/g, "~");
+}
+
+// Apply redaction to every string in the transcript
+function redactValue(value) {
+  if (typeof value === "string") {
+    return redactText(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+  }
+  return value;
+}
+
+// Load a session into a transcript object
+export function buildTranscript(sessionId, { redact = false } = {}) {
+  const logFile = findSessionLog(sessionId);
+  if (!logFile) {
+    throw new Error(`No conversation found with session ID: ${sessionId}`);
+  }
+
+  const chain = readSessionChain(logFile);
+  const transcript = {
+    sessionId,
+    project: chain.find((entry) => entry.cwd)?.cwd ?? null,
+    startedAt: chain[0]?.timestamp ?? null,
+    exportedAt: new Date().toISOString(),
+    costSummary: buildCostSummary(sessionId, chain),
+    turns: buildTurns(chain)
+  };
+
+  return redact ? redactValue(transcript) : transcript;
+}
+
+function roleTitle(role) {
+  return role === "user" ? "User" : "Claude";
+}
+
+function summarizeToolInput(call) {
+  const input = call.input ?? {};
+  return input.file_path ?? input.command ?? input.pattern ?? input.url ?? input.description ?? "";
+}
+
+function fence(text, language = "") {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+  const marker = "`".repeat(longestRun + 1);
+  return `${marker}${language}\n${text}\n${marker}`;
+}
+
+export function renderMarkdown(transcript) {
+  const lines = [
+    `# Conversation ${transcript.sessionId}`,
+    "",
+    transcript.project ? `- Project: \`${transcript.project}\`` : null,
+    transcript.startedAt ? `- Started: ${transcript.startedAt}` : null,
+    `- Exported: ${transcript.exportedAt}`,
+    ""
+  ].filter((line) => line !== null);
+
+  for (const turn of transcript.turns) {
+    lines.push(`## ${roleTitle(turn.role)}`, "");
+    for (const block of turn.blocks) {
+      if (block.type === "text") {
+        lines.push(block.text, "");
+        continue;
+      }
+      const summary = summarizeToolInput(block);
+      lines.push(
+        "<details>",
+        `<summary>${block.name}${summary ? `: ${summary.replace(/[<>]/g, "")}` : ""}${block.result?.isError ? " (error)" : ""}</summary>`,
+        "",
+        block.patch ? fence(block.patch, "diff") : fence(JSON.stringify(block.input, null, 2), "json"),
+        ""
+      );
+      if (block.result) {
+        lines.push(fence(block.result.text || "(no output)"), "");
+      }
+      lines.push("</details>", "");
+    }
+  }
+
+  lines.push("## Cost", "", fence(transcript.costSummary), "");
+  return lines.join("\n");
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderHtmlPatch(patch) {
+  const lines = patch.split("\n").map((line) => {
+    const className = line.startsWith("+") ? "add" : line.startsWith("-") ? "del" : line.startsWith("@@") ? "hunk" : "";
+    return `<span class="${className}">${escapeHtml(line)}</span>`;
+  });
+  return `<pre class="diff">${lines.join("\n")}</pre>`;
+}
+
+export function renderHtml(transcript) {
+  const turns = transcript.turns.map((turn) => {
+    const blocks = turn.blocks.map((block) => {
+      if (block.type === "text") {
+        return `<div class="text">${escapeHtml(block.text)}</div>`;
+      }
+      const summary = summarizeToolInput(block);
+      return [
+        `<details class="tool${block.result?.isError ? " error" : ""}">`,
+        `<summary>${escapeHtml(block.name)}${summary ? `: ${escapeHtml(summary)}` : ""}</summary>`,
+        block.patch ? renderHtmlPatch(block.patch) : `<pre>${escapeHtml(JSON.stringify(block.input, null, 2))}</pre>`,
+        block.result ? `<pre class="result">${escapeHtml(block.result.text || "(no output)")}</pre>` : "",
+        "</details>"
+      ].join("\n");
+    }).join("\n");
+    return `<section class="turn ${turn.role}">\n<h2>${roleTitle(turn.role)}</h2>\n${blocks}\n</section>`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Conversation ${escapeHtml(transcript.sessionId)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #1f2328; }
+.turn { border-left: 4px solid #d0d7de; padding: 0 1em; margin: 1.5em 0; }
+.turn.user { border-color: #0969da; }
+.turn.assistant { border-color: #cf7a30; }
+.text { white-space: pre-wrap; margin: 0.5em 0; }
+details.tool { background: #f6f8fa; border-radius: 6px; padding: 0.4em 0.8em; margin: 0.5em 0; }
+details.tool.error summary { color: #cf222e; }
+pre { overflow-x: auto; font-size: 0.85em; }
+.diff .add { color: #1a7f37; }
+.diff .del { color: #cf222e; }
+.diff .hunk { color: #8250df; }
+</style>
+</head>
+<body>
+<h1>Conversation ${escapeHtml(transcript.sessionId)}</h1>
+<p>${transcript.project ? `Project: <code>${escapeHtml(transcript.project)}</code> · ` : ""}Exported ${escapeHtml(transcript.exportedAt)}</p>
+${turns}
+<h2>Cost</h2>
+<pre>${escapeHtml(transcript.costSummary)}</pre>
+</body>
+</html>
+`;
+}
+
+// Render a session in the requested format
+export function exportConversation(sessionId, { format = "md", redact = false } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported export format: ${format}. Use one of: ${EXPORT_FORMATS.join(", ")}`);
+  }
+
+  const transcript = buildTranscript(sessionId, { redact });
+  switch (format) {
+    case "html":
+      return renderHtml(transcript);
+    case "json":
+      return `${JSON.stringify(transcript, null, 2)}\n`;
+    default:
+      return renderMarkdown(transcript);
+  }
+}
@@ -76,6 +76,22 @@ export function getLogFiles(directory) {
     });
 }
 
+// Get the log directory of every project that has conversation logs
+export function getProjectLogDirectories() {
+  const fs = v1();
+  const projectsDirectory = ss();
+  
+  try {
+    fs.statSync(projectsDirectory);
+  } catch {
+    return [];
+  }
+  
+  return fs.readdirSync(projectsDirectory)
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => zu2(projectsDirectory, entry.name));
+}
+
 // Build message chain from parent-child relationships
 export function buildMessageChain(message, messageMap) {
   const chain = [];
@@ -0,0 +1,338 @@
+// Full-text search across the conversation logs of every project
+// Tokenized messages are cached in ~/.claude/search-index.json and only logs whose
+// size or mtime changed are re-read; the inverted index is built from that cache.
+
+import { existsSync, mkdirSync, readFileSync, statSync, writeFileSync } from "fs";
+import { homedir } from "os";
+import { basename, dirname, join } from "path";
+import { minimatch } from "minimatch";
+import { getLogFiles, getProjectLogDirectories } from "./conversation-log.js";
+import { quoteForShell } from "./sandbox-security.js";
+
+const SEARCH_INDEX_VERSION = 1;
+const MAX_STORED_TEXT_LENGTH = 4000;
+const SNIPPET_LENGTH = 240;
+const CONTEXT_TEXT_LENGTH = 160;
+const DEFAULT_SEARCH_LIMIT = 20;
+
+// Get the search index path
+export function getSearchIndexPath() {
+  return join(homedir(), ".claude", "search-index.json");
+}
+
+// Split text into lowercase search terms
+export function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) ?? [];
+}
+
+// Extract the plain text of a message, ignoring tool calls and tool results
+function extractMessageText(content) {
+  if (typeof content === "string") {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return "";
+  }
+  return content
+    .filter((item) => item.type === "text")
+    .map((item) => item.text)
+    .join("\n")
+    .trim();
+}
+
+// Extract the tools a message called and the files they touched
+function extractToolUses(content) {
+  const tools = [];
+  const files = [];
+  if (!Array.isArray(content)) {
+    return { tools, files };
+  }
+  for (const item of content) {
+    if (item.type !== "tool_use") {
+      continue;
+    }
+    tools.push(item.name);
+    const filePath = item.input?.file_path ?? item.input?.notebook_path ?? item.input?.path;
+    if (typeof filePath === "string") {
+      files.push(filePath);
+    }
+  }
+  return { tools, files };
+}
+
+// Read the searchable messages of a log file
+function readLogDocuments(logFile) {
+  const documents = [];
+  const lines = readFileSync(logFile, "utf8").split("\n");
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    if ((entry.type !== "user" && entry.type !== "assistant") || entry.isMeta) {
+      continue;
+    }
+
+    const content = entry.message?.content;
+    const text = extractMessageText(content);
+    const { tools, files } = extractToolUses(content);
+    if (!text && tools.length === 0) {
+      continue;
+    }
+
+    documents.push({
+      uuid: entry.uuid,
+      sessionId: entry.sessionId ?? basename(logFile, ".jsonl"),
+      project: entry.cwd ?? basename(dirname(logFile)),
+      timestamp: entry.timestamp,
+      role: entry.type,
+      text: text.slice(0, MAX_STORED_TEXT_LENGTH),
+      tools,
+      files,
+      terms: [...new Set(tokenize(text))]
+    });
+  }
+
+  return documents;
+}
+
+function loadSearchIndex() {
+  const indexPath = getSearchIndexPath();
+  if (!existsSync(indexPath)) {
+    return { version: SEARCH_INDEX_VERSION, files: {} };
+  }
+  try {
+    const index = JSON.parse(readFileSync(indexPath, "utf8"));
+    if (index.version === SEARCH_INDEX_VERSION) {
+      return index;
+    }
+  } catch (error) {
+    h1(error instanceof Error ? error : new Error(String(error)));
+  }
+  return { version: SEARCH_INDEX_VERSION, files: {} };
+}
+
+function saveSearchIndex(index) {
+  const indexPath = getSearchIndexPath();
+  mkdirSync(dirname(indexPath), { recursive: true });
+  writeFileSync(indexPath, JSON.stringify(index), "utf8");
+}
+
+// Bring the index up to date with the logs on disk
+export function updateSearchIndex({ rebuild = false } = {}) {
+  const index = rebuild ? { version: SEARCH_INDEX_VERSION, files: {} } : loadSearchIndex();
+  const seenFiles = new Set();
+  let changed = rebuild;
+
+  for (const directory of getProjectLogDirectories()) {
+    for (const logFile of getLogFiles(directory)) {
+      seenFiles.add(logFile);
+      try {
+        const { mtimeMs, size } = statSync(logFile);
+        const cached = index.files[logFile];
+        if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+          continue;
+        }
+        index.files[logFile] = { mtimeMs, size, documents: readLogDocuments(logFile) };
+        changed = true;
+      } catch (error) {
+        h1(error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  }
+
+  // Forget logs that were deleted
+  for (const logFile of Object.keys(index.files)) {
+    if (!seenFiles.has(logFile)) {
+      delete index.files[logFile];
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    saveSearchIndex(index);
+  }
+
+  iA(`Search index covers ${Object.keys(index.files).length} conversation logs`);
+  return index;
+}
+
+// Build term -> document postings, plus tools and files used per session
+function buildInvertedIndex(index) {
+  const documents = [];
+  const postings = new Map();
+  const sessions = new Map();
+
+  for (const [logFile, { documents: fileDocuments }] of Object.entries(index.files)) {
+    fileDocuments.forEach((document, position) => {
+      const id = documents.length;
+      documents.push({ ...document, logFile, position });
+
+      for (const term of document.terms) {
+        if (!postings.has(term)) {
+          postings.set(term, []);
+        }
+        postings.get(term).push(id);
+      }
+
+      const session = sessions.get(document.sessionId) ?? { tools: new Set(), files: new Set() };
+      document.tools.forEach((tool) => session.tools.add(tool.toLowerCase()));
+      document.files.forEach((file) => session.files.add(file));
+      sessions.set(document.sessionId, session);
+    });
+  }
+
+  return { documents, postings, sessions };
+}
+
+// Date-only upper bounds include the whole day
+function parseDateFilter(value, isUpperBound) {
+  if (!value) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return isUpperBound && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 : time;
+}
+
+function matchesFileFilter(files, pattern) {
+  return [...files].some((file) => /[*?[\]{}]/.test(pattern)
+    ? minimatch(file, pattern, { dot: true, matchBase: true })
+    : file.includes(pattern));
+}
+
+function truncateText(text, length) {
+  const singleLine = text.replace(/\s+/g, " ").trim();
+  return singleLine.length > length ? `${singleLine.slice(0, length - 1)}…` : singleLine;
+}
+
+// Cut a window of text around the first matching term
+function buildSnippet(text, terms) {
+  const lowerText = text.toLowerCase();
+  const matchIndex = terms
+    .map((term) => lowerText.indexOf(term))
+    .filter((index) => index !== -1)
+    .reduce((first, index) => Math.min(first, index), Infinity);
+
+  if (matchIndex === Infinity || text.length <= SNIPPET_LENGTH) {
+    return truncateText(text, SNIPPET_LENGTH);
+  }
+
+  const start = Math.max(0, matchIndex - SNIPPET_LENGTH / 3);
+  const snippet = truncateText(text.slice(start, start + SNIPPET_LENGTH), SNIPPET_LENGTH);
+  return start > 0 ? `…${snippet}` : snippet;
+}
+
+function buildResumeCommand(project, sessionId) {
+  return project.startsWith("/")
+    ? `cd ${quoteForShell(project)} && claude --resume ${sessionId}`
+    : `claude --resume ${sessionId}`;
+}
+
+// Search past conversations. All query terms must appear in a message; the tool and
+// file filters apply to the whole session the message belongs to.
+export function searchConversations(query, options = {}) {
+  const { project, tool, file, limit = DEFAULT_SEARCH_LIMIT, context = 1 } = options;
+  const since = parseDateFilter(options.since, false);
+  const until = parseDateFilter(options.until, true);
+  const queryTerms = [...new Set(tokenize(query ?? ""))];
+
+  const index = updateSearchIndex({ rebuild: options.reindex });
+  const { documents, postings, sessions } = buildInvertedIndex(index);
+
+  let candidateIds;
+  if (queryTerms.length > 0) {
+    const termPostings = queryTerms
+      .map((term) => postings.get(term) ?? [])
+      .sort((a, b) => a.length - b.length);
+    const [shortest, ...rest] = termPostings;
+    const restSets = rest.map((ids) => new Set(ids));
+    candidateIds = shortest.filter((id) => restSets.every((ids) => ids.has(id)));
+  } else {
+    candidateIds = documents.map((document, id) => id);
+  }
+
+  const hits = candidateIds
+    .map((id) => documents[id])
+    .filter((document) => {
+      if (queryTerms.length === 0 && !document.text) {
+        return false;
+      }
+      if (project && !document.project.toLowerCase().includes(project.toLowerCase())) {
+        return false;
+      }
+      const time = new Date(document.timestamp).getTime();
+      if ((since !== null && !(time >= since)) || (until !== null && !(time < until))) {
+        return false;
+      }
+      const session = sessions.get(document.sessionId);
+      if (tool && !session.tools.has(tool.toLowerCase())) {
+        return false;
+      }
+      if (file && !matchesFileFilter(session.files, file)) {
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime())
+    .slice(0, limit);
+
+  return hits.map((document) => {
+    const fileDocuments = index.files[document.logFile].documents;
+    const toContext = (neighbour) => ({
+      role: neighbour.role,
+      text: truncateText(neighbour.text, CONTEXT_TEXT_LENGTH)
+    });
+
+    return {
+      sessionId: document.sessionId,
+      project: document.project,
+      logFile: document.logFile,
+      uuid: document.uuid,
+      timestamp: document.timestamp,
+      role: document.role,
+      snippet: buildSnippet(document.text, queryTerms),
+      before: fileDocuments
+        .slice(Math.max(0, document.position - context), document.position)
+        .filter((neighbour) => neighbour.text)
+        .map(toContext),
+      after: fileDocuments
+        .slice(document.position + 1, document.position + 1 + context)
+        .filter((neighbour) => neighbour.text)
+        .map(toContext),
+      resumeCommand: buildResumeCommand(document.project, document.sessionId)
+    };
+  });
+}
+
+function formatRole(role) {
+  return role === "user" ? "User" : "Claude";
+}
+
+// Format search hits for terminal output
+export function formatSearchResults(hits) {
+  if (hits.length === 0) {
+    return "No matching conversations found";
+  }
+
+  return hits.map((hit) => {
+    const timestamp = hit.timestamp ? new Date(hit.timestamp).toLocaleString() : "unknown time";
+    return [
+      `${timestamp} · ${hit.project} · session ${hit.sessionId}`,
+      ...hit.before.map((message) => `    ${formatRole(message.role)}: ${message.text}`),
+      `  > ${formatRole(hit.role)}: ${hit.snippet}`,
+      ...hit.after.map((message) => `    ${formatRole(message.role)}: ${message.text}`),
+      `  Resume: ${hit.resumeCommand}`
+    ].join("\n");
+  }).join("\n\n");
+}
@@ -11,6 +11,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { checkpointManager } = require('./tools-checkpoint');
 
 /**
  * Edit tool用のエラーコード定義
@@ -345,13 +346,13 @@ String: ${old_string}`,
         });
     },
     
-    async* call({ file_path, old_string, new_string, replace_all = false }, { readFileState, userModified }) {
+    async* call({ file_path, old_string, new_string, replace_all = false }, { readFileState, userModified, abortController }) {
         const resolvedPath = N5(file_path);
         const exists = fs.existsSync(resolvedPath);
         const originalContent = exists ? aD(resolvedPath) : "";
         
-        // ファイル編集前イベント（仮実装）
-        console.log(`Before file edited: ${resolvedPath}`);
+        // 編集前に自動チェックポイントを作成
+        await checkpointManager.createAutoCheckpoint("Edit", resolvedPath, { turn: abortController });
         
         // パッチを適用
         const { patch, updatedFile } = rAA({
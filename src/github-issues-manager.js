@@ -5,6 +5,16 @@
  * 主な機能: GitHub Issues・PR総合管理、並列処理最適化、ブランチ状態分析
  */
 
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Todo と Issue を対応付けるために Issue 本文へ埋め込むマーカー
+const TODO_ISSUE_MARKER_PREFIX = '<!-- claude-todo:';
+const TODO_CHECKLIST_START = '<!-- claude-todos:start -->';
+const TODO_CHECKLIST_END = '<!-- claude-todos:end -->';
+
 class GitHubIssuesManager {
     constructor() {
         this.initializeGitHubServices();
@@ -365,6 +375,76 @@ class GitHubIssuesManager {
         return await this.executeGitHubCommand('checks', action, params);
     }
 
+    /**
+     * Todo → Issue 同期
+     * pending / in_progress は open、completed は closed に対応付ける。
+     * Issue 本文のマーカーで Todo ID と対応する Issue を探すため、再実行しても重複しない。
+     * Todo ID はセッションごとに振られるので、マーカーには scope（セッション ID や "backlog"）も含める。
+     */
+    async syncTodosToIssues(todos, { scope, limit = 500 } = {}) {
+        if (!scope) {
+            throw new Error('syncTodosToIssues requires a scope (session ID or "backlog")');
+        }
+        const summary = { created: [], updated: [], closed: [], reopened: [], skipped: [] };
+        const issues = JSON.parse(await this.executeGh(['issue', 'list', '--state', 'all', '--limit', String(limit), '--json', 'number,title,state,body']));
+
+        for (let todo of todos) {
+            const marker = `${TODO_ISSUE_MARKER_PREFIX}${scope}:${todo.id} -->`;
+            const issue = issues.find(candidate => (candidate.body ?? '').includes(marker));
+            const title = todo.content.length > 256 ? `${todo.content.slice(0, 255)}…` : todo.content;
+            const body = `${marker}\nPriority: ${todo.priority}\nStatus: ${todo.status.replace('_', ' ')}\n\n_Synced from the agent's todo list._`;
+            const shouldBeOpen = todo.status !== 'completed';
+
+            if (!issue) {
+                // 既に完了済みの Todo は新たな Issue を作らない
+                if (!shouldBeOpen) {
+                    summary.skipped.push({ todo });
+                    continue;
+                }
+                const output = await this.executeGh(['issue', 'create', '--title', title, '--body', body]);
+                const number = output.match(/\/issues\/(\d+)/)?.[1] ?? null;
+                summary.created.push({ todo, number, url: output.trim() });
+                continue;
+            }
+
+            if (issue.title !== title || issue.body.replace(/\r\n/g, '\n').trim() !== body) {
+                await this.executeGh(['issue', 'edit', String(issue.number), '--title', title, '--body', body]);
+                summary.updated.push({ todo, number: issue.number });
+            }
+            const isOpen = issue.state === 'OPEN';
+            if (isOpen && !shouldBeOpen) {
+                await this.executeGh(['issue', 'close', String(issue.number)]);
+                summary.closed.push({ todo, number: issue.number });
+            } else if (!isOpen && shouldBeOpen) {
+                await this.executeGh(['issue', 'reopen', String(issue.number)]);
+                summary.reopened.push({ todo, number: issue.number });
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * PR 本文へ Todo チェックリストを書き込む
+     * マーカーで囲んだ区間だけを置き換え、既存の説明文は残す。
+     * number を省略すると現在のブランチの PR が対象。
+     */
+    async writeChecklistToPullRequest(markdown, number = '') {
+        if (number !== '' && !/^[1-9]\d*$/.test(String(number))) {
+            throw new Error(`Invalid pull request number: ${number}`);
+        }
+        const target = number === '' ? [] : [String(number)];
+        const { body = '' } = JSON.parse(await this.executeGh(['pr', 'view', ...target, '--json', 'body']));
+        const section = `${TODO_CHECKLIST_START}\n${markdown.trim()}\n${TODO_CHECKLIST_END}`;
+        const start = body.indexOf(TODO_CHECKLIST_START);
+        const end = body.indexOf(TODO_CHECKLIST_END);
+        const updatedBody = start !== -1 && end > start
+            ? `${body.slice(0, start)}${section}${body.slice(end + TODO_CHECKLIST_END.length)}`
+            : `${body.trimEnd()}${body.trim() ? '\n\n' : ''}${section}`;
+        await this.executeGh(['pr', 'edit', ...target, '--body', updatedBody]);
+        return updatedBody;
+    }
+
     /**
      * 総合GitHub管理
      */
@@ -430,6 +510,14 @@ class GitHubIssuesManager {
         return `Mock result for: ${command}`;
     }
 
+    /**
+     * gh を引数配列で実行（シェルを介さないため、タイトルや本文をそのまま渡せる）
+     */
+    async executeGh(args) {
+        const { stdout } = await execFileAsync('gh', args, { cwd: dA(), maxBuffer: 10 * 1024 * 1024 });
+        return stdout;
+    }
+
     generateHeredocCommand(content) {
         return `$(cat <<'EOF'\n${content}\nEOF\n)`;
     }
@@ -473,6 +561,20 @@ function performPRCreationCheck() {
     return gitHubIssuesManager.performPRCreationCheck();
 }
 
+/**
+ * ファクトリー関数: Todo → Issue 同期
+ */
+function syncTodosToIssues(todos, options = {}) {
+    return gitHubIssuesManager.syncTodosToIssues(todos, options);
+}
+
+/**
+ * ファクトリー関数: PR 本文への Todo チェックリスト書き込み
+ */
+function writeChecklistToPullRequest(markdown, number = '') {
+    return gitHubIssuesManager.writeChecklistToPullRequest(markdown, number);
+}
+
 module.exports = {
     GitHubIssuesManager,
     gitHubIssuesManager,
@@ -480,7 +582,9 @@ module.exports = {
     handleGitHubTask,
     analyzeBranchState,
     generateParallelBashCommands,
-    performPRCreationCheck
+    performPRCreationCheck,
+    syncTodosToIssues,
+    writeChecklistToPullRequest
 };
 
 // 直接アクセス可能なエクスポート
@@ -488,4 +592,6 @@ module.exports.parseGitHubUrl = parseGitHubUrl;
 module.exports.handleGitHubTask = handleGitHubTask;
 module.exports.analyzeBranchState = analyzeBranchState;
 module.exports.generateParallelBashCommands = generateParallelBashCommands;
-module.exports.performPRCreationCheck = performPRCreationCheck;
\ No newline at end of file
+module.exports.performPRCreationCheck = performPRCreationCheck;
+module.exports.syncTodosToIssues = syncTodosToIssues;
+module.exports.writeChecklistToPullRequest = writeChecklistToPullRequest;
\ No newline at end of file
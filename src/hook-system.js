@@ -2,6 +2,13 @@
 
 import { spawn } from 'child_process';
 import { randomUUID as R0A } from 'crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, statSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+import { minimatch } from 'minimatch';
+import { getLogDirectoryPath } from './conversation-log.js';
+import { getCurrentSessionId, getScopedSessionId } from './session-context.js';
+import { ToolPermissionManager } from './tool-permissions.js';
 
 // RO2 - Generate hook blocking message
 export function RO2(toolName, blockingErrors) {
@@ -98,12 +105,276 @@ export async function* O0A(hookData, toolUseId, toolName, abortSignal, timeout =
     };
   }
   
-  // Continue with command execution...
-  // (This is a partial implementation as the function continues beyond the extracted lines)
+  // Run the commands (in parallel where allowed), then interpret results in order
+  const results = await runHookCommands(commands, hookInput, hookName, eventName, abortSignal, timeout);
+  
+  for (const [index, result] of results.entries()) {
+    yield* Rq6(result, commands[index].command, hookName, eventName, toolUseId, blockingErrors);
+  }
+}
+
+// Run hook commands concurrently. Hooks from a matcher with "parallel": false share
+// a lane and run one after another; every other hook gets a lane of its own.
+async function runHookCommands(commands, hookInput, hookName, eventName, abortSignal, timeout) {
+  const results = new Array(commands.length);
+  const lanes = new Map();
+  
+  commands.forEach((command, index) => {
+    const laneKey = command.sequentialGroup ?? `hook-${index}`;
+    if (!lanes.has(laneKey)) {
+      lanes.set(laneKey, []);
+    }
+    lanes.get(laneKey).push(index);
+  });
+  
+  await Promise.all([...lanes.values()].map(async (indexes) => {
+    for (const index of indexes) {
+      results[index] = await runHookCommand(commands[index], hookInput, hookName, eventName, abortSignal, timeout);
+    }
+  }));
+  
+  return results;
+}
+
+// Run a single hook command with its timeout and record the run in the hook log
+async function runHookCommand(command, hookInput, hookName, eventName, abortSignal, timeout) {
+  if (abortSignal?.aborted) {
+    return { stdout: "", stderr: "Operation cancelled", status: 1, aborted: true, durationMs: 0 };
+  }
+  
+  const controller = new AbortController();
+  const { signal, cleanup } = _q6(abortSignal ?? new AbortController().signal, controller);
+  const configuredTimeout = command.timeout ? command.timeout * 1000 : timeout;
+  // SessionEnd hooks hold up exit, so their timeout is a cap a hook can only lower
+  const commandTimeout = eventName === "SessionEnd" ? Math.min(configuredTimeout, timeout) : configuredTimeout;
+  let timedOut = false;
+  
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, commandTimeout);
+  
+  const startTime = Date.now();
+  let result;
+  try {
+    result = await LO2(command.command, hookInput, signal);
+  } catch (error) {
+    result = {
+      stdout: "",
+      stderr: `Failed to run hook command: ${error instanceof Error ? error.message : String(error)}`,
+      status: 1
+    };
+  } finally {
+    clearTimeout(timeoutId);
+    cleanup();
+  }
+  
+  // A timeout is a failure of the hook, not a cancellation by the user
+  if (timedOut) {
+    result = {
+      ...result,
+      stderr: `Hook timed out after ${commandTimeout / 1000}s${result.stderr ? `\n${result.stderr}` : ""}`,
+      status: 1,
+      aborted: false,
+      timedOut: true
+    };
+  }
+  
+  result.durationMs = Date.now() - startTime;
+  
+  if (result.durationMs > SLOW_HOOK_THRESHOLD_MS) {
+    iA(`${hookName} [${command.command}] took ${result.durationMs}ms`);
+  }
+  
+  appendHookRunLog({
+    timestamp: new Date().toISOString(),
+    session_id: getCurrentSessionId(),
+    event: eventName,
+    hookName: hookName,
+    matcher: command.matcher,
+    command: command.command,
+    durationMs: result.durationMs,
+    timeoutMs: commandTimeout,
+    status: result.status,
+    timedOut: result.timedOut ?? false,
+    aborted: result.aborted ?? false,
+    stdout: truncateHookOutput(result.stdout),
+    stderr: truncateHookOutput(result.stderr)
+  });
+  
+  return result;
+}
+
+// Path of the persistent JSONL log of hook runs
+export function getHookRunLogPath() {
+  return join(homedir(), ".claude", "logs", "hook-runs.jsonl");
+}
+
+// Append one hook run to the log, rotating it once it grows too large. Logging
+// failures are only reported in debug output so they never affect the hook itself.
+function appendHookRunLog(entry) {
+  try {
+    const logPath = getHookRunLogPath();
+    mkdirSync(dirname(logPath), { recursive: true });
+    
+    if (existsSync(logPath) && statSync(logPath).size > HOOK_RUN_LOG_MAX_BYTES) {
+      renameSync(logPath, `${logPath}.1`);
+    }
+    
+    appendFileSync(logPath, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    iA(`Failed to write hook run log: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+// Read the most recent hook runs, newest first
+export function readHookRunLog(limit = 100) {
+  const logPath = getHookRunLogPath();
+  if (!existsSync(logPath)) return [];
+  
+  try {
+    return readFileSync(logPath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .slice(-limit)
+      .reverse()
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  } catch (error) {
+    h1(error);
+    return [];
+  }
+}
+
+function truncateHookOutput(output) {
+  if (!output) return "";
+  return output.length > HOOK_RUN_LOG_MAX_OUTPUT
+    ? `${output.slice(0, HOOK_RUN_LOG_MAX_OUTPUT)}… [truncated]`
+    : output;
+}
+
+// Rq6 - Interpret a single hook command result
+function* Rq6(result, command, hookName, eventName, toolUseId, blockingErrors) {
+  if (result.aborted) {
+    iA(`${hookName} [${command}] cancelled`);
+    yield {
+      message: MD(`${hookName} [${command}] cancelled`, "info", toolUseId)
+    };
+    return;
+  }
+  
+  // A timeout is a failure of the hook, whatever it managed to print
+  if (result.timedOut) {
+    yield {
+      message: MD(`${hookName} [${command}] ${result.stderr.split("\n")[0]}`, "warning", toolUseId)
+    };
+    return;
+  }
+  
+  // Exit code 2 always blocks, even if stdout also carries a JSON decision
+  if (result.status === 2) {
+    const blockingError = {
+      blockingError: `[${command}]: ${result.stderr || "No stderr output"}`,
+      command: command
+    };
+    blockingErrors.push(blockingError);
+    yield {
+      blockingErrors: [blockingError],
+      permissionDecision: "deny",
+      permissionDecisionReason: result.stderr || "No stderr output"
+    };
+    return;
+  }
+  
+  if (result.status === 0) {
+    // Structured JSON output is only honored from a hook that exited successfully
+    const { json, plainText, validationError } = Tq6(result.stdout);
+    
+    if (validationError) {
+      yield {
+        message: MD(`${hookName} [${command}] ${validationError}`, "warning", toolUseId)
+      };
+    }
+    
+    if (json) {
+      iA(`${hookName} [${command}] returned a JSON decision`);
+      const processed = Pq6(json, command);
+      if (processed.blockingErrors) {
+        blockingErrors.push(...processed.blockingErrors);
+      }
+      if (json.reason && !processed.suppressOutput) {
+        processed.message = MD(`${hookName} [${command}] ${json.decision ?? "responded"}: ${json.reason}`, "info", toolUseId);
+      }
+      yield processed;
+      return;
+    }
+    
+    iA(`${hookName} [${command}] completed successfully`);
+    
+    // Plain stdout from context-aware events is handed to the model as extra context
+    if (HOOK_CONTEXT_EVENTS.includes(eventName) && plainText?.trim()) {
+      yield { additionalContext: plainText.trim() };
+      return;
+    }
+    
+    yield {
+      message: MD(`${hookName} [${command}] completed successfully${result.stdout ? `: ${result.stdout.trim()}` : ""}`, "info", toolUseId)
+    };
+    return;
+  }
+  
+  yield {
+    message: MD(
+      `${hookName} [${command}] failed with non-blocking status code ${result.status}: ${result.stderr || "No stderr output"}`,
+      "warning",
+      toolUseId
+    )
+  };
+}
+
+// Collect the results yielded by a hook generator into a single summary
+export async function collectHookResults(hookGenerator) {
+  const summary = {
+    messages: [],
+    blockingErrors: [],
+    additionalContexts: [],
+    preventContinuation: false,
+    stopReason: undefined,
+    updatedPrompt: undefined,
+    updatedInput: undefined,
+    permissionDecision: undefined,
+    permissionDecisionReason: undefined
+  };
+  
+  for await (const result of hookGenerator) {
+    if (result.message) summary.messages.push(result.message);
+    if (result.updatedInput) summary.updatedInput = { ...summary.updatedInput, ...result.updatedInput };
+    if (result.permissionDecision &&
+        PERMISSION_DECISION_PRIORITY.indexOf(result.permissionDecision) >
+        PERMISSION_DECISION_PRIORITY.indexOf(summary.permissionDecision)) {
+      // The most restrictive decision across hooks wins
+      summary.permissionDecision = result.permissionDecision;
+      summary.permissionDecisionReason = result.permissionDecisionReason;
+    }
+    if (result.blockingErrors) summary.blockingErrors.push(...result.blockingErrors);
+    if (result.additionalContext) summary.additionalContexts.push(result.additionalContext);
+    if (result.updatedPrompt !== undefined) summary.updatedPrompt = result.updatedPrompt;
+    if (result.preventContinuation) {
+      summary.preventContinuation = true;
+      summary.stopReason = result.stopReason ?? summary.stopReason;
+    }
+  }
+  
+  return summary;
 }
 
 // jq6 - Execute hooks without yielding (async function)
-export async function jq6(hookData, toolName, timeout = mA1) {
+export async function jq6(hookData, toolName, timeout = mA1, abortSignal) {
   const eventName = hookData.hook_event_name;
   const hookName = toolName ? `${eventName}:${toolName}` : eventName;
   
@@ -123,39 +394,27 @@ export async function jq6(hookData, toolName, timeout = mA1) {
   }
   
   // Execute commands in parallel
-  const commandPromises = commands.map(async (command) => {
-    const controller = new AbortController();
-    const commandTimeout = command.timeout ? command.timeout * 1000 : timeout;
-    
-    const timeoutId = setTimeout(() => {
-      controller.abort();
-    }, commandTimeout);
+  const results = await runHookCommands(commands, hookInput, hookName, eventName, abortSignal, timeout);
+  
+  results.forEach((result, index) => {
+    const command = commands[index];
     
-    try {
-      const result = await LO2(command.command, hookInput, controller.signal);
-      clearTimeout(timeoutId);
-      
-      if (result.aborted) {
-        iA(`${hookName} [${command.command}] cancelled`);
-        return;
-      }
-      
-      if (result.status === 0) {
-        iA(`${hookName} [${command.command}] completed successfully`);
-        if (result.stdout) {
-          return result.stdout;
-        }
-      } else {
-        J9(`${hookName} [${command.command}] failed with status code ${result.status}: ${result.stderr || "No stderr output"}`);
-      }
-    } catch (error) {
-      clearTimeout(timeoutId);
-      const errorMessage = error instanceof Error ? error.message : String(error);
-      J9(`${hookName} [${command.command}] failed to run: ${errorMessage}`);
+    if (result.aborted) {
+      iA(`${hookName} [${command.command}] cancelled`);
+    } else if (result.status === 0) {
+      iA(`${hookName} [${command.command}] completed successfully`);
+    } else {
+      J9(`${hookName} [${command.command}] failed with status code ${result.status}: ${result.stderr || "No stderr output"}`);
     }
   });
-  
-  await Promise.all(commandPromises);
+}
+
+// When several hooks decide on the same tool call, the most restrictive decision wins
+const PERMISSION_DECISION_PRIORITY = [undefined, "allow", "ask", "deny"];
+
+// Run pre-tool hooks and summarize their decisions for the permission check
+export async function runPreToolUseHooks(toolName, toolUseId, toolInput, abortSignal, timeout = mA1) {
+  return collectHookResults(PO2(toolName, toolUseId, toolInput, abortSignal, timeout));
 }
 
 // PO2 - Execute pre-tool hooks
@@ -214,9 +473,89 @@ export async function* jO2(abortSignal, timeout = mA1, isHookActive = false, isS
   yield* O0A(hookData, R0A(), undefined, abortSignal, timeout);
 }
 
+// Execute session start hooks (source: "startup" | "resume" | "clear")
+export async function* executeSessionStartHooks(source, abortSignal, timeout = mA1) {
+  const hookData = {
+    ...Wz1(),
+    hook_event_name: "SessionStart",
+    source: source
+  };
+  
+  yield* O0A(hookData, R0A(), source, abortSignal, timeout);
+}
+
+// Run session start hooks and turn their context into meta messages for the conversation
+export async function getSessionStartHookMessages(source, abortSignal) {
+  const { additionalContexts } = await collectHookResults(executeSessionStartHooks(source, abortSignal));
+  
+  return additionalContexts.map(context => W2({
+    content: `<session-start-hook>${context}</session-start-hook>`,
+    isMeta: true
+  }));
+}
+
+// Execute user prompt submit hooks
+export async function* executeUserPromptSubmitHooks(prompt, abortSignal, timeout = mA1) {
+  const hookData = {
+    ...Wz1(),
+    hook_event_name: "UserPromptSubmit",
+    prompt: prompt
+  };
+  
+  yield* O0A(hookData, R0A(), undefined, abortSignal, timeout);
+}
+
+// Execute pre-compact hooks (trigger: "manual" | "auto")
+export async function* executePreCompactHooks(trigger, customInstructions, abortSignal, timeout = mA1) {
+  const hookData = {
+    ...Wz1(),
+    hook_event_name: "PreCompact",
+    trigger: trigger,
+    custom_instructions: customInstructions
+  };
+  
+  yield* O0A(hookData, R0A(), trigger, abortSignal, timeout);
+}
+
+// Execute session end hooks. Runs without yielding since the session is going away.
+// The timeout is one deadline for the whole run, including hooks queued behind others
+// with "parallel": false: at the deadline running hooks are aborted and exit goes on.
+export async function executeSessionEndHooks(reason, timeout = SESSION_END_HOOK_TIMEOUT_MS) {
+  const hookData = {
+    ...Wz1(),
+    hook_event_name: "SessionEnd",
+    reason: reason
+  };
+  
+  const deadline = new AbortController();
+  let timeoutId;
+  const deadlineReached = new Promise((resolve) => {
+    timeoutId = setTimeout(() => {
+      iA(`SessionEnd hooks did not finish within ${timeout / 1000}s`);
+      deadline.abort();
+      resolve();
+    }, timeout);
+  });
+  
+  try {
+    await Promise.race([jq6(hookData, undefined, timeout, deadline.signal), deadlineReached]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
 // Hook management variables and functions
 let fT = null;
 const mA1 = 60000; // Default timeout
+const SESSION_END_HOOK_TIMEOUT_MS = 5000;
+
+// Hook run log limits
+const HOOK_RUN_LOG_MAX_BYTES = 5 * 1024 * 1024;
+const HOOK_RUN_LOG_MAX_OUTPUT = 2000;
+const SLOW_HOOK_THRESHOLD_MS = 5000;
+
+// Events whose plain stdout (exit code 0) is added to the conversation as context
+const HOOK_CONTEXT_EVENTS = ["SessionStart", "UserPromptSubmit", "PreCompact"];
 
 // L0A - Normalize hooks configuration
 function L0A(hooksConfig) {
@@ -237,6 +576,8 @@ function L0A(hooksConfig) {
     
     normalized[eventName] = sortedMatchers.map(matcher => ({
       matcher: matcher.matcher,
+      timeout: matcher.timeout,
+      parallel: matcher.parallel,
       hooks: [...matcher.hooks].sort((a, b) => a.command.localeCompare(b.command))
     }));
   }
@@ -343,10 +684,12 @@ export function $O2() {
 }
 
 // Wz1 - Get hook context
+// A served session gets its own ID and transcript rather than the process-wide ones
 export function Wz1() {
+  const scopedSessionId = getScopedSessionId();
   return {
-    session_id: PB(),
-    transcript_path: eh1()
+    session_id: getCurrentSessionId(),
+    transcript_path: scopedSessionId ? join(getLogDirectoryPath(dA()), `${scopedSessionId}.jsonl`) : eh1()
   };
 }
 
@@ -355,8 +698,11 @@ const Oq6 = m.object({
   continue: m.boolean().optional(),
   suppressOutput: m.boolean().optional(),
   stopReason: m.string().optional(),
-  decision: m.enum(["approve", "block"]).optional(),
-  reason: m.string().optional()
+  decision: m.enum(["approve", "block", "ask"]).optional(),
+  reason: m.string().optional(),
+  updatedInput: m.record(m.unknown()).optional(),
+  updatedPrompt: m.string().optional(),
+  additionalContext: m.string().optional()
 });
 
 // Tq6 - Parse hook output
@@ -380,16 +726,20 @@ export function Tq6(output) {
         continue: "boolean (optional)",
         suppressOutput: "boolean (optional)",
         stopReason: "string (optional)",
-        decision: '"approve" | "block" (optional)',
-        reason: "string (optional)"
-      }, null, 2)}`;
+        decision: '"approve" | "block" | "ask" (optional)',
+        reason: "string (optional)",
+        updatedInput: "object (optional, PreToolUse only)",
+        updatedPrompt: "string (optional, UserPromptSubmit only)",
+        additionalContext: "string (optional)"
+      }, null, 2)}\n\nFalling back to exit code handling.`;
       
       iA(errorMessage);
       return { plainText: output, validationError: errorMessage };
     }
   } catch (error) {
-    iA(`Failed to parse hook output as JSON: ${error}`);
-    return { plainText: output };
+    const errorMessage = `Hook output looks like JSON but could not be parsed: ${error instanceof Error ? error.message : String(error)}\n\nFalling back to exit code handling.`;
+    iA(errorMessage);
+    return { plainText: output, validationError: errorMessage };
   }
 }
 
@@ -404,25 +754,52 @@ export function Pq6(hookJson, command) {
     }
   }
   
+  if (hookJson.suppressOutput) {
+    result.suppressOutput = true;
+  }
+  
+  if (hookJson.updatedInput) {
+    result.updatedInput = hookJson.updatedInput;
+  }
+  
+  if (hookJson.updatedPrompt !== undefined) {
+    result.updatedPrompt = hookJson.updatedPrompt;
+  }
+  
+  if (hookJson.additionalContext) {
+    result.additionalContext = hookJson.additionalContext;
+  }
+  
   if (hookJson.decision) {
     switch (hookJson.decision) {
       case "approve":
         result.hookApproved = true;
+        result.permissionDecision = "allow";
         if (hookJson.reason) {
           result.hookApprovalReason = hookJson.reason;
+          result.permissionDecisionReason = hookJson.reason;
         }
         break;
         
       case "block":
+        result.permissionDecision = "deny";
+        result.permissionDecisionReason = hookJson.reason || "Blocked by hook";
         result.blockingErrors = [{
           blockingError: hookJson.reason || "Blocked by hook",
           command: command
         }];
         break;
         
+      case "ask":
+        result.permissionDecision = "ask";
+        if (hookJson.reason) {
+          result.permissionDecisionReason = hookJson.reason;
+        }
+        break;
+        
       default:
         result.blockingErrors = [{
-          blockingError: `Unknown hook decision type: ${hookJson.decision}. Valid types are: approve, block`,
+          blockingError: `Unknown hook decision type: ${hookJson.decision}. Valid types are: approve, block, ask`,
           command: command
         }];
         break;
@@ -514,15 +891,57 @@ export async function LO2(command, input, signal) {
   }
 }
 
-// Sq6 - Match hook pattern
-function Sq6(toolName, pattern) {
-  if (/^[a-zA-Z0-9_|]+$/.test(pattern)) {
-    if (pattern.includes("|")) {
-      return pattern.split("|").map(p => p.trim()).includes(toolName);
+// Sq6 - Match hook pattern. Matchers use the permission-rule grammar: a tool name
+// (exact, "A|B", glob such as "mcp__github__*", or regex), optionally followed by
+// an argument pattern, e.g. "Edit(src/**/*.ts)" or "Bash(git push:*)".
+function Sq6(toolName, pattern, toolInput) {
+  const alternatives = splitMatcherAlternatives(pattern);
+  if (alternatives.length > 1) {
+    return alternatives.some(alternative => Sq6(toolName, alternative, toolInput));
+  }
+  
+  const permissionManager = new ToolPermissionManager();
+  const rule = permissionManager.parseToolRule(pattern.trim());
+  if (rule.ruleContent !== undefined) {
+    return matchToolNamePattern(toolName, rule.toolName.trim()) &&
+      permissionManager.matchRuleContent(toolName, rule.ruleContent, toolInput, "some");
+  }
+  
+  return matchToolNamePattern(toolName, pattern.trim());
+}
+
+// Split "A|B(x|y)" on top-level "|" only, so argument patterns may contain "|"
+function splitMatcherAlternatives(pattern) {
+  const alternatives = [];
+  let depth = 0;
+  let current = "";
+  
+  for (const char of pattern) {
+    if (char === "(") depth++;
+    if (char === ")") depth = Math.max(0, depth - 1);
+    
+    if (char === "|" && depth === 0) {
+      alternatives.push(current.trim());
+      current = "";
+    } else {
+      current += char;
     }
+  }
+  alternatives.push(current.trim());
+  
+  return alternatives.filter(Boolean);
+}
+
+function matchToolNamePattern(toolName, pattern) {
+  if (/^[a-zA-Z0-9_]+$/.test(pattern)) {
     return toolName === pattern;
   }
   
+  // Simple globs like "mcp__github__*"
+  if (/^[a-zA-Z0-9_*-]+$/.test(pattern)) {
+    return minimatch(toolName, pattern);
+  }
+  
   try {
     return new RegExp(pattern).test(toolName);
   } catch {
@@ -531,6 +950,17 @@ function Sq6(toolName, pattern) {
   }
 }
 
+// Copy matcher-level settings onto each hook: a matcher "timeout" (seconds) applies to
+// hooks without their own, and "parallel": false makes the matcher's hooks run in order
+function withMatcherSettings(matcher, matcherIndex) {
+  return matcher.hooks.map(hook => ({
+    ...hook,
+    timeout: hook.timeout ?? matcher.timeout,
+    matcher: matcher.matcher,
+    sequentialGroup: matcher.parallel === false ? `matcher-${matcherIndex}` : undefined
+  }));
+}
+
 // MO2 - Get matching hook commands
 export function MO2(eventName, hookData) {
   try {
@@ -542,6 +972,12 @@ export function MO2(eventName, hookData) {
       case "PostToolUse":
         matchQuery = hookData.tool_name;
         break;
+      case "SessionStart":
+        matchQuery = hookData.source;
+        break;
+      case "PreCompact":
+        matchQuery = hookData.trigger;
+        break;
       default:
         break;
     }
@@ -550,14 +986,14 @@ export function MO2(eventName, hookData) {
     iA(`Found ${eventHooks.length} hook matchers in settings`);
     
     if (!matchQuery) {
-      const allHooks = eventHooks.flatMap(matcher => matcher.hooks);
+      const allHooks = eventHooks.flatMap(withMatcherSettings);
       iA(`No match query, returning all ${allHooks.length} hooks`);
       return allHooks;
     }
     
     const matchingHooks = eventHooks
-      .filter(matcher => !matcher.matcher || Sq6(matchQuery, matcher.matcher))
-      .flatMap(matcher => matcher.hooks);
+      .filter(matcher => !matcher.matcher || Sq6(matchQuery, matcher.matcher, hookData.tool_input))
+      .flatMap(withMatcherSettings);
     
     iA(`Matched ${matchingHooks.length} hooks for query "${matchQuery}"`);
     return matchingHooks;
@@ -606,6 +606,26 @@ I've found some existing ${findingDescription}. Let me mark the first todo as in
                 description: 'Handle subagent termination',
                 userAction: 'Configure subagent cleanup procedures',
                 systemResponse: 'Clean up subagent resources appropriately'
+            },
+            'SessionStart': {
+                description: 'Execute when a session starts, resumes or is cleared',
+                userAction: 'Configure commands that load project context',
+                systemResponse: 'Add hook output to the conversation as context'
+            },
+            'UserPromptSubmit': {
+                description: 'Execute when the user submits a prompt',
+                userAction: 'Configure prompt validation or context injection',
+                systemResponse: 'Block, rewrite or augment the prompt before it is sent'
+            },
+            'PreCompact': {
+                description: 'Execute before conversation compaction',
+                userAction: 'Configure backups or extra summarization instructions',
+                systemResponse: 'Wait for hook completion before compacting'
+            },
+            'SessionEnd': {
+                description: 'Execute when the session ends',
+                userAction: 'Configure cleanup or session logging commands',
+                systemResponse: 'Run hooks during shutdown without blocking exit'
             }
         };
     }
@@ -650,7 +670,11 @@ const HOOK_EVENTS = {
   PostToolUse: "PostToolUse", 
   Notification: "Notification",
   Stop: "Stop",
-  SubagentStop: "SubagentStop"
+  SubagentStop: "SubagentStop",
+  SessionStart: "SessionStart",
+  UserPromptSubmit: "UserPromptSubmit",
+  PreCompact: "PreCompact",
+  SessionEnd: "SessionEnd"
 };
 
 // Thinking token levels
@@ -812,7 +836,11 @@ function Yg2(toolNames) {
     PostToolUse: {},
     Notification: {},
     Stop: {},
-    SubagentStop: {}
+    SubagentStop: {},
+    SessionStart: {},
+    UserPromptSubmit: {},
+    PreCompact: {},
+    SessionEnd: {}
   };
   
   // Get hook event metadata
@@ -1113,6 +1141,24 @@ function getHookEventMetadata(toolNames) {
     SubagentStop: {
       description: "Handle subagent stop events", 
       summary: "Subagent stop hook"
+    },
+    SessionStart: {
+      description: "Handle session start, resume and clear",
+      summary: "Session start hook",
+      matcherMetadata: "source"
+    },
+    UserPromptSubmit: {
+      description: "Handle submitted prompts",
+      summary: "User prompt submit hook"
+    },
+    PreCompact: {
+      description: "Handle conversation compaction",
+      summary: "Pre-compact hook",
+      matcherMetadata: "trigger"
+    },
+    SessionEnd: {
+      description: "Handle session end",
+      summary: "Session end hook"
     }
   };
 }
@@ -1123,8 +1169,18 @@ function getExistingHooks() {
 }
 
 function sortMatchers(matchers, hooks, eventType) {
-  // Sort matchers for display
-  return matchers.sort();
+  // Sort matchers for display: by tool name, with a tool's plain matcher before
+  // its argument-scoped ones such as "Edit(src/**/*.ts)"
+  const splitMatcher = matcher => {
+    const match = matcher.match(/^([^(]+)\((.*)\)$/);
+    return match ? [match[1], match[2]] : [matcher, ""];
+  };
+  
+  return matchers.sort((a, b) => {
+    const [toolA, contentA] = splitMatcher(a);
+    const [toolB, contentB] = splitMatcher(b);
+    return toolA.localeCompare(toolB) || contentA.localeCompare(contentB);
+  });
 }
 
 function logThinkingTokens(tokenCount) {
@@ -1139,10 +1195,22 @@ function getMCPState() {
 
 // Mock UI components
 const SaveHookComponent = ({ event, config, matcher, onSuccess, onCancel }) => 
-  React.createElement("div", null, `Save hook for ${event}`);
-
-const SelectEventComponent = ({ onSelectEvent }) =>
-  React.createElement("div", null, "Select event");
+  React.createElement("div", null, matcher
+    ? `Save hook for ${event} (matcher: ${matcher})`
+    : `Save hook for ${event}`);
+
+const SelectEventComponent = ({ onSelectEvent }) => {
+  const eventMetadata = getHookEventMetadata([]);
+  return React.createElement("div", null,
+    ...Object.values(HOOK_EVENTS).map(event =>
+      React.createElement("option", {
+        key: event,
+        value: event,
+        onClick: () => onSelectEvent(event)
+      }, `${event} - ${eventMetadata[event].summary}`)
+    )
+  );
+};
 
 // Export all functions
 export {
@@ -14,7 +14,9 @@ const Q21 = function(toolNames) {
       description: `Input to command is JSON of tool call arguments.
 Exit code 0 - Stdout/stderr not shown
 Exit code 2 - show stderr to model and block tool call
-Other exit codes - show stderr to user only but continue with tool call`,
+Other exit codes - show stderr to user only but continue with tool call
+Print JSON with "decision" (approve, block or ask), "reason" and "updatedInput" to control the tool call
+Matchers may filter on arguments: Edit(src/**/*.ts), Bash(git push:*), mcp__github__*`,
       matcherMetadata: {
         fieldToMatch: "tool_name",
         values: toolNames
@@ -25,7 +27,8 @@ Other exit codes - show stderr to user only but continue with tool call`,
       description: `Input to command is JSON with fields "inputs" (tool call arguments) and "response" (tool call response).
 Exit code 0 - Stdout shown in transcript mode (Ctrl-R)
 Exit code 2 - show stderr to model immediately
-Other exit codes - show stderr to user only`,
+Other exit codes - show stderr to user only
+Matchers may filter on arguments: Edit(src/**/*.ts), Bash(git push:*), mcp__github__*`,
       matcherMetadata: {
         fieldToMatch: "tool_name", 
         values: toolNames
@@ -46,6 +49,41 @@ Other exit codes - show stderr to user only`
       description: `Exit code 0 - Stdout/stderr not shown
 Exit code 2 - show stderr to subagent and continue having it run
 Other exit codes - show stderr to user only`
+    },
+    SessionStart: {
+      summary: "When a new session is started or resumed",
+      description: `Input to command is JSON with field "source" (startup, resume or clear).
+Exit code 0 - stdout added to the conversation as context
+Exit code 2 - show stderr to user only
+Other exit codes - show stderr to user only`,
+      matcherMetadata: {
+        fieldToMatch: "source",
+        values: ["startup", "resume", "clear"]
+      }
+    },
+    UserPromptSubmit: {
+      summary: "When the user submits a prompt, before Claude processes it",
+      description: `Input to command is JSON with field "prompt" (the submitted text).
+Exit code 0 - stdout added to the conversation as context
+Exit code 2 - block the prompt, erase it and show stderr to user only
+Other exit codes - show stderr to user only
+Print JSON with "updatedPrompt" to rewrite the prompt, or "decision": "block" to reject it`
+    },
+    PreCompact: {
+      summary: "Before conversation compaction",
+      description: `Input to command is JSON with fields "trigger" (manual or auto) and "custom_instructions".
+Exit code 0 - stdout appended to the compaction instructions
+Exit code 2 - block compaction and show stderr to user only
+Other exit codes - show stderr to user only`,
+      matcherMetadata: {
+        fieldToMatch: "trigger",
+        values: ["manual", "auto"]
+      }
+    },
+    SessionEnd: {
+      summary: "When the session ends",
+      description: `Input to command is JSON with field "reason" (clear, exit or other).
+Runs as the session shuts down and is stopped after 5 seconds; output is not shown`
     }
   };
 };
@@ -378,6 +416,90 @@ function Fg2({ selectedHook, eventSupportsMatcher, onDelete, onCancel }) {
   );
 }
 
+// Hook Run Log UI Component
+function HookRunLogUI({ entries, onExit }) {
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const selectedEntry = entries[selectedIndex];
+  
+  return React.createElement(Fragment, null,
+    React.createElement("div", {
+      style: {
+        flexDirection: "column",
+        borderStyle: "round",
+        paddingLeft: 1,
+        paddingRight: 1,
+        borderColor: "success",
+        gap: 1
+      }
+    },
+      React.createElement("span", {
+        style: { fontWeight: "bold", color: "success" }
+      }, "Hook run log"),
+      
+      entries.length === 0 && React.createElement("span", { style: { color: "dim" } }, "No hooks have run yet"),
+      
+      // Run list, newest first
+      entries.length > 0 && React.createElement("div", { style: { flexDirection: "column" } },
+        ...entries.map((entry, index) =>
+          React.createElement("option", {
+            key: `${entry.timestamp}-${index}`,
+            value: index.toString(),
+            onClick: () => setSelectedIndex(index)
+          }, [
+            React.createElement("span", {
+              style: { color: hookRunStatusColor(entry) }
+            }, formatHookRunStatus(entry)),
+            ` ${entry.hookName} `,
+            React.createElement("span", { style: { color: "dim" } }, `${entry.durationMs}ms · ${entry.command}`)
+          ])
+        )
+      ),
+      
+      // Details for the selected run
+      selectedEntry && React.createElement("div", {
+        style: {
+          flexDirection: "column",
+          borderStyle: "round",
+          borderColor: "secondaryBorder",
+          paddingLeft: 1,
+          paddingRight: 1
+        }
+      },
+        React.createElement("span", null, ["Command: ", selectedEntry.command]),
+        React.createElement("span", null, ["Event: ", selectedEntry.event]),
+        selectedEntry.matcher && React.createElement("span", null, ["Matcher: ", selectedEntry.matcher]),
+        React.createElement("span", null, ["Ran at: ", new Date(selectedEntry.timestamp).toLocaleString()]),
+        React.createElement("span", null, [
+          "Duration: ",
+          `${selectedEntry.durationMs}ms (timeout ${selectedEntry.timeoutMs / 1000}s)`
+        ]),
+        React.createElement("span", null, ["Result: ", formatHookRunStatus(selectedEntry)]),
+        selectedEntry.stdout && React.createElement("span", { style: { color: "dim" } }, ["stdout: ", selectedEntry.stdout]),
+        selectedEntry.stderr && React.createElement("span", { style: { color: "dim" } }, ["stderr: ", selectedEntry.stderr])
+      )
+    ),
+    
+    React.createElement("div", { style: { marginLeft: 3 } },
+      React.createElement("span", { style: { color: "dim" } }, "Enter to view details · Esc to exit"),
+      React.createElement("button", { onClick: () => onExit() }, "Close")
+    )
+  );
+}
+
+function formatHookRunStatus(entry) {
+  if (entry.timedOut) return "timed out";
+  if (entry.aborted) return "cancelled";
+  if (entry.status === 0) return "ok";
+  if (entry.status === 2) return "blocked";
+  return `exit ${entry.status}`;
+}
+
+function hookRunStatusColor(entry) {
+  if (entry.timedOut || (entry.status !== 0 && entry.status !== 2)) return "error";
+  if (entry.aborted || entry.status === 2) return "warning";
+  return "success";
+}
+
 // Helper functions for formatting hook sources
 function formatHookSource(source) {
   // Format short hook source description
@@ -461,6 +583,7 @@ export {
   Gg2 as DeleteMatcherUI,
   Zg2 as SelectHookUI,
   Fg2 as DeleteHookUI,
+  HookRunLogUI,
   
   // Utilities
   HookUIUtils,
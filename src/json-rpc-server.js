@@ -0,0 +1,496 @@
+// Headless JSON-RPC 2.0 server for editor and CI integrations (`claude serve`)
+// Speaks newline-delimited JSON-RPC over stdio or a unix socket. Each session runs
+// through the same streaming processor as --input-format=stream-json, so prompts,
+// interrupts, permission mode and model changes behave exactly as in print mode.
+// Permission prompts are sent to the client as notifications and answered with
+// session/approveTool.
+
+import { randomUUID } from "crypto";
+import { chmodSync, existsSync, lstatSync, statSync, unlinkSync } from "fs";
+import { createServer } from "net";
+import { basename, join } from "path";
+import { dU as backgroundShells } from "./background-shell-manager.js";
+import { restoreActiveBranch } from "./conversation-branches.js";
+import { getLogDirectoryPath, getLogFiles } from "./conversation-log.js";
+import { isValidUUID, processPermissionPromptTool } from "./resume-stream.js";
+import { runInSession } from "./session-context.js";
+import { METADATA, streamingCommandProcessor } from "./streaming-update.js";
+import { STDIO_PERMISSION_PROMPT_TOOL, STREAM_JSON_PROTOCOL_VERSION, StreamJsonControlChannel } from "./stream-json-protocol.js";
+import { getTodoDirectory, readTodosFromFile, sortTodos } from "./todo-management.js";
+import { clearSessionPermissionRules } from "./tool-permissions.js";
+import {
+  buildToolPermissionContext,
+  checkpointManager,
+  getAvailableTools,
+  resolvePermissionMode
+} from "./tools-checkpoint.js";
+
+export const JSON_RPC_ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SESSION_NOT_FOUND: -32001,
+  PERMISSION_REQUEST_NOT_FOUND: -32002,
+  SESSION_NOT_OWNED: -32003
+};
+
+export class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = "JsonRpcError";
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function requireParam(params, name, type = "string") {
+  if (typeof params?.[name] !== type) {
+    throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Missing or invalid parameter: ${name} (expected ${type})`);
+  }
+  return params[name];
+}
+
+// Async-iterable queue of user messages feeding one session's processor
+class SessionInput {
+  constructor() {
+    this.messages = [];
+    this.wake = null;
+    this.ended = false;
+  }
+
+  push(message) {
+    this.messages.push(message);
+    this.wake?.();
+  }
+
+  end() {
+    this.ended = true;
+    this.wake?.();
+  }
+
+  async* [Symbol.asyncIterator]() {
+    while (true) {
+      if (this.messages.length > 0) {
+        yield this.messages.shift();
+      } else if (this.ended) {
+        return;
+      } else {
+        await new Promise((resolve) => {
+          this.wake = resolve;
+        });
+        this.wake = null;
+      }
+    }
+  }
+}
+
+// One client connection: a line-oriented JSON-RPC peer
+class JsonRpcConnection {
+  constructor(server, input, output) {
+    this.server = server;
+    this.output = output;
+    this.sessionIds = new Set();
+    this.closed = false;
+
+    let buffered = "";
+    input.setEncoding("utf8");
+    input.on("data", (chunk) => {
+      buffered += chunk;
+      const lines = buffered.split("\n");
+      buffered = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) {
+          this.handleLine(line);
+        }
+      }
+    });
+    input.on("end", () => this.close());
+    input.on("error", (error) => {
+      h1(error);
+      this.close();
+    });
+  }
+
+  send(message) {
+    if (!this.closed) {
+      this.output.write(JSON.stringify({ jsonrpc: "2.0", ...message }) + "\n");
+    }
+  }
+
+  notify(method, params) {
+    this.send({ method, params });
+  }
+
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.send({ id: null, error: { code: JSON_RPC_ERROR_CODES.PARSE_ERROR, message: `Parse error: ${error.message}` } });
+      return;
+    }
+
+    const id = message?.id ?? null;
+    if (message?.jsonrpc !== "2.0" || typeof message.method !== "string") {
+      this.send({ id, error: { code: JSON_RPC_ERROR_CODES.INVALID_REQUEST, message: "Invalid JSON-RPC 2.0 request" } });
+      return;
+    }
+
+    try {
+      const result = await this.server.dispatch(this, message.method, message.params ?? {});
+      // Requests without an id are notifications and get no response
+      if (message.id !== undefined) {
+        this.send({ id, result: result ?? null });
+      }
+    } catch (error) {
+      if (message.id === undefined) {
+        h1(error instanceof Error ? error : new Error(String(error)));
+        return;
+      }
+      this.send({
+        id,
+        error: error instanceof JsonRpcError
+          ? { code: error.code, message: error.message, ...(error.data !== undefined && { data: error.data }) }
+          : { code: JSON_RPC_ERROR_CODES.INTERNAL_ERROR, message: error instanceof Error ? error.message : String(error) }
+      });
+    }
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    for (const sessionId of this.sessionIds) {
+      this.server.closeSession(sessionId);
+    }
+    this.closed = true;
+    this.server.connections.delete(this);
+  }
+}
+
+export class JsonRpcServer {
+  // mcpClients and commands are shared by every session, like in print mode
+  constructor({ mcpClients = [], commands = [], verbose = false } = {}) {
+    this.mcpClients = mcpClients;
+    this.commands = commands;
+    this.verbose = verbose;
+    this.sessions = new Map();
+    this.connections = new Set();
+
+    this.methods = {
+      "initialize": () => this.initialize(),
+      "session/create": (connection, params) => this.createSession(connection, params),
+      "session/resume": (connection, params) => this.resumeSession(connection, params),
+      "session/list": () => this.listSessions(),
+      "session/prompt": (connection, params) => this.sendPrompt(connection, params),
+      "session/interrupt": (connection, params) => this.controlSession(connection, params, { subtype: "interrupt" }),
+      "session/setPermissionMode": (connection, params) => this.controlSession(connection, params, {
+        subtype: "set_permission_mode",
+        mode: requireParam(params, "mode")
+      }),
+      "session/setModel": (connection, params) => this.controlSession(connection, params, { subtype: "set_model", model: params.model }),
+      "session/state": (connection, params) => this.controlSession(connection, params, { subtype: "get_state" }),
+      "session/agents": (connection, params) => this.controlSession(connection, params, { subtype: "list_agents" }),
+      "session/stopAgent": (connection, params) => this.controlSession(connection, params, {
+        subtype: "stop_agent",
+        agent_id: requireParam(params, "agentId")
+      }),
+      "session/approveTool": (connection, params) => this.approveTool(connection, params),
+      "session/close": (connection, params) => {
+        this.getSession(connection, params);
+        this.closeSession(params.sessionId);
+        return { closed: true };
+      },
+      "checkpoints/list": () => this.listCheckpoints(),
+      "todos/get": (connection, params) => this.getTodos(connection, params)
+    };
+  }
+
+  listen(input, output) {
+    const connection = new JsonRpcConnection(this, input, output);
+    this.connections.add(connection);
+    return connection;
+  }
+
+  async dispatch(connection, method, params) {
+    const handler = this.methods[method];
+    if (!handler) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+    return handler(connection, params);
+  }
+
+  initialize() {
+    return {
+      serverInfo: { name: "claude", version: METADATA.VERSION },
+      protocolVersion: STREAM_JSON_PROTOCOL_VERSION,
+      cwd: dA(),
+      methods: Object.keys(this.methods)
+    };
+  }
+
+  // Only the connection that created or resumed a session may drive it
+  getSession(connection, params) {
+    const sessionId = requireParam(params, "sessionId");
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.SESSION_NOT_FOUND, `No active session with ID: ${sessionId}`);
+    }
+    if (session.connection !== connection) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.SESSION_NOT_OWNED, `Session ${sessionId} belongs to another connection`);
+    }
+    return session;
+  }
+
+  // Build the permission context and tools for a session from its create params
+  buildSessionTools(params) {
+    const { toolPermissionContext, warnings } = buildToolPermissionContext({
+      allowedToolsCli: params.allowedTools ?? [],
+      disallowedToolsCli: params.disallowedTools ?? [],
+      permissionMode: resolvePermissionMode({ permissionModeCli: params.permissionMode }),
+      addDirs: params.addDirs ?? []
+    });
+    const tools = getAvailableTools(toolPermissionContext);
+    return { toolPermissionContext, tools, warnings };
+  }
+
+  startSession(connection, sessionId, params, initialMessages) {
+    if (this.sessions.has(sessionId)) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Session ${sessionId} is already active`);
+    }
+
+    const { toolPermissionContext, tools, warnings } = this.buildSessionTools(params);
+
+    // Permission prompts go to the owning client instead of stdout
+    const controlChannel = new StreamJsonControlChannel((message) => {
+      if (message.type === "control_request" && message.request.subtype === "can_use_tool") {
+        connection.notify("session/permissionRequest", {
+          sessionId,
+          requestId: message.request_id,
+          toolName: message.request.tool_name,
+          input: message.request.input,
+          toolUseId: message.request.tool_use_id
+        });
+      }
+    });
+    const { permissionTool, filteredTools } = processPermissionPromptTool(
+      { permissionPromptToolName: STDIO_PERMISSION_PROMPT_TOOL, inputFormat: "stream-json" },
+      [],
+      tools,
+      controlChannel
+    );
+
+    const input = new SessionInput();
+    const session = {
+      id: sessionId,
+      input,
+      controlChannel,
+      connection,
+      createdAt: new Date().toISOString()
+    };
+    this.sessions.set(sessionId, session);
+    connection.sessionIds.add(sessionId);
+
+    // Session rules, background shells and hook input are keyed by the session the code runs for
+    const events = runInSession(sessionId, () => streamingCommandProcessor(
+      input,
+      toolPermissionContext,
+      this.mcpClients,
+      this.commands,
+      filteredTools,
+      params.maxTurns,
+      permissionTool,
+      {
+        sessionId,
+        initialMessages,
+        resume: initialMessages ? sessionId : undefined,
+        controlChannel,
+        verbose: this.verbose,
+        maxTurns: params.maxTurns,
+        userSpecifiedModel: params.model,
+        fallbackModel: params.fallbackModel,
+        systemPrompt: params.systemPrompt,
+        appendSystemPrompt: params.appendSystemPrompt
+      }
+    ));
+
+    (async () => {
+      try {
+        for await (const event of events) {
+          connection.notify("session/event", { sessionId, event });
+        }
+      } catch (error) {
+        h1(error instanceof Error ? error : new Error(String(error)));
+        connection.notify("session/error", { sessionId, message: error instanceof Error ? error.message : String(error) });
+      } finally {
+        this.closeSession(sessionId);
+        connection.notify("session/closed", { sessionId });
+      }
+    })();
+
+    return { sessionId, warnings };
+  }
+
+  createSession(connection, params) {
+    return this.startSession(connection, randomUUID(), params);
+  }
+
+  async resumeSession(connection, params) {
+    const sessionId = requireParam(params, "sessionId");
+    const { tools } = this.buildSessionTools(params);
+
+    const conversation = await DP(sessionId, tools);
+    if (!conversation) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.SESSION_NOT_FOUND, `No conversation found with session ID: ${sessionId}`);
+    }
+    const messages = await restoreActiveBranch(sessionId, conversation.messages, params.branch);
+
+    return { ...this.startSession(connection, sessionId, params, messages), messageCount: messages.length };
+  }
+
+  // Active sessions first, then the logs of the current project that can be resumed
+  listSessions() {
+    const active = [...this.sessions.values()].map((session) => ({
+      sessionId: session.id,
+      active: true,
+      createdAt: session.createdAt
+    }));
+    const activeIds = new Set(active.map((session) => session.sessionId));
+
+    const stored = getLogFiles(getLogDirectoryPath(dA()))
+      .map((logFile) => ({
+        sessionId: basename(logFile, ".jsonl"),
+        active: false,
+        updatedAt: statSync(logFile).mtime.toISOString()
+      }))
+      .filter((session) => !activeIds.has(session.sessionId));
+
+    return { sessions: [...active, ...stored] };
+  }
+
+  sendPrompt(connection, params) {
+    const session = this.getSession(connection, params);
+    const prompt = requireParam(params, "prompt");
+    session.input.push({
+      type: "user",
+      session_id: session.id,
+      message: { role: "user", content: prompt },
+      parent_tool_use_id: null
+    });
+    return { queued: true };
+  }
+
+  async controlSession(connection, params, request) {
+    const session = this.getSession(connection, params);
+    try {
+      return await session.controlChannel.dispatchControlRequest(request);
+    } catch (error) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, error.message);
+    }
+  }
+
+  approveTool(connection, params) {
+    const session = this.getSession(connection, params);
+    const requestId = requireParam(params, "requestId");
+    const behavior = requireParam(params, "behavior");
+    if (behavior !== "allow" && behavior !== "deny") {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Invalid behavior: ${behavior}. Expected allow or deny`);
+    }
+
+    const pending = session.controlChannel.pendingRequests.get(requestId);
+    if (!pending) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.PERMISSION_REQUEST_NOT_FOUND, `No pending permission request with ID: ${requestId}`);
+    }
+
+    session.controlChannel.handleControlResponse({
+      response: {
+        subtype: "success",
+        request_id: requestId,
+        response: behavior === "allow"
+          ? { behavior, updatedInput: params.updatedInput ?? pending.request.input }
+          : { behavior, message: params.message ?? "Denied by client" }
+      }
+    });
+    return { behavior };
+  }
+
+  async listCheckpoints() {
+    const checkpoints = await checkpointManager.listCheckpoints();
+    return { checkpoints };
+  }
+
+  // Todos of a session this connection owns; the ID becomes part of a file path
+  getTodos(connection, params) {
+    const sessionId = requireParam(params, "sessionId");
+    if (!isValidUUID(sessionId)) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.INVALID_PARAMS, `Invalid session ID: ${sessionId}`);
+    }
+    if (!connection.sessionIds.has(sessionId)) {
+      throw new JsonRpcError(JSON_RPC_ERROR_CODES.SESSION_NOT_OWNED, `Session ${sessionId} is not active on this connection`);
+    }
+    const todos = readTodosFromFile(join(getTodoDirectory(), `${sessionId}-agent-${sessionId}.json`));
+    return { todos: todos.sort(sortTodos) };
+  }
+
+  closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    this.sessions.delete(sessionId);
+    session.connection.sessionIds.delete(sessionId);
+    // Stop the running turn; the processor ends once its input is drained
+    session.controlChannel.dispatchControlRequest({ subtype: "interrupt" }).catch(() => {});
+    session.input.end();
+    session.controlChannel.close();
+    backgroundShells.killSessionShells(sessionId);
+    clearSessionPermissionRules(sessionId);
+  }
+
+  close() {
+    for (const connection of [...this.connections]) {
+      connection.close();
+    }
+  }
+}
+
+// Serve over stdin/stdout until stdin closes
+export function serveStdio(server) {
+  return new Promise((resolve) => {
+    server.listen(process.stdin, process.stdout);
+    process.stdin.on("end", resolve);
+  });
+}
+
+// Serve over a unix socket; every connection is an independent client
+export function serveSocket(server, socketPath) {
+  // A socket left behind by a previous server would make listen() fail; never remove anything else
+  if (existsSync(socketPath)) {
+    if (!lstatSync(socketPath).isSocket()) {
+      throw new Error(`${socketPath} exists and is not a socket`);
+    }
+    unlinkSync(socketPath);
+  }
+
+  const socketServer = createServer((socket) => {
+    const connection = server.listen(socket, socket);
+    socket.on("close", () => connection.close());
+  });
+
+  // Only the current user may connect: create the socket as 0600
+  const previousUmask = process.umask(0o177);
+  return new Promise((resolve, reject) => {
+    socketServer.on("error", (error) => {
+      process.umask(previousUmask);
+      reject(error);
+    });
+    socketServer.listen(socketPath, () => {
+      process.umask(previousUmask);
+      chmodSync(socketPath, 0o600);
+      iA(`JSON-RPC server listening on ${socketPath}`);
+      resolve(socketServer);
+    });
+  });
+}
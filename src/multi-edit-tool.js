@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { checkpointManager } = require('./tools-checkpoint');
 
 /**
  * 新規ファイル作成時の指示テキスト
@@ -272,12 +273,15 @@ const MultiEditTool = {
         return JSON.stringify(normalizeParams(paramsA)) === JSON.stringify(normalizeParams(paramsB));
     },
     
-    async* call({ file_path, edits }, { readFileState, userModified }) {
+    async* call({ file_path, edits }, { readFileState, userModified, abortController }) {
         const normalizedEdits = normalizeEdits(edits);
         const resolvedPath = path.resolve(file_path);
         const exists = fs.existsSync(resolvedPath);
         const originalContent = exists ? fs.readFileSync(resolvedPath, 'utf-8') : "";
         
+        // 編集前に自動チェックポイントを作成
+        await checkpointManager.createAutoCheckpoint("MultiEdit", resolvedPath, { turn: abortController });
+        
         // パッチを適用
         const { patch, updatedFile } = applyPatch({
             filePath: resolvedPath,
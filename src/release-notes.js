@@ -3,6 +3,8 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import semver from 'semver';
+import { getSessionStartHookMessages } from './hook-system.js';
+import { restoreActiveBranch } from './conversation-branches.js';
 
 // Constants
 const ij6 = 5; // Max release notes to show
@@ -341,8 +343,14 @@ const oj6 = {
   async call(onDone, context) {
     return React.createElement(sj6, {
       onDone,
-      onResume: (sessionId, conversation) => {
-        context.resume?.(sessionId, conversation);
+      onResume: async (sessionId, conversation) => {
+        // Continue the saved branch, as --resume does, rather than every message in the log
+        const messages = await restoreActiveBranch(sessionId, conversation.messages);
+        const sessionStartMessages = await getSessionStartHookMessages("resume");
+        context.resume?.(sessionId, {
+          ...conversation,
+          messages: [...messages, ...sessionStartMessages]
+        });
         onDone(undefined, { skipMessage: true });
       }
     });
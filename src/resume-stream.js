@@ -1,5 +1,13 @@
 // Resume functionality and stream I/O from cli.js (lines 2568-2577)
 
+import { restoreActiveBranch } from "./conversation-branches.js";
+import {
+  STDIO_PERMISSION_PROMPT_TOOL,
+  StreamJsonControlChannel,
+  StreamJsonReader,
+  formatStreamJsonLine
+} from "./stream-json-protocol.js";
+
 // UUID validation function
 export function isValidUUID(sessionId) {
   // UUID format: 550e8400-e29b-41d4-a716-446655440000
@@ -20,6 +28,13 @@ export async function resumeSessionWithPrint(options, tools) {
       process.exit(1);
     }
     
+    // --branch <message-uuid> continues the branch containing that message
+    if (options.branch !== undefined && !isValidUUID(options.branch)) {
+      process.stderr.write(`--branch must be the UUID of a message in the session\n`);
+      process.stderr.write(`Provided value "${options.branch}" is not a valid UUID\n`);
+      process.exit(1);
+    }
+    
     // Retrieve conversation history
     const conversation = await DP(sessionIdUUID, tools);
     
@@ -28,7 +43,8 @@ export async function resumeSessionWithPrint(options, tools) {
       process.exit(1);
     }
     
-    messages = conversation.messages;
+    // Continue the saved branch (or --branch), else the most recently updated one
+    messages = await restoreActiveBranch(sessionIdUUID, conversation.messages, options.branch);
   } catch (error) {
     h1(error instanceof Error ? error : new Error(String(error)));
     process.stderr.write(`Failed to resume session with --print mode\n`);
@@ -58,19 +74,36 @@ export class StreamInputProcessor {
       this.stream = input;
     }
     
-    this.structuredInput = new iQA(this.stream);
+    // Control messages on stdin are answered through the same stdout stream
+    this.controlChannel = new StreamJsonControlChannel((message) => mV(formatStreamJsonLine(message)));
+    this.structuredInput = new StreamJsonReader(this.stream, this.controlChannel);
   }
   
   getStructuredInput() {
     return this.structuredInput;
   }
+  
+  getControlChannel() {
+    return this.controlChannel;
+  }
 }
 
 // Process permission prompt tool
-export function processPermissionPromptTool(options, mcpTools, allTools) {
+export function processPermissionPromptTool(options, mcpTools, allTools, controlChannel) {
   let permissionTool = undefined;
   let filteredTools = allTools;
   
+  // Permission prompts answered inline over stream-json stdin/stdout
+  if (options.permissionPromptToolName === STDIO_PERMISSION_PROMPT_TOOL) {
+    if (options.inputFormat !== "stream-json" || !controlChannel) {
+      process.stderr.write(
+        `Error: --permission-prompt-tool ${STDIO_PERMISSION_PROMPT_TOOL} requires --input-format=stream-json\n`
+      );
+      process.exit(1);
+    }
+    return { permissionTool: controlChannel.createPermissionPromptTool(), filteredTools };
+  }
+  
   if (options.permissionPromptToolName) {
     // Find the MCP tool by name
     permissionTool = mcpTools.find(tool => tool.name === options.permissionPromptToolName);
@@ -113,10 +146,10 @@ export function validatePrintModeInputs(prompt, isResumeMode, options) {
     process.exit(1);
   }
   
-  // Stream JSON output requires verbose mode
-  if (options.outputFormat === "stream-json" && !options.verbose) {
+  // Control responses are written to stdout, so stream-json input needs stream-json output
+  if (options.inputFormat === "stream-json" && options.outputFormat !== "stream-json") {
     process.stderr.write(
-      `Error: When using --print, --output-format=stream-json requires --verbose\n`
+      `Error: When using --print, --input-format=stream-json requires --output-format=stream-json\n`
     );
     process.exit(1);
   }
@@ -144,11 +177,10 @@ export async function processStreamingResults(
     tools,
     initialMessages,
     permissionTool,
-    options
+    { ...options, controlChannel: inputStream.getControlChannel() }
   )) {
-    // Output in stream-json format if verbose
-    if (options.outputFormat === "stream-json" && options.verbose) {
-      mV(JSON.stringify(message) + `\n`);
+    if (options.outputFormat === "stream-json") {
+      mV(formatStreamJsonLine(message));
     }
     
     results.push(message);
@@ -5,6 +5,8 @@
  * 主な機能: サンドボックス管理、権限制御、UX最適化、Gitコミット統合、実行前判断システム、安全コマンド定義、ビルドシステム制御、BashToolサンドボックス、RULE 0エラー再試行システム、読み取り専用予測、コマンド実行・パスクォート処理
  */
 
+const { getSandboxBackend } = require('./sandbox-security');
+
 class SandboxManager {
     constructor() {
         this.initializePrinciples();
@@ -617,7 +619,7 @@ class SandboxManager {
             
             errorClassification: {
                 sandboxLimitation: {
-                    indicators: ['permission', 'network', 'access', 'denied', 'not permitted'],
+                    indicators: ['permission', 'network', 'access', 'denied', 'not permitted', 'read-only file system', 'could not resolve host', 'name resolution'],
                     action: 'retry_sandbox_false',
                     automatic: true
                 },
@@ -738,12 +740,20 @@ class SandboxManager {
             useSandbox: false,
             reason: '',
             confidence: 0,
-            fallback: 'sandbox=false'
+            fallback: 'sandbox=false',
+            backend: null
         };
 
         try {
+            // サンドボックスバックエンドの有無チェック
+            decision.backend = getSandboxBackend();
+            if (!decision.backend) {
+                decision.useSandbox = false;
+                decision.reason = 'No sandbox backend available on this system (requires sandbox-exec on macOS, or bubblewrap or user namespaces on Linux)';
+                decision.confidence = 1.0;
+            }
             // ルール明確性チェック
-            if (context.rulesApply && context.confident) {
+            else if (context.rulesApply && context.confident) {
                 decision.useSandbox = true;
                 decision.reason = 'Rules clearly apply and confident in usage';
                 decision.confidence = 0.9;
@@ -1835,7 +1845,14 @@ class SandboxManager {
             'EPERM',
             'sandbox restriction',
             'write access required',
-            'filesystem access denied'
+            'filesystem access denied',
+            // Linux バックエンド（bubblewrap / unshare）の失敗
+            'EROFS',
+            'read-only file system',
+            'operation not permitted',
+            'network is unreachable',
+            'could not resolve host',
+            'temporary failure in name resolution'
         ];
 
         const errorText = error.message || error.toString();
@@ -0,0 +1,304 @@
+/**
+ * 宣言的サンドボックスプロファイル - settings.json の "sandbox" 設定
+ *
+ * {
+ *   "sandbox": {
+ *     "defaultProfile": "readonly",
+ *     "profiles": {
+ *       "build": {
+ *         "writablePaths": [".", "$TMPDIR", "~/.npm"],
+ *         "hiddenPaths": ["~/.aws", ".env"],
+ *         "network": ["registry.npmjs.org:443"],
+ *         "stripEnv": ["AWS_*", "GITHUB_TOKEN"]
+ *       }
+ *     }
+ *   },
+ *   "permissions": {
+ *     "allow": [{ "rule": "Bash(npm run build:*)", "sandboxProfile": "build" }]
+ *   }
+ * }
+ *
+ * network は "none"（既定）、"all"、または "host:port" の配列。
+ * 通信先をホスト単位で絞れないため、配列にはループバック（localhost など）のみ指定できる。
+ * それ以外のホストを含むプロファイルを使うコマンドは実行を拒否する。
+ * プロファイルは Bash 権限ルールの sandboxProfile、defaultProfile の順に選ばれ、
+ * どちらも無ければプラットフォーム既定のサンドボックスを使う。
+ *
+ * プロファイルの定義、defaultProfile、ルールへの sandboxProfile はポリシー設定とユーザー設定
+ * のみが有効（ポリシー設定 > ユーザー設定 > 組み込み）。リポジトリ内の設定（プロジェクト設定・
+ * ローカル設定）は既存のプロファイルを同名で定義して制限を強めることしかできない:
+ * 書き込み可能パスは既存の範囲内に絞られ、隠しパスと stripEnv は追加され、ネットワークは狭い方になる。
+ */
+
+import { homedir, tmpdir } from 'os';
+import { isAbsolute, resolve, sep } from 'path';
+import { ToolPermissionManager, getSourceDisplayName } from './tool-permissions.js';
+import { getSandboxBackend, isLoopbackHost } from './sandbox-security.js';
+
+// プロファイルを定義・選択できる設定ソース（優先度順）
+const TRUSTED_PROFILE_SOURCES = ['policySettings', 'userSettings'];
+
+// リポジトリ内の設定ソース: 既存プロファイルの制限を強めることのみ可能
+const NARROWING_PROFILE_SOURCES = ['projectSettings', 'localSettings'];
+
+// 組み込みプロファイル（ポリシー設定・ユーザー設定で同名のプロファイルを定義すると上書きされる）
+const BUILTIN_SANDBOX_PROFILES = {
+  readonly: {
+    description: 'Read-only filesystem, no network',
+    writablePaths: [],
+    network: 'none'
+  },
+  build: {
+    description: 'Writable project directory, tmp and build caches, no network',
+    writablePaths: ['.', '$TMPDIR', '~/.cache', '~/.npm'],
+    network: 'none'
+  },
+  'network-test': {
+    description: 'Writable project directory and tmp, localhost network only',
+    writablePaths: ['.', '$TMPDIR'],
+    network: ['localhost:*']
+  }
+};
+
+/**
+ * 設定内のパスを絶対パスに展開（"~" はホーム、"$TMPDIR" は一時ディレクトリ、相対パスは作業ディレクトリ基準）
+ * @param {string} path 設定内のパス
+ * @param {string} cwd 作業ディレクトリ
+ * @returns {string} 絶対パス
+ */
+function expandProfilePath(path, cwd) {
+  const expanded = path
+    .replace(/^\$TMPDIR(?=\/|$)/, tmpdir())
+    .replace(/^~(?=\/|$)/, homedir());
+  return isAbsolute(expanded) ? expanded : resolve(cwd, expanded);
+}
+
+/**
+ * 全設定ファイルからサンドボックス設定を読み込み
+ * プロファイルは名前単位で優先度の高い信頼済みソースが勝ち、リポジトリ内の設定は narrowedBy として重ねる
+ * @returns {Object} { profiles, defaultProfile, rules, permissionManager }
+ */
+function loadSandboxSettings() {
+  const permissionManager = new ToolPermissionManager();
+  const profiles = {};
+  let defaultProfile = null;
+
+  for (const source of TRUSTED_PROFILE_SOURCES) {
+    const sandbox = permissionManager.loadSettings(source)?.sandbox;
+    if (!sandbox) {
+      continue;
+    }
+    for (const [name, profile] of Object.entries(sandbox.profiles ?? {})) {
+      profiles[name] = profiles[name] ?? { ...profile, source };
+    }
+    if (!defaultProfile && sandbox.defaultProfile) {
+      defaultProfile = { name: sandbox.defaultProfile, source };
+    }
+  }
+
+  for (const [name, profile] of Object.entries(BUILTIN_SANDBOX_PROFILES)) {
+    profiles[name] = profiles[name] ?? { ...profile, source: 'builtin' };
+  }
+
+  // リポジトリ内の設定は既存プロファイルを絞り込むだけ（新しい名前のプロファイルは無視）
+  for (const source of NARROWING_PROFILE_SOURCES) {
+    const sandbox = permissionManager.loadSettings(source)?.sandbox;
+    for (const [name, profile] of Object.entries(sandbox?.profiles ?? {})) {
+      if (profiles[name]) {
+        profiles[name] = { ...profiles[name], narrowedBy: [...(profiles[name].narrowedBy ?? []), { ...profile, source }] };
+      }
+    }
+  }
+
+  // sandboxProfile 付きの Bash 権限ルール（優先度順、信頼済みソースのみ）
+  const rules = permissionManager.loadRulesFromSettingsFiles()
+    .filter(rule => rule.sandboxProfile && rule.ruleValue.toolName === 'Bash' && TRUSTED_PROFILE_SOURCES.includes(rule.source))
+    .sort((a, b) => TRUSTED_PROFILE_SOURCES.indexOf(a.source) - TRUSTED_PROFILE_SOURCES.indexOf(b.source));
+
+  return { profiles, defaultProfile, rules, permissionManager };
+}
+
+/**
+ * パスが基準パスのいずれかと同じか、その配下にあるか
+ * @param {string} path 絶対パス
+ * @param {Array} basePaths 絶対パスの配列
+ * @returns {boolean}
+ */
+function isWithinPaths(path, basePaths) {
+  return basePaths.some(base => path === base || path.startsWith(base.endsWith(sep) ? base : `${base}${sep}`));
+}
+
+/**
+ * リポジトリ内の設定による絞り込みを許可設定に適用（指定された項目のみ、制限を強める方向にだけ）
+ * @param {Object} permissions 元の許可設定
+ * @param {Object} narrowing リポジトリ内のプロファイル定義
+ * @param {string} cwd 作業ディレクトリ
+ * @returns {Object} 絞り込んだ許可設定
+ */
+function narrowPermissions(permissions, narrowing, cwd) {
+  const narrowed = { ...permissions };
+
+  if (narrowing.writablePaths) {
+    narrowed.allowedWritePaths = narrowing.writablePaths
+      .map(path => expandProfilePath(path, cwd))
+      .filter(path => isWithinPaths(path, permissions.allowedWritePaths));
+    narrowed.allowFileWrite = narrowed.allowedWritePaths.length > 0;
+  }
+
+  if (narrowing.hiddenPaths) {
+    narrowed.hiddenPaths = [...new Set([...permissions.hiddenPaths, ...narrowing.hiddenPaths.map(path => expandProfilePath(path, cwd))])];
+  }
+
+  if (narrowing.network !== undefined && narrowing.network !== 'all') {
+    const hosts = Array.isArray(narrowing.network) ? narrowing.network : [];
+    narrowed.allowedHosts = permissions.allowNetworking ? hosts : permissions.allowedHosts.filter(host => hosts.includes(host));
+    narrowed.allowNetworking = false;
+  }
+
+  if (narrowing.stripEnv?.length > 0) {
+    narrowed.stripEnv = [...new Set([...(permissions.stripEnv ?? []), ...narrowing.stripEnv])];
+  }
+  return narrowed;
+}
+
+/**
+ * プロファイルをサンドボックスの許可設定（createSandbox の permissions）に変換
+ * @param {Object} profile プロファイル
+ * @param {string} cwd 作業ディレクトリ
+ * @returns {Object} 許可設定
+ */
+function profileToPermissions(profile, cwd = dA()) {
+  const writablePaths = (profile.writablePaths ?? []).map(path => expandProfilePath(path, cwd));
+  const network = profile.network ?? 'none';
+
+  const permissions = {
+    allowFileWrite: writablePaths.length > 0,
+    allowedWritePaths: writablePaths,
+    hiddenPaths: (profile.hiddenPaths ?? []).map(path => expandProfilePath(path, cwd)),
+    allowNetworking: network === 'all',
+    allowedHosts: Array.isArray(network) ? network : [],
+    ...(profile.stripEnv?.length > 0 && { stripEnv: profile.stripEnv })
+  };
+  return (profile.narrowedBy ?? []).reduce((narrowed, narrowing) => narrowPermissions(narrowed, narrowing, cwd), permissions);
+}
+
+/**
+ * コマンドが使うサンドボックスプロファイルと、その理由を判定
+ * @param {string} command Bash コマンド
+ * @param {Object} options オプション
+ * @param {string} options.cwd 作業ディレクトリ
+ * @returns {Object} { name, profile, permissions, reason }（name が null ならプラットフォーム既定）
+ */
+function resolveSandboxProfile(command, { cwd = dA() } = {}) {
+  const { profiles, defaultProfile, rules, permissionManager } = loadSandboxSettings();
+  const select = (name, reason, profile = profiles[name]) => {
+    if (!profile) {
+      throw new Error(`Unknown sandbox profile "${name}" (${reason}). Available profiles: ${Object.keys(profiles).join(', ')}`);
+    }
+    return { name, profile, permissions: profileToPermissions(profile, cwd), reason };
+  };
+
+  // 複合コマンドは全サブコマンドがルールにマッチする場合のみ、そのルールのプロファイルを使う
+  const matchesRule = (rule, matchMode) => rule.ruleValue.ruleContent === undefined ||
+    permissionManager.matchRuleContent('Bash', rule.ruleValue.ruleContent, { command }, matchMode);
+  const matchingRule = rules.find(rule => matchesRule(rule, 'every'));
+  if (matchingRule) {
+    const ruleString = permissionManager.ruleToString(matchingRule.ruleValue);
+    return select(matchingRule.sandboxProfile, `matched ${matchingRule.ruleBehavior} rule ${ruleString} in ${getSourceDisplayName(matchingRule.source)}`);
+  }
+
+  if (defaultProfile) {
+    return select(defaultProfile.name, `defaultProfile in ${getSourceDisplayName(defaultProfile.source)}`);
+  }
+
+  // 一部のサブコマンドだけがルールにマッチする場合、プラットフォーム既定ではなく最も制限の強いプロファイルを使う
+  const partialRule = rules.find(rule => matchesRule(rule, 'some'));
+  if (partialRule) {
+    // 設定で再定義された readonly ではなく組み込みのものを使う
+    return select('readonly', `only part of the command matched rule ${permissionManager.ruleToString(partialRule.ruleValue)}`,
+      { ...BUILTIN_SANDBOX_PROFILES.readonly, source: 'builtin' });
+  }
+
+  return { name: null, profile: null, permissions: {}, reason: 'no sandbox profile configured; using the platform default sandbox' };
+}
+
+/**
+ * ネットワーク設定の説明文を生成
+ * @param {Object} permissions 許可設定
+ * @param {string|null} backend サンドボックスバックエンド
+ * @returns {string} 説明文
+ */
+function describeNetwork(permissions, backend) {
+  if (permissions.allowNetworking) {
+    return 'all';
+  }
+  if (!permissions.allowedHosts?.length) {
+    return 'none';
+  }
+
+  const hosts = permissions.allowedHosts.join(', ');
+  if (!permissions.allowedHosts.every(isLoopbackHost)) {
+    return `${hosts} (cannot be enforced: commands using this profile are refused; use "network": "all" to allow every host)`;
+  }
+  return backend === 'bubblewrap' || backend === 'unshare' ? `${hosts} (loopback only)` : hosts;
+}
+
+/**
+ * /sandbox 用: コマンドが使うプロファイルとその理由を整形
+ * @param {string} command Bash コマンド
+ * @returns {string} 表示用テキスト
+ */
+function formatSandboxExplanation(command) {
+  const backend = getSandboxBackend();
+  const { name, profile, permissions, reason } = resolveSandboxProfile(command);
+  const lines = [
+    `Command: ${command}`,
+    `Backend: ${backend ?? 'none (sandboxing is not available on this system)'}`,
+    `Profile: ${name ?? 'platform default'}${profile?.source ? ` (${profile.source === 'builtin' ? 'built-in' : getSourceDisplayName(profile.source)})` : ''}`,
+    `Reason: ${reason}`
+  ];
+
+  if (profile) {
+    lines.push(
+      `Writable: ${permissions.allowedWritePaths.join(', ') || 'none'}`,
+      `Hidden: ${permissions.hiddenPaths.join(', ') || 'none'}`,
+      `Network: ${describeNetwork(permissions, backend)}`,
+      `Stripped env: ${permissions.stripEnv?.join(', ') || 'none'}`
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * /sandbox 用: 利用可能なプロファイル一覧を整形
+ * @returns {string} 表示用テキスト
+ */
+function formatSandboxProfiles() {
+  const { profiles, defaultProfile, rules, permissionManager } = loadSandboxSettings();
+  const lines = [`Backend: ${getSandboxBackend() ?? 'none (sandboxing is not available on this system)'}`, '', 'Profiles:'];
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    const narrowedBy = (profile.narrowedBy ?? []).map(narrowing => getSourceDisplayName(narrowing.source));
+    const origin = `${profile.source === 'builtin' ? 'built-in' : getSourceDisplayName(profile.source)}${narrowedBy.length > 0 ? `, narrowed by ${narrowedBy.join(', ')}` : ''}`;
+    const marker = defaultProfile?.name === name ? ' (default)' : '';
+    lines.push(`  ${name}${marker} · ${origin}${profile.description ? ` · ${profile.description}` : ''}`);
+  }
+
+  if (rules.length > 0) {
+    lines.push('', 'Rules:');
+    for (const rule of rules) {
+      lines.push(`  ${permissionManager.ruleToString(rule.ruleValue)} → ${rule.sandboxProfile} · ${getSourceDisplayName(rule.source)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+export {
+  BUILTIN_SANDBOX_PROFILES,
+  expandProfilePath,
+  loadSandboxSettings,
+  profileToPermissions,
+  resolveSandboxProfile,
+  formatSandboxExplanation,
+  formatSandboxProfiles
+};
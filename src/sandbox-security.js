@@ -1,11 +1,14 @@
 /**
  * サンドボックスセキュリティ管理システム - macOS sandbox-exec プロファイル生成
+ * Linux では bubblewrap、無ければ user namespace (unshare) でサンドボックス化する
  * cli.js 637-646行から復元
  */
 
 import { tmpdir } from 'os';
-import { join } from 'path';
-import { writeFileSync, existsSync, unlinkSync, accessSync, constants } from 'fs';
+import { delimiter, join } from 'path';
+import { execFileSync } from 'child_process';
+import { writeFileSync, existsSync, unlinkSync, accessSync, realpathSync, statSync, constants } from 'fs';
+import { EnvironmentSecurity } from './shell-command-security.js';
 
 /**
  * macOSサンドボックスプロファイルクラス
@@ -119,42 +122,299 @@ class SandboxProfile {
   }
 }
 
+/**
+ * シェル引数をシングルクォートで安全にクォート（Linux バックエンド用）
+ * @param {string} arg 引数
+ * @returns {string} クォートされた引数
+ */
+function quoteForShell(arg) {
+  return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * ループバックのみを指す許可ホストか判定
+ * @param {string} host "host:port" 形式の許可ホスト
+ * @returns {boolean} ループバックかどうか
+ */
+function isLoopbackHost(host) {
+  return /^(localhost|127\.0\.0\.1|\[::1\])(:|$)/.test(host);
+}
+
+/**
+ * 許可ホストが強制可能か検証
+ * ネットワーク名前空間も sandbox-exec もホスト名で通信先を絞れないため、
+ * ループバック以外のホストを含む場合は黙って全体を許可せずに拒否する
+ * @param {string[]} allowedHosts "host:port" 形式の許可ホスト
+ * @throws {Error} ループバック以外のホストを含む場合
+ */
+function assertEnforceableHosts(allowedHosts) {
+  const unenforceable = allowedHosts.filter(host => !isLoopbackHost(host));
+  if (unenforceable.length > 0) {
+    throw new Error(`Sandbox cannot restrict network access to ${unenforceable.join(', ')}: only loopback hosts can be enforced. Use "network": "all" to allow every host, or remove these hosts.`);
+  }
+}
+
+/**
+ * Linuxサンドボックスクラス
+ * 読み取り専用のルート、書き込み可能なプロジェクトディレクトリと tmp、既定でネットワーク無効。
+ * createCustomProfile と同じ許可設定を受け付ける。
+ * ネットワーク名前空間はホスト単位で絞れないため、allowedHosts はループバックのみ受け付け、
+ * その場合はループバックだけを有効にする。
+ */
+class LinuxSandbox {
+  /**
+   * @param {string} backend 'bubblewrap' または 'unshare'
+   * @param {Object} permissions 許可設定
+   * @param {Object} options オプション
+   * @param {string} options.cwd コマンドを実行する作業ディレクトリ（追跡中の作業ディレクトリ）
+   */
+  constructor(backend, permissions = {}, { cwd = process.cwd() } = {}) {
+    this.backend = backend;
+    this.cwd = cwd;
+    const {
+      allowNetworking = false,
+      allowedHosts = [],
+      allowFileWrite = true,
+      allowedWritePaths = [cwd, tmpdir()],
+      hiddenPaths = [],
+      allowSystemInfo = true
+    } = permissions;
+
+    if (!allowNetworking) {
+      assertEnforceableHosts(allowedHosts);
+    }
+    this.networkMode = allowNetworking ? 'all' : allowedHosts.length > 0 ? 'loopback' : 'none';
+    this.allowSystemInfo = allowSystemInfo;
+    // allowFileWrite で書き込み先の指定が無い場合は macOS と同様に全体を書き込み可能にする
+    this.writableRoot = allowFileWrite && allowedWritePaths.length === 0;
+    // 親ディレクトリを先にマウントし、子のバインドマウントが隠れないようにする
+    this.writablePaths = allowFileWrite
+      ? [...new Set(allowedWritePaths.filter(path => existsSync(path)).map(path => realpathSync(path)))]
+          .sort((a, b) => a.length - b.length)
+      : [];
+    // 隠すパス: ディレクトリは空の tmpfs、ファイルは /dev/null で覆う
+    this.hiddenPaths = [...new Set(hiddenPaths.filter(path => existsSync(path)).map(path => realpathSync(path)))]
+      .map(path => ({ path, isDirectory: statSync(path).isDirectory() }));
+  }
+
+  /**
+   * unshare 用のスクリプトを構築
+   * user namespace 内で書き込み可能パス以外のマウントを読み取り専用に再マウントしてから実行する。
+   * 作業ディレクトリは再マウント前のマウントを指したままなので、パスから開き直す。
+   * allowSystemInfo が false の場合は /proc を空の tmpfs で覆う（マウント一覧を読んだ後に行う）。
+   * @returns {string} シェルスクリプト（$1 が実行するコマンド）
+   */
+  buildUnshareScript() {
+    const writable = this.writableRoot ? ['/'] : this.writablePaths;
+    const lines = ['set -e'];
+    for (const path of writable) {
+      lines.push(`mount --rbind ${quoteForShell(path)} ${quoteForShell(path)}`);
+    }
+    // user namespace 内ではロックされたフラグ（nosuid/nodev/noexec/atime）を外す再マウントは
+    // EPERM になるため、既存のフラグを引き継ぐ。再マウントに失敗したらコマンドを実行しない
+    lines.push(
+      `awk '{ gsub(/\\\\040/, " ", $5); print $6, $5 }' /proc/self/mountinfo | while read -r options mountpoint; do`,
+      ...(writable.length > 0 ? [`  case "$mountpoint" in ${writable.map(quoteForShell).join('|')}) continue ;; esac`] : []),
+      '  case ",$options," in *,ro,*) continue ;; esac',
+      '  flags=remount,bind,ro',
+      `  for flag in $(echo "$options" | tr ',' ' '); do`,
+      '    case "$flag" in nosuid|nodev|noexec|noatime|nodiratime|relatime|strictatime) flags="$flags,$flag" ;; esac',
+      '  done',
+      '  mount -o "$flags" "$mountpoint" || { echo "claude-sandbox: cannot make $mountpoint read-only" >&2; exit 1; }',
+      'done'
+    );
+    for (const { path, isDirectory } of this.hiddenPaths) {
+      lines.push(isDirectory
+        ? `mount -t tmpfs -o ro tmpfs ${quoteForShell(path)}`
+        : `mount --bind /dev/null ${quoteForShell(path)}`);
+    }
+    if (!this.allowSystemInfo) {
+      lines.push('mount -t tmpfs -o ro tmpfs /proc');
+    }
+    if (this.networkMode === 'loopback') {
+      lines.push('ip link set lo up 2>/dev/null || true');
+    }
+    lines.push(`cd ${quoteForShell(this.cwd)}`, 'exec bash -c "set -o pipefail; $1"');
+    return lines.join('\n');
+  }
+
+  /**
+   * サンドボックス実行用の引数列を構築
+   * @param {string} command 実行するコマンド
+   * @returns {string[]} 引数列
+   */
+  buildArgs(command) {
+    const isolateNetwork = this.networkMode !== 'all';
+
+    if (this.backend === 'bubblewrap') {
+      return [
+        'bwrap',
+        ...(this.writableRoot ? ['--bind', '/', '/'] : ['--ro-bind', '/', '/']),
+        '--dev', '/dev',
+        // ホストの /proc を見せないよう、allowSystemInfo が false なら空の tmpfs を置く
+        ...(this.allowSystemInfo ? ['--proc', '/proc'] : ['--tmpfs', '/proc', '--remount-ro', '/proc']),
+        ...this.writablePaths.flatMap(path => ['--bind', path, path]),
+        ...this.hiddenPaths.flatMap(({ path, isDirectory }) =>
+          isDirectory ? ['--tmpfs', path, '--remount-ro', path] : ['--ro-bind', '/dev/null', path]),
+        // bubblewrap は新しいネットワーク名前空間でループバックを有効にする
+        ...(isolateNetwork ? ['--unshare-net'] : []),
+        '--unshare-pid',
+        '--die-with-parent',
+        '--chdir', this.cwd,
+        '--',
+        'bash', '-c', `set -o pipefail; ${command}`
+      ];
+    }
+
+    return [
+      'unshare', '--user', '--map-root-user', '--mount',
+      ...(isolateNetwork ? ['--net'] : []),
+      '--fork', '--',
+      'sh', '-c', this.buildUnshareScript(), 'claude-sandbox', command
+    ];
+  }
+
+  /**
+   * コマンドをサンドボックス実行用にラップ
+   * @param {string} command 実行するコマンド
+   * @returns {string} サンドボックス化されたコマンド（eval 用にクォート済み）
+   */
+  wrapCommand(command) {
+    return quoteForShell(this.buildArgs(command).map(quoteForShell).join(' '));
+  }
+
+  /**
+   * 一時ファイルを持たないためクリーンアップ不要
+   */
+  cleanup() {}
+}
+
+/**
+ * PATH 上の実行ファイルを検索
+ * @param {string} name 実行ファイル名
+ * @returns {string|null} 実行ファイルのパス
+ */
+function findExecutable(name) {
+  for (const dir of (process.env.PATH || '').split(delimiter)) {
+    const candidate = join(dir, name);
+    try {
+      accessSync(candidate, constants.X_OK);
+      return candidate;
+    } catch (error) {
+      // 次のディレクトリを探す
+    }
+  }
+  return null;
+}
+
+// 検出済みの Linux バックエンド（undefined は未検出）
+let linuxSandboxBackend;
+
+/**
+ * Linuxサンドボックスバックエンドの検出（結果はキャッシュ）
+ * 実行ファイルがあっても user namespace が無効な環境があるため、実際に起動して確認する
+ * @returns {string|null} 'bubblewrap' / 'unshare' / null
+ */
+function detectLinuxSandboxBackend() {
+  if (linuxSandboxBackend !== undefined) {
+    return linuxSandboxBackend;
+  }
+
+  const probes = [
+    ['bubblewrap', 'bwrap', ['--ro-bind', '/', '/', '--unshare-net', 'true']],
+    ['unshare', 'unshare', ['--user', '--map-root-user', '--mount', '--net', '--fork', 'true']]
+  ];
+
+  linuxSandboxBackend = null;
+  for (const [backend, executable, args] of probes) {
+    const path = findExecutable(executable);
+    if (!path) {
+      continue;
+    }
+    try {
+      execFileSync(path, args, { stdio: 'ignore', timeout: 5000 });
+      linuxSandboxBackend = backend;
+      break;
+    } catch (error) {
+      // このバックエンドは利用不可
+    }
+  }
+  return linuxSandboxBackend;
+}
+
+/**
+ * 利用可能なサンドボックスバックエンドを取得
+ * @returns {string|null} 'sandbox-exec' / 'bubblewrap' / 'unshare' / null
+ */
+function getSandboxBackend() {
+  if (process.platform === 'darwin') {
+    try {
+      accessSync('/usr/bin/sandbox-exec', constants.X_OK);
+      return 'sandbox-exec';
+    } catch (error) {
+      return null;
+    }
+  }
+  if (process.platform === 'linux') {
+    return detectLinuxSandboxBackend();
+  }
+  return null;
+}
+
 /**
  * サンドボックス可用性チェック
- * @returns {boolean} sandbox-execが利用可能かどうか
+ * @returns {boolean} サンドボックスが利用可能かどうか
  */
 function isSandboxAvailable() {
-  if (process.platform !== 'darwin') {
-    return false;
+  return getSandboxBackend() !== null;
+}
+
+/**
+ * プラットフォームに応じたサンドボックスを作成
+ * @param {Object} permissions 許可設定（空なら各プラットフォームの既定）
+ * @param {Object} options オプション
+ * @param {string} options.cwd コマンドを実行する作業ディレクトリ
+ * @returns {SandboxProfile|LinuxSandbox} wrapCommand / cleanup を持つサンドボックス
+ */
+function createSandbox(permissions = {}, { cwd = process.cwd() } = {}) {
+  const backend = getSandboxBackend();
+  if (backend === 'sandbox-exec') {
+    return Object.keys(permissions).length > 0 ? createCustomProfile(permissions) : new SandboxProfile();
   }
-  
-  try {
-    accessSync('/usr/bin/sandbox-exec', constants.X_OK);
-    return true;
-  } catch (error) {
-    return false;
+  if (backend) {
+    return new LinuxSandbox(backend, permissions, { cwd });
   }
+  throw new Error('Sandbox mode requested but not available on this system');
 }
 
 /**
  * サンドボックス実行環境のセットアップ
  * @param {string} command 実行するコマンド
- * @returns {Object} サンドボックス実行情報
+ * @param {Object} permissions 許可設定（空なら各プラットフォームの既定）
+ * @param {string[]} permissions.stripEnv サンドボックス内で除去する環境変数
+ * @param {Object} options オプション
+ * @param {string} options.cwd コマンドを実行する作業ディレクトリ（追跡中の作業ディレクトリ）
+ * @returns {Object} サンドボックス実行情報（filterEnv で子プロセスの環境変数を絞る）
  * @throws {Error} サンドボックスが利用できない場合
  */
-function setupSandboxExecution(command) {
+function setupSandboxExecution(command, permissions = {}, { cwd = process.cwd() } = {}) {
   if (!isSandboxAvailable()) {
     throw new Error('Sandbox mode requested but not available on this system');
   }
 
+  const { stripEnv, ...sandboxPermissions } = permissions;
+  const environmentSecurity = new EnvironmentSecurity();
   try {
-    const profile = new SandboxProfile();
+    const sandbox = createSandbox(sandboxPermissions, { cwd });
     return {
-      finalCommand: profile.wrapCommand(command),
-      cleanup: () => profile.cleanup()
+      finalCommand: sandbox.wrapCommand(command),
+      cleanup: () => sandbox.cleanup(),
+      filterEnv: env => stripEnv
+        ? environmentSecurity.createSafeEnvironment(env, { additionalVars: stripEnv, preservePath: true })
+        : env
     };
   } catch (error) {
-    throw new Error('Sandbox mode requested but not available on this system');
+    throw new Error(`Sandbox mode requested but could not be set up: ${error.message}`);
   }
 }
 
@@ -168,9 +428,11 @@ function createCustomProfile(permissions = {}) {
   
   const {
     allowNetworking = false,
+    allowedHosts = [],
     allowFileWrite = false,
     allowedWritePaths = [],
     allowedReadPaths = [],
+    hiddenPaths = [],
     allowProcessControl = true,
     allowSystemInfo = true
   } = permissions;
@@ -204,12 +466,25 @@ function createCustomProfile(permissions = {}) {
     }
   }
 
+  // 隠すパス（後に書いたルールが優先される）
+  for (const path of hiddenPaths) {
+    customProfile += `\n(deny file-read* (subpath "${path}"))`;
+  }
+
   // ネットワーク権限
   if (allowNetworking) {
     customProfile += `
 ;; Network operations
 (allow network-outbound)
 (allow network-inbound)`;
+  } else if (allowedHosts.length > 0) {
+    // sandbox-exec のリモート指定は localhost か * のみ受け付けるため、ループバックのみ許可できる
+    assertEnforceableHosts(allowedHosts);
+    customProfile += '\n;; Allowed outbound hosts';
+    for (const host of allowedHosts) {
+      const [, port = '*'] = host.match(/:(\d+|\*)$/) ?? [];
+      customProfile += `\n(allow network-outbound (remote tcp "localhost:${port}"))`;
+    }
   }
 
   // システム情報アクセス
@@ -260,13 +535,13 @@ async function executeSecurely(command, options = {}) {
   let sandboxSetup;
   try {
     if (Object.keys(customPermissions).length > 0) {
-      const customProfile = createCustomProfile(customPermissions);
+      const sandbox = createSandbox(customPermissions, { cwd });
       sandboxSetup = {
-        finalCommand: customProfile.wrapCommand(command),
-        cleanup: () => customProfile.cleanup()
+        finalCommand: sandbox.wrapCommand(command),
+        cleanup: () => sandbox.cleanup()
       };
     } else {
-      sandboxSetup = setupSandboxExecution(command);
+      sandboxSetup = setupSandboxExecution(command, {}, { cwd });
     }
 
     const result = await executeCommand(sandboxSetup.finalCommand, { timeout, cwd });
@@ -348,6 +623,12 @@ const SECURITY_LEVELS = {
 
 export {
   SandboxProfile,
+  LinuxSandbox,
+  getSandboxBackend,
+  createSandbox,
+  quoteForShell,
+  isLoopbackHost,
+  assertEnforceableHosts,
   isSandboxAvailable,
   setupSandboxExecution,
   createCustomProfile,
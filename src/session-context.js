@@ -0,0 +1,30 @@
+// Session scoping for state shared by several sessions in one process (`claude serve`)
+// Code that runs on behalf of a served session runs inside runInSession(), so
+// per-session state (session permission rules, background shells, hook input)
+// can be keyed by getScopedSessionId(). Outside of it, e.g. in the interactive
+// CLI, the scoped session ID is undefined and the process-wide session applies.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const sessionStorage = new AsyncLocalStorage();
+
+// Run fn, and everything it starts asynchronously, on behalf of sessionId
+function runInSession(sessionId, fn) {
+    return sessionStorage.run(sessionId, fn);
+}
+
+// ID of the served session the caller runs for, or undefined outside of one
+function getScopedSessionId() {
+    return sessionStorage.getStore();
+}
+
+// ID of the session the caller runs for, falling back to the process-wide session
+function getCurrentSessionId() {
+    return getScopedSessionId() ?? PB();
+}
+
+module.exports = {
+    runInSession,
+    getScopedSessionId,
+    getCurrentSessionId
+};
@@ -275,19 +275,25 @@ class EnvironmentSecurity {
   /**
    * 安全な環境変数セットを作成
    * @param {Object} baseEnv ベース環境変数
+   * @param {Object} options オプション
+   * @param {string[]} options.additionalVars 追加で除去する変数名（末尾 * で前方一致）
+   * @param {boolean} options.preservePath PATH をベース環境のまま残すか
    * @returns {Object} 安全化された環境変数
    */
-  createSafeEnvironment(baseEnv = process.env) {
+  createSafeEnvironment(baseEnv = process.env, { additionalVars = [], preservePath = false } = {}) {
     const safeEnv = {};
+    const isAdditionalVar = key => additionalVars.some(pattern =>
+      pattern.endsWith('*') ? key.startsWith(pattern.slice(0, -1)) : key === pattern
+    );
     
     for (const [key, value] of Object.entries(baseEnv)) {
-      if (!this.dangerousEnvVars.has(key)) {
+      if (!this.dangerousEnvVars.has(key) && !isAdditionalVar(key)) {
         safeEnv[key] = value;
       }
     }
 
     // 最小限の安全なPATH設定
-    safeEnv.PATH = '/usr/bin:/bin:/usr/sbin:/sbin';
+    safeEnv.PATH = preservePath && baseEnv.PATH ? baseEnv.PATH : '/usr/bin:/bin:/usr/sbin:/sbin';
     
     // セキュリティ強化設定
     safeEnv.HISTFILE = '/dev/null';
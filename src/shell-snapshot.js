@@ -10,6 +10,8 @@ import { getProjectRoot } from './project-utils.js';
 import { getRipgrepPath } from './ripgrep-loader.js';
 import { attachBashHandlers, createEnvironment } from './bash-command-analyzer.js';
 import { createBackgroundTask } from './background-shell-manager.js';
+import { setupSandboxExecution } from './sandbox-security.js';
+import { resolveSandboxProfile } from './sandbox-profiles.js';
 
 // シェルスナップショット作成スクリプトを生成
 function generateSnapshotScript(shell, snapshotFile) {
@@ -257,13 +259,15 @@ export async function runBashCommandInBackground(
   
   // システムBashモードの処理
   let cleanup = () => {};
+  let filterEnv = env => env;
   if (useSystemBash) {
     command = sanitizeSystemCommand(command);
-    quotedCommand = quote([command, '<', '/dev/null']);
     
-    const prepared = prepareSystemCommand(quotedCommand);
-    quotedCommand = prepared.finalCommand;
+    // サンドボックスには生のコマンドを渡し、標準入力は外側でリダイレクトする
+    const prepared = prepareSystemCommand(command);
+    quotedCommand = `${prepared.finalCommand} < /dev/null`;
     cleanup = prepared.cleanup;
+    filterEnv = prepared.filterEnv;
   }
   
   // コマンドスクリプトを構築
@@ -285,13 +289,13 @@ export async function runBashCommandInBackground(
     const env = createEnvironment(command);
     
     const childProcess = spawn(shell, ['-c', '-l', fullScript], {
-      env: {
+      env: filterEnv({
         ...process.env,
         SHELL: shell,
         GIT_EDITOR: 'true',
         CLAUDECODE: '1',
         ...(useSystemBash ? env.env : {})
-      },
+      }),
       cwd,
       detached: true
     });
@@ -367,8 +371,10 @@ function sanitizeSystemCommand(command) {
 }
 
 function prepareSystemCommand(command) {
-  // システムコマンドの準備
-  return { finalCommand: command, cleanup: () => {} };
+  // 設定のサンドボックスプロファイルでラップ（macOS: sandbox-exec、Linux: bubblewrap / unshare）
+  const cwd = getCurrentWorkingDirectory();
+  const { permissions } = resolveSandboxProfile(command, { cwd });
+  return setupSandboxExecution(command, permissions, { cwd });
 }
 
 function createAbortedResult() {
@@ -0,0 +1,227 @@
+// Bidirectional stream-json protocol for --input-format=stream-json
+// Besides `user` messages, stdin accepts control requests (interrupt, permission mode,
+// model, state, sub-agents) that are each acknowledged with a control_response on stdout. With
+// --permission-prompt-tool stdio, permission prompts are sent as control requests and
+// answered inline by the embedding process.
+
+import { randomUUID } from "crypto";
+
+// Bumped whenever a message shape on stdout changes incompatibly.
+// Version 1 was the unversioned output of earlier releases.
+export const STREAM_JSON_PROTOCOL_VERSION = 2;
+
+export const STDIO_PERMISSION_PROMPT_TOOL = "stdio";
+
+export const INPUT_MESSAGE_TYPES = ["user", "control_request", "control_response"];
+
+export const CONTROL_REQUEST_SUBTYPES = ["interrupt", "set_permission_mode", "set_model", "get_state", "list_agents", "stop_agent"];
+
+// Every line written to stdout carries the protocol version
+export function formatStreamJsonLine(message) {
+  return JSON.stringify({ ...message, protocol_version: STREAM_JSON_PROTOCOL_VERSION }) + "\n";
+}
+
+function parseInputLine(line) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    throw new Error(`Error parsing streaming input line: ${line}: ${error.message}`);
+  }
+  if (!INPUT_MESSAGE_TYPES.includes(message?.type)) {
+    throw new Error(`Expected message type ${INPUT_MESSAGE_TYPES.map((type) => `'${type}'`).join(", ")}, got '${message?.type}'`);
+  }
+  if (message.type === "control_request" && (!message.request_id || !message.request?.subtype)) {
+    throw new Error("Expected control_request to have a request_id and a request.subtype");
+  }
+  if (message.type === "control_response" && !message.response?.request_id) {
+    throw new Error("Expected control_response to have a response.request_id");
+  }
+  return message;
+}
+
+// Dispatches control requests from stdin and tracks the permission prompts
+// waiting for an answer from stdin
+export class StreamJsonControlChannel {
+  constructor(write = (message) => process.stdout.write(formatStreamJsonLine(message))) {
+    this.write = write;
+    this.requestHandlers = new Map();
+    this.pendingRequests = new Map();
+    this.closed = false;
+  }
+
+  setRequestHandler(subtype, handler) {
+    this.requestHandlers.set(subtype, handler);
+  }
+
+  // Run a control request and return its response, throwing when it fails
+  async dispatchControlRequest(request) {
+    const handler = this.requestHandlers.get(request.subtype);
+    if (!handler) {
+      throw new Error(`Unsupported control request subtype: ${request.subtype}. Expected one of: ${CONTROL_REQUEST_SUBTYPES.join(", ")}`);
+    }
+    return (await handler(request)) ?? {};
+  }
+
+  async handleControlRequest({ request_id, request }) {
+    try {
+      const response = await this.dispatchControlRequest(request);
+      this.write({
+        type: "control_response",
+        response: { subtype: "success", request_id, response }
+      });
+    } catch (error) {
+      this.write({
+        type: "control_response",
+        response: { subtype: "error", request_id, error: error instanceof Error ? error.message : String(error) }
+      });
+    }
+  }
+
+  handleControlResponse({ response }) {
+    const pending = this.pendingRequests.get(response.request_id);
+    if (!pending) {
+      iA(`Ignoring control_response for unknown request ${response.request_id}`);
+      return;
+    }
+    this.pendingRequests.delete(response.request_id);
+    if (response.subtype === "error") {
+      pending.resolve({ behavior: "deny", message: response.error ?? "Permission request failed" });
+    } else {
+      pending.resolve(response.response);
+    }
+  }
+
+  getPendingPermissionRequests() {
+    return [...this.pendingRequests.values()].map(({ request }) => ({
+      tool_name: request.tool_name,
+      tool_use_id: request.tool_use_id
+    }));
+  }
+
+  // Ask the embedding process whether a tool may run. Resolves to
+  // { behavior: "allow", updatedInput } or { behavior: "deny", message }.
+  requestPermission({ toolName, input, toolUseId, signal }) {
+    if (this.closed) {
+      return Promise.resolve({ behavior: "deny", message: "Input stream closed before permission was granted" });
+    }
+
+    const request_id = randomUUID();
+    const request = { subtype: "can_use_tool", tool_name: toolName, input, tool_use_id: toolUseId };
+
+    return new Promise((resolve) => {
+      const onAbort = () => {
+        this.pendingRequests.delete(request_id);
+        resolve({ behavior: "deny", message: "Permission request was interrupted" });
+      };
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this.pendingRequests.set(request_id, {
+        request,
+        resolve: (decision) => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve(decision);
+        }
+      });
+      this.write({ type: "control_request", request_id, request });
+    });
+  }
+
+  // Deny every open permission prompt once stdin is gone
+  close() {
+    this.closed = true;
+    for (const pending of this.pendingRequests.values()) {
+      pending.resolve({ behavior: "deny", message: "Input stream closed before permission was granted" });
+    }
+    this.pendingRequests.clear();
+  }
+
+  // Stand-in for an MCP --permission-prompt-tool that answers over stdin/stdout.
+  // Returns the same JSON text contract as an MCP permission prompt tool.
+  createPermissionPromptTool() {
+    const channel = this;
+    return {
+      name: STDIO_PERMISSION_PROMPT_TOOL,
+      inputJSONSchema: {
+        type: "object",
+        properties: {
+          tool_name: { type: "string" },
+          input: { type: "object" },
+          tool_use_id: { type: "string" }
+        },
+        required: ["tool_name", "input"]
+      },
+      async* call({ tool_name, input, tool_use_id }, context) {
+        const decision = await channel.requestPermission({
+          toolName: tool_name,
+          input,
+          toolUseId: tool_use_id,
+          signal: context?.abortController?.signal
+        });
+        yield {
+          type: "result",
+          data: [{ type: "text", text: JSON.stringify(decision) }]
+        };
+      }
+    };
+  }
+}
+
+// Reads newline-delimited JSON from stdin. User messages are yielded to the
+// caller; control messages are handled as soon as they arrive, even mid-turn.
+export class StreamJsonReader {
+  constructor(stream, controlChannel) {
+    this.stream = stream;
+    this.controlChannel = controlChannel;
+  }
+
+  async* [Symbol.asyncIterator]() {
+    let buffered = "";
+    try {
+      for await (const chunk of this.stream) {
+        buffered += chunk.toString();
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        for (const line of lines) {
+          const message = this.processLine(line);
+          if (message) {
+            yield message;
+          }
+        }
+      }
+      const message = this.processLine(buffered);
+      if (message) {
+        yield message;
+      }
+    } finally {
+      this.controlChannel.close();
+    }
+  }
+
+  processLine(line) {
+    if (!line.trim()) {
+      return null;
+    }
+
+    let message;
+    try {
+      message = parseInputLine(line);
+    } catch (error) {
+      process.stderr.write(`Error: ${error.message}\n`);
+      process.exit(1);
+    }
+
+    if (message.type === "control_request") {
+      this.controlChannel.handleControlRequest(message);
+      return null;
+    }
+    if (message.type === "control_response") {
+      this.controlChannel.handleControlResponse(message);
+      return null;
+    }
+    return message;
+  }
+}
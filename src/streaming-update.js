@@ -2,6 +2,10 @@
 
 import { homedir } from "os";
 import { join } from "path";
+import { getSessionStartHookMessages } from "./hook-system.js";
+import { PERMISSION_MODES } from "./tool-permissions.js";
+import { STREAM_JSON_PROTOCOL_VERSION } from "./stream-json-protocol.js";
+import { listRunningAgents, stopAgent } from "./agent-supervisor.js";
 
 // Version and metadata constants
 export const METADATA = {
@@ -31,11 +35,69 @@ export function streamingCommandProcessor(
   let isProcessing = false;
   let isComplete = false;
   const messageStream = new nQA(); // Message stream class
-  const initialMessages = fu2(options); // Initialize messages
+  const initialMessages = options.initialMessages ?? fu2(options); // Initialize messages
+  let sessionStartHooksRun = false;
+  
+  // State that control requests can change between (or during) turns
+  let currentPermissionContext = permissionContext;
+  let currentModel = options.userSpecifiedModel;
+  let abortController = null;
+  
+  const controlChannel = options.controlChannel;
+  if (controlChannel) {
+    controlChannel.setRequestHandler("interrupt", () => {
+      const interrupted = Boolean(abortController && !abortController.signal.aborted);
+      abortController?.abort();
+      return { interrupted };
+    });
+    
+    // Takes effect from the next turn
+    controlChannel.setRequestHandler("set_permission_mode", ({ mode }) => {
+      if (!PERMISSION_MODES.includes(mode)) {
+        throw new Error(`Invalid permission mode: ${mode}. Expected one of: ${PERMISSION_MODES.join(", ")}`);
+      }
+      if (mode === "bypassPermissions" && !currentPermissionContext.isBypassPermissionsModeAvailable) {
+        throw new Error("bypassPermissions mode is not available in this session");
+      }
+      currentPermissionContext = { ...currentPermissionContext, mode };
+      return { mode };
+    });
+    
+    // Takes effect from the next turn; "default" (or no model) restores the startup model
+    controlChannel.setRequestHandler("set_model", ({ model }) => {
+      currentModel = model && model !== "default" ? model : options.userSpecifiedModel;
+      return { model: currentModel ?? "default" };
+    });
+    
+    controlChannel.setRequestHandler("get_state", () => ({
+      protocol_version: STREAM_JSON_PROTOCOL_VERSION,
+      session_id: options.sessionId ?? PB(),
+      model: currentModel ?? "default",
+      permission_mode: currentPermissionContext.mode,
+      is_processing: isProcessing,
+      queued_prompts: commandQueue.length,
+      pending_permission_requests: controlChannel.getPendingPermissionRequests()
+    }));
+    
+    // Running Task sub-agents of this session; stopping one returns its partial result to the Task
+    controlChannel.setRequestHandler("list_agents", () => ({ agents: listRunningAgents(options.sessionId ?? PB()) }));
+    controlChannel.setRequestHandler("stop_agent", ({ agent_id }) => {
+      if (!agent_id) {
+        throw new Error("stop_agent requires an agent_id");
+      }
+      return stopAgent(agent_id, { sessionId: options.sessionId ?? PB() });
+    });
+  }
   
   const processQueue = async () => {
     isProcessing = true;
     try {
+      // SessionStart hooks run once, before the first prompt is processed
+      if (!sessionStartHooksRun) {
+        sessionStartHooksRun = true;
+        initialMessages.push(...await getSessionStartHookMessages(options.resume ? "resume" : "startup"));
+      }
+      
       while (commandQueue.length > 0) {
         const command = commandQueue.shift();
         
@@ -44,32 +106,43 @@ export function streamingCommandProcessor(
         }
         
         const prompt = command.value;
+        abortController = new AbortController();
         
         // Process command and stream results
-        for await (const result of ku2({
-          commands: availableCommands,
-          prompt: prompt,
-          cwd: Pf6(),
-          tools: availableTools,
-          permissionContext: permissionContext,
-          verbose: options.verbose,
-          mcpClients: mcpClients,
-          maxTurns: options.maxTurns,
-          permissionPromptTool: permissionPromptTool,
-          userSpecifiedModel: options.userSpecifiedModel,
-          fallbackModel: options.fallbackModel,
-          initialMessages: initialMessages,
-          customSystemPrompt: options.systemPrompt,
-          appendSystemPrompt: options.appendSystemPrompt,
-          getQueuedCommands: getQueuedCommands,
-          removeQueuedCommands: removeQueuedCommands
-        })) {
-          initialMessages.push(result);
-          messageStream.enqueue(result);
+        try {
+          for await (const result of ku2({
+            commands: availableCommands,
+            prompt: prompt,
+            cwd: Pf6(),
+            tools: availableTools,
+            permissionContext: currentPermissionContext,
+            verbose: options.verbose,
+            mcpClients: mcpClients,
+            maxTurns: options.maxTurns,
+            permissionPromptTool: permissionPromptTool,
+            userSpecifiedModel: currentModel,
+            fallbackModel: options.fallbackModel,
+            initialMessages: initialMessages,
+            customSystemPrompt: options.systemPrompt,
+            appendSystemPrompt: options.appendSystemPrompt,
+            getQueuedCommands: getQueuedCommands,
+            removeQueuedCommands: removeQueuedCommands,
+            abortController: abortController,
+            sessionId: options.sessionId
+          })) {
+            initialMessages.push(result);
+            messageStream.enqueue(result);
+          }
+        } catch (error) {
+          // An interrupted turn ends quietly; queued prompts still run
+          if (!abortController.signal.aborted) {
+            throw error;
+          }
         }
       }
     } finally {
       isProcessing = false;
+      abortController = null;
     }
     
     if (isComplete) {
@@ -1,6 +1,7 @@
 // System Management and UI Components - Restored from cli.js lines 2438-2447
 
 import React, { useState, useEffect, useCallback, useMemo, Fragment } from 'react';
+import { dU as backgroundShells } from './background-shell-manager.js';
 
 // Version constant
 const VERSION = "1.0.43";
@@ -488,6 +489,16 @@ function wp() {
   };
 }
 
+// Shell runtime, frozen once the shell has exited
+function formatShellRuntime(shell) {
+  const seconds = Math.floor(shell.getRuntimeMs() / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds - hours * 3600) / 60);
+  const remainingSeconds = seconds - hours * 3600 - minutes * 60;
+  
+  return `${hours > 0 ? `${hours}h ` : ""}${minutes > 0 || hours > 0 ? `${minutes}m ` : ""}${remainingSeconds}s`;
+}
+
 // Shell details component
 function yb2({ shell, onDone, onKillShell }) {
   const [refreshCounter, setRefreshCounter] = useState(0);
@@ -509,28 +520,10 @@ function yb2({ shell, onDone, onKillShell }) {
   
   const exitState = useExitState();
   
-  const formatDuration = (startTime) => {
-    const seconds = Math.floor((Date.now() - startTime) / 1000);
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds - hours * 3600) / 60);
-    const remainingSeconds = seconds - hours * 3600 - minutes * 60;
-    
-    return `${hours > 0 ? `${hours}h ` : ""}${minutes > 0 || hours > 0 ? `${minutes}m ` : ""}${remainingSeconds}s`;
-  };
-  
-  // Update output periodically
+  // Update output periodically. Tailing doesn't consume output, so the
+  // agent's BashOutput reads still see everything
   useEffect(() => {
-    const shellOutput = getShellOutput(shell.id);
-    
-    const truncateOutput = (existing, newOutput, maxLines = 10) => {
-      if (!newOutput) return existing;
-      const existingLines = existing.split('\n');
-      const newLines = newOutput.split('\n');
-      return [...existingLines, ...newLines].slice(-maxLines).join('\n');
-    };
-    
-    const stdout = truncateOutput(output.stdout, shellOutput.stdout);
-    const stderr = truncateOutput(output.stderr, shellOutput.stderr);
+    const { stdout, stderr } = getShellTail(shell.id, 10);
     
     const { totalLines: stdoutLines, truncatedContent: stdoutContent } = truncateText(stdout);
     const { totalLines: stderrLines, truncatedContent: stderrContent } = truncateText(stderr);
@@ -548,7 +541,7 @@ function yb2({ shell, onDone, onKillShell }) {
       }, 1000);
       return () => clearTimeout(timeout);
     }
-  }, [shell.id, shell.status, refreshCounter, output.stdout, output.stderr]);
+  }, [shell.id, shell.status, refreshCounter]);
   
   const commandDisplay = shell.command.length > 70 
     ? shell.command.substring(0, 67) + "..."
@@ -603,7 +596,7 @@ function yb2({ shell, onDone, onKillShell }) {
           React.createElement("span", null, [
             React.createElement("span", { style: { fontWeight: "bold" } }, "Runtime:"),
             " ",
-            formatDuration(shell.startTime)
+            formatShellRuntime(shell)
           ]),
           React.createElement("span", {
             style: { wrap: "truncate-end" }
@@ -700,6 +693,106 @@ function yb2({ shell, onDone, onKillShell }) {
   );
 }
 
+// Background shells list panel
+function Sb2({ onDone }) {
+  const { shells, killShell } = wp();
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [selectedShellId, setSelectedShellId] = useState(null);
+  const [, setTick] = useState(0);
+  
+  // Keep runtimes ticking while any shell is running
+  useEffect(() => {
+    if (!shells.some(shell => shell.status === "running")) return;
+    const interval = setInterval(() => setTick(tick => tick + 1), 1000);
+    return () => clearInterval(interval);
+  }, [shells]);
+  
+  const selectedShell = selectedShellId ? shells.find(shell => shell.id === selectedShellId) : null;
+  
+  useKeyboard((key, keyData) => {
+    if (selectedShell) return;
+    
+    if (keyData.escape) {
+      onDone();
+    } else if (keyData.upArrow) {
+      setSelectedIndex(index => Math.max(0, index - 1));
+    } else if (keyData.downArrow) {
+      setSelectedIndex(index => Math.min(shells.length - 1, index + 1));
+    } else if (keyData.return && shells[selectedIndex]) {
+      setSelectedShellId(shells[selectedIndex].id);
+    } else if (key === "k" && shells[selectedIndex]?.status === "running") {
+      killShell(shells[selectedIndex].id);
+    }
+  });
+  
+  if (selectedShell) {
+    return React.createElement(yb2, {
+      shell: selectedShell,
+      onDone: () => setSelectedShellId(null),
+      onKillShell: () => killShell(selectedShell.id)
+    });
+  }
+  
+  const runningCount = shells.filter(shell => shell.status === "running").length;
+  
+  return React.createElement("div", {
+    style: { width: "100%", flexDirection: "column" }
+  },
+    React.createElement("div", {
+      style: {
+        borderStyle: "round",
+        borderColor: "permission",
+        flexDirection: "column",
+        padding: 1,
+        width: "100%"
+      }
+    },
+      React.createElement("span", {
+        style: { color: "permission", fontWeight: "bold" }
+      }, `Background Bash Shells (${runningCount} running)`),
+      
+      shells.length === 0
+        ? React.createElement("span", { style: { color: "dim", marginY: 1 } },
+            "No background shells. Ask Claude to run a command in the background, or background a long-running command.")
+        : React.createElement("div", { style: { flexDirection: "column", marginY: 1 } },
+            shells.map((shell, index) => {
+              const isSelected = index === selectedIndex;
+              const statusColor = shell.status === "running" ? "permission"
+                : shell.status === "completed" ? "success" : "error";
+              return React.createElement("span", {
+                key: shell.id,
+                style: { wrap: "truncate-end" }
+              }, [
+                isSelected ? "❯ " : "  ",
+                React.createElement("span", { style: { fontWeight: isSelected ? "bold" : undefined } }, shell.id),
+                " ",
+                React.createElement("span", { style: { color: statusColor } }, shell.status),
+                React.createElement("span", { style: { color: "dim" } }, ` ${formatShellRuntime(shell)} `),
+                shell.command
+              ]);
+            })
+          )
+    ),
+    React.createElement("span", { style: { color: "dim" } },
+      "↑/↓ to select · Enter to view output · k to kill · esc to close")
+  );
+}
+
+// Bashes command definition
+const Tb2 = {
+  type: "local-jsx",
+  name: "bashes",
+  description: "List and manage background bash shells",
+  isEnabled: () => true,
+  isHidden: false,
+  async call(onDone) {
+    return React.createElement(Sb2, { onDone });
+  },
+  userFacingName() {
+    return "bashes";
+  }
+};
+
 // Vim mode toggle
 async function ny6() {
   const config = getConfig();
@@ -763,10 +856,10 @@ function getProxy() { return null; }
 function getTlsConfig() { return null; }
 function getMCPState() { return [{ mcp: { clients: [] } }]; }
 function canCheckInstallationStatus() { return Promise.resolve(true); }
-function getAllShells() { return []; }
-function subscribeToShellChanges() { return () => {}; }
-function killShell() {}
-function getShellOutput() { return { stdout: "", stderr: "" }; }
+function getAllShells() { return backgroundShells.getAllShells(); }
+function subscribeToShellChanges(listener) { return backgroundShells.subscribe(listener); }
+function killShell(id) { return backgroundShells.killShell(id); }
+function getShellTail(id, lines) { return backgroundShells.getShellTail(id, lines); }
 function truncateText(text) { return { totalLines: 0, truncatedContent: text }; }
 function useKeyboard() {}
 function useExitState() { return { pending: false, keyName: "esc" }; }
@@ -800,6 +893,8 @@ export {
   // Shell management
   wp as useShells,
   yb2 as ShellDetailsComponent,
+  Sb2 as ShellListComponent,
+  Tb2 as BashesCommand,
   
   // Vim mode
   ay6 as VimCommand,
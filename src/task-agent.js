@@ -1,40 +1,36 @@
 // Task Agent implementation - Restored from cli.js lines 2498-2507
 
 import React from 'react';
+import { useInput } from 'ink';
 import { z } from 'zod';
+import { BashOutputSchema, KillShellSchema } from './background-shell-tools.js';
+import { DEFAULT_AGENT_TYPE, formatAgentTypesForPrompt, getAgentType, resolveAgentTools } from './agent-types.js';
+import { bindToolsToWorktree, createAgentRun, finalizeAgentRun, formatWorktreeInstructions } from './agent-worktrees.js';
+import { getGlobalConfig } from './config-utils.js';
+import { formatAgentUsage, getUsageTokens, isAgentRunning, startSupervisedAgent, stopAgent } from './agent-supervisor.js';
 
 // Constants
 const yY = "Task"; // Tool name
 const FQA = 5; // Progress display limit
 
 // Schema definitions for background shell functionality
-const Ev3 = z.strictObject({
-  shell_id: z.string().describe("The ID of the background shell to kill")
-});
-
-const _v3 = z.strictObject({
-  shell_id: z.string().describe("The ID of the background shell to retrieve output from")
-});
+const Ev3 = KillShellSchema;
+const _v3 = BashOutputSchema;
 
 // Input schema for Task tool
 const Fk6 = z.strictObject({
   description: z.string().describe("A short (3-5 word) description of the task"),
-  prompt: z.string().describe("The task for the agent to perform")
+  prompt: z.string().describe("The task for the agent to perform"),
+  subagent_type: z.string().optional().describe(`The type of agent to use for this task (default: ${DEFAULT_AGENT_TYPE})`)
 });
 
 // Agent processing functions
-async function YQA(prompt, agentIndex, context, message, normalizedMessages, options = {}) {
-  const { isSynthesis = false } = options;
-  const { abortController, tools } = context;
-  
-  // Process agent with given prompt
-  // Handles parallel task execution and synthesis
-  
-  let toolUseCount = 0;
-  let tokens = 0;
-  let usage = null;
-  let content = [];
-  let exitPlanModeInput = null;
+// Runs one sub-agent with the agent type's tools, system prompt, model and turn budget.
+// The agent has its own abort controller, so hitting a budget limit or being stopped
+// from the progress view ends it with its partial result instead of failing the Task.
+async function* YQA(prompt, agentIndex, context, normalizedMessages, message, options = {}) {
+  const { isSynthesis = false, label = isSynthesis ? "Synthesis" : `Agent ${agentIndex + 1}`, description } = options;
+  const { abortController, tools, agentType } = context;
   
   // Check for plan mode rejection
   if (isSynthesis) {
@@ -44,26 +40,92 @@ async function YQA(prompt, agentIndex, context, message, normalizedMessages, opt
     }
   }
   
-  // Process messages and extract content
-  const lastMessage = getLastAssistantMessage(normalizedMessages);
-  if (!lastMessage || lastMessage.type !== "assistant") {
-    const errorMsg = isSynthesis 
-      ? "Synthesis: Last message was not an assistant message"
-      : `Agent ${agentIndex + 1}: Last message was not an assistant message`;
-    throw new Error(errorMsg);
+  const agentMessages = [];
+  let toolUseCount = 0;
+  let exitPlanModeInput = null;
+  const progressPrefix = isSynthesis ? "synthesis_" : `agent_${agentIndex}_`;
+  const supervisor = startSupervisedAgent({
+    label,
+    description,
+    agentType,
+    parentAbortController: abortController,
+    sessionId: context.options.sessionId
+  });
+  
+  try {
+    for await (const agentMessage of ku2({
+      commands: [],
+      prompt,
+      cwd: context.cwd ?? dA(),
+      tools,
+      permissionContext: await context.getToolPermissionContext(),
+      verbose: context.options.verbose,
+      mcpClients: [],
+      maxTurns: agentType.maxTurns ?? undefined,
+      userSpecifiedModel: agentType.model ?? undefined,
+      customSystemPrompt: agentType.systemPrompt ?? undefined,
+      getQueuedCommands: context.getQueuedCommands,
+      removeQueuedCommands: context.removeQueuedCommands,
+      abortController: supervisor.abortController,
+      // Nested agents belong to the same session
+      sessionId: supervisor.sessionId
+    })) {
+      if (agentMessage.type !== "assistant" && agentMessage.type !== "user") {
+        continue;
+      }
+      agentMessages.push(agentMessage);
+      if (agentMessage.type !== "assistant") {
+        continue;
+      }
+      
+      const usage = supervisor.recordAssistantMessage(agentMessage);
+      const toolUses = agentMessage.message.content.filter(item => item.type === "tool_use");
+      toolUseCount += toolUses.length;
+      exitPlanModeInput = toolUses.find(item => item.name === "exit_plan_mode")?.input ?? exitPlanModeInput;
+      yield {
+        type: "progress",
+        toolUseID: `${progressPrefix}${agentMessage.uuid}`,
+        data: {
+          message: agentMessage,
+          normalizedMessages: [...agentMessages],
+          type: "agent_progress",
+          agentId: supervisor.id,
+          sessionId: supervisor.sessionId,
+          label,
+          usage,
+          budget: supervisor.budget
+        }
+      };
+    }
+  } catch (error) {
+    // A stopped agent may end with an abort error; anything else is a real failure
+    if (!supervisor.stopReason || abortController.signal.aborted) {
+      throw error;
+    }
+  } finally {
+    supervisor.finish();
+  }
+  
+  const stopReason = abortController.signal.aborted ? null : supervisor.stopReason;
+  const lastMessage = getLastAssistantMessage(agentMessages);
+  if (!stopReason && (!lastMessage || lastMessage.type !== "assistant")) {
+    throw new Error(`${label}: Last message was not an assistant message`);
   }
   
   // Calculate tokens
-  tokens = (lastMessage.message.usage.cache_creation_input_tokens || 0) +
-           (lastMessage.message.usage.cache_read_input_tokens || 0) +
-           lastMessage.message.usage.input_tokens +
-           lastMessage.message.usage.output_tokens;
+  const tokens = lastMessage ? getUsageTokens(lastMessage.message.usage) : 0;
   
-  // Extract text content
-  content = lastMessage.message.content.filter(item => item.type === "text");
+  // Extract text content, noting when the agent was cut short
+  const content = lastMessage ? lastMessage.message.content.filter(item => item.type === "text") : [];
+  if (stopReason) {
+    content.push({
+      type: "text",
+      text: `[${label} was stopped before finishing: ${stopReason}. Its result is incomplete.]`
+    });
+  }
   
   // Process tool uses and update queue
-  await processToolUses(context, normalizedMessages);
+  await processToolUses(context, agentMessages);
   
   yield {
     type: "result",
@@ -72,7 +134,9 @@ async function YQA(prompt, agentIndex, context, message, normalizedMessages, opt
       content,
       toolUseCount,
       tokens,
-      usage: lastMessage.message.usage,
+      usage: lastMessage?.message.usage,
+      totalUsage: supervisor.usage,
+      stopReason,
       exitPlanModeInput
     }
   };
@@ -87,7 +151,7 @@ function checkPlanRejection(message) {
 }
 
 function getLastAssistantMessage(messages) {
-  return messages[messages.length - 1];
+  return messages.findLast(message => message.type === "assistant");
 }
 
 async function processToolUses(context, messages) {
@@ -95,26 +159,77 @@ async function processToolUses(context, messages) {
   // Update queued commands if necessary
 }
 
-function Yk6(originalPrompt, agentResults) {
+function Yk6(originalPrompt, agentResults, agentRun = null) {
   // Generate synthesis prompt combining agent results
-  return `${originalPrompt}\n\nSynthesis of ${agentResults.length} agent results:\n` +
+  const synthesis = `${originalPrompt}\n\nSynthesis of ${agentResults.length} agent results:\n` +
          agentResults.map((result, index) => 
            `Agent ${index + 1} result: ${result.content.map(c => c.text).join('')}`
          ).join('\n');
+  if (!agentRun) {
+    return synthesis;
+  }
+  
+  // With worktree isolation, compare the approaches instead of redoing the work
+  const changes = agentRun.agents.map(agent =>
+    `Agent ${agent.number} (branch ${agent.branch}): ${agent.changedFiles.length > 0 ? `${agent.shortstat}\n  ${agent.changedFiles.join('\n  ')}` : 'no changes'}`
+  ).join('\n');
+  return `${synthesis}\n\nEach agent made its changes in its own git worktree:\n${changes}\n\n` +
+    `Compare the approaches and recommend which agent's changes to merge, or which combination. You can read the changed files under each agent's worktree. Do not modify any files.`;
+}
+
+// Interleave the agents' progress, running up to `concurrency` of them at once.
+// If one agent fails, the others are aborted and closed before the error propagates.
+async function* Gz1(generators, concurrency, abortController) {
+  const running = new Map();
+  let nextIndex = 0;
+  const startNext = () => {
+    const generator = generators[nextIndex++];
+    running.set(generator, generator.next().then(result => ({ generator, result })));
+  };
+  const resume = (generator) => {
+    running.set(generator, generator.next().then(result => ({ generator, result })));
+  };
+  
+  while (nextIndex < generators.length && running.size < concurrency) {
+    startNext();
+  }
+  try {
+    while (running.size > 0) {
+      const { generator, result } = await Promise.race(running.values());
+      running.delete(generator);
+      if (result.done) {
+        if (nextIndex < generators.length) {
+          startNext();
+        }
+      } else {
+        resume(generator);
+        yield result.value;
+      }
+    }
+  } finally {
+    // Only non-empty on error or when the consumer stops early
+    if (running.size > 0) {
+      abortController.abort();
+      for (const [generator, pending] of running) {
+        pending.catch(() => {});
+        generator.return().catch(() => {});
+      }
+    }
+  }
 }
 
-async function* Gz1(promises, concurrency) {
-  // Process promises with concurrency limit
-  // Yield progress and results
-  for (const promise of promises) {
-    yield* promise;
+function isReadOnlyTool(tool) {
+  try {
+    return tool.isReadOnly({}) === true;
+  } catch {
+    return false;
   }
 }
 
 // Main Task tool implementation
 const Kg2 = {
   async prompt({ tools }) {
-    return await Vg2(tools);
+    return `${await Vg2(tools)}\n\n${formatAgentTypesForPrompt()}`;
   },
   
   name: yY,
@@ -125,8 +240,17 @@ const Kg2 = {
   
   inputSchema: Fk6,
   
+  async validateInput({ subagent_type }) {
+    try {
+      getAgentType(subagent_type ?? DEFAULT_AGENT_TYPE);
+      return { result: true };
+    } catch (error) {
+      return { result: false, message: `Error: ${error.message}`, errorCode: 1 };
+    }
+  },
+  
   async* call(
-    { prompt },
+    { description, prompt, subagent_type },
     {
       abortController,
       options: { debug, tools, verbose, isNonInteractiveSession },
@@ -141,6 +265,7 @@ const Kg2 = {
   ) {
     const startTime = Date.now();
     const config = getTaskConfig();
+    const agentType = getAgentType(subagent_type ?? DEFAULT_AGENT_TYPE);
     
     const context = {
       abortController,
@@ -154,7 +279,8 @@ const Kg2 = {
       setInProgressToolUseIDs,
       getQueuedCommands: config.parallelTasksCount > 1 ? () => [] : getQueuedCommands,
       removeQueuedCommands: config.parallelTasksCount > 1 ? () => {} : removeQueuedCommands,
-      tools: tools.filter(tool => tool.name !== yY)
+      tools: resolveAgentTools(agentType, tools.filter(tool => tool.name !== yY)),
+      agentType
     };
     
     // Handle parallel tasks
@@ -162,23 +288,51 @@ const Kg2 = {
       let totalToolUseCount = 0;
       let totalTokens = 0;
       
+      // Give each agent its own worktree when isolation is enabled
+      const gitRoot = config.isolation === "worktree" ? await fcA(dA()) : null;
+      if (config.isolation === "worktree" && !gitRoot) {
+        iA("parallelTasksIsolation is worktree but the working directory is not a git repository; agents share the working tree");
+      }
+      const agentRun = gitRoot
+        ? await createAgentRun({ gitRoot, count: config.parallelTasksCount, description })
+        : null;
+      
+      // The agents share one controller so a failing agent can stop the others
+      const agentsAbortController = new AbortController();
+      const abortAgents = () => agentsAbortController.abort();
+      abortController.signal.addEventListener("abort", abortAgents);
+      const agentsContext = { ...context, abortController: agentsAbortController };
+      
       // Create multiple agent prompts
-      const agentPrompts = Array(config.parallelTasksCount)
-        .fill(`${prompt}\n\nProvide a thorough and complete analysis.`)
-        .map((agentPrompt, index) => 
-          YQA(agentPrompt, index, context, normalizedMessages, message)
-        );
+      const agentPrompts = Array.from({ length: config.parallelTasksCount }, (_, index) => {
+        const worktree = agentRun?.agents[index];
+        return worktree
+          ? YQA(`${prompt}\n\n${formatWorktreeInstructions(worktree)}`, index, {
+              ...agentsContext,
+              cwd: worktree.path,
+              tools: bindToolsToWorktree(context.tools, worktree, agentRun.gitRoot)
+            }, normalizedMessages, message, { description })
+          : YQA(`${prompt}\n\nProvide a thorough and complete analysis.`, index, agentsContext, normalizedMessages, message, { description });
+      });
       
       const agentResults = [];
       
       // Process agents in parallel
-      for await (const result of Gz1(agentPrompts, 10)) {
-        if (result.type === "progress") {
-          yield result;
-        } else if (result.type === "result") {
-          agentResults.push(result.data);
-          totalToolUseCount += result.data.toolUseCount;
-          totalTokens += result.data.tokens;
+      try {
+        for await (const result of Gz1(agentPrompts, 10, agentsAbortController)) {
+          if (result.type === "progress") {
+            yield result;
+          } else if (result.type === "result") {
+            agentResults.push(result.data);
+            totalToolUseCount += result.data.toolUseCount;
+            totalTokens += result.data.tokens;
+          }
+        }
+      } finally {
+        abortController.signal.removeEventListener("abort", abortAgents);
+        // Keep whatever the agents changed, even when interrupted, so it can be inspected
+        if (agentRun) {
+          await finalizeAgentRun(agentRun);
         }
       }
       
@@ -187,9 +341,14 @@ const Kg2 = {
       }
       
       // Synthesis phase
-      const synthesisPrompt = Yk6(prompt, agentResults);
-      const synthesisAgent = YQA(synthesisPrompt, 0, context, normalizedMessages, message, {
-        isSynthesis: true
+      agentResults.sort((a, b) => a.agentIndex - b.agentIndex);
+      const synthesisPrompt = Yk6(prompt, agentResults, agentRun);
+      const synthesisContext = agentRun
+        ? { ...context, tools: context.tools.filter(isReadOnlyTool) }
+        : context;
+      const synthesisAgent = YQA(synthesisPrompt, 0, synthesisContext, normalizedMessages, message, {
+        isSynthesis: true,
+        description
       });
       
       let synthesisResult = null;
@@ -223,12 +382,19 @@ const Kg2 = {
           totalToolUseCount,
           usage: synthesisResult.usage,
           wasInterrupted: abortController.signal.aborted,
-          exitPlanModeInput
+          exitPlanModeInput,
+          stoppedAgents: [...agentResults, synthesisResult]
+            .filter(result => result.stopReason)
+            .map(result => result === synthesisResult ? `Synthesis: ${result.stopReason}` : `Agent ${result.agentIndex + 1}: ${result.stopReason}`),
+          agentRun: agentRun && {
+            runId: agentRun.runId,
+            agents: agentRun.agents.map(({ number, branch, shortstat }) => ({ number, branch, shortstat }))
+          }
         }
       };
     } else {
       // Single agent processing
-      const agent = YQA(prompt, 0, context, normalizedMessages, message);
+      const agent = YQA(prompt, 0, context, normalizedMessages, message, { label: "Agent", description });
       let toolUseCount = 0;
       let agentResult = null;
       
@@ -258,7 +424,8 @@ const Kg2 = {
           totalToolUseCount: toolUseCount,
           usage: agentResult.usage,
           wasInterrupted: abortController.signal.aborted,
-          exitPlanModeInput: agentResult.exitPlanModeInput
+          exitPlanModeInput: agentResult.exitPlanModeInput,
+          stoppedAgents: agentResult.stopReason ? [agentResult.stopReason] : []
         }
       };
     }
@@ -296,6 +463,22 @@ const Kg2 = {
       };
     }
     
+    if (result.agentRun) {
+      const { runId, agents } = result.agentRun;
+      const branches = agents.map(agent => `- Agent ${agent.number}: ${agent.branch} (${agent.shortstat || "no changes"})`).join("\n");
+      return {
+        tool_use_id: toolUseId,
+        type: "tool_result",
+        content: [
+          ...result.content,
+          {
+            type: "text",
+            text: `The agents' changes have not been applied to the working tree. Each is kept on its own branch in agent run ${runId}:\n${branches}\n\nAsk the user which agent's changes to merge. They can merge one or more with /agents merge ${runId} <n>[,<n>...], review one with /agents diff ${runId} <n>, or discard the run with /agents discard ${runId}.`
+          }
+        ]
+      };
+    }
+    
     return {
       tool_use_id: toolUseId,
       type: "tool_result",
@@ -304,7 +487,7 @@ const Kg2 = {
   },
   
   renderToolResultMessage(
-    { totalDurationMs, totalToolUseCount, totalTokens, usage },
+    { totalDurationMs, totalToolUseCount, totalTokens, usage, agentRun, stoppedAgents = [] },
     progressMessages,
     { tools, verbose }
   ) {
@@ -316,11 +499,12 @@ const Kg2 = {
     ];
     
     const summaryText = config.parallelTasksCount > 1
-      ? `Done with ${config.parallelTasksCount} parallel agents (${stats.join(" · ")})`
+      ? `Done with ${config.parallelTasksCount} parallel agents (${stats.join(" · ")})${agentRun ? ` · changes kept in run ${agentRun.runId}, see /agents` : ""}`
       : `Done (${stats.join(" · ")})`;
+    const stoppedText = stoppedAgents.length > 0 ? ` · stopped early: ${stoppedAgents.join("; ")}` : "";
     
     const summaryMessage = createCompletionMessage({
-      content: summaryText,
+      content: summaryText + stoppedText,
       usage
     });
     
@@ -360,13 +544,14 @@ const Kg2 = {
     ]);
   },
   
-  renderToolUseMessage({ description, prompt }, { theme, verbose }) {
+  renderToolUseMessage({ description, prompt, subagent_type }, { theme, verbose }) {
     if (!description || !prompt) return null;
     
+    const label = subagent_type && subagent_type !== DEFAULT_AGENT_TYPE ? `${description} (${subagent_type})` : description;
     if (verbose) {
-      return `Task: ${description}\n\nPrompt: ${formatPrompt(prompt, theme)}`;
+      return `Task: ${label}\n\nPrompt: ${formatPrompt(prompt, theme)}`;
     }
-    return description;
+    return label;
   },
   
   renderToolUseProgressMessage(progressMessages, { tools, verbose }) {
@@ -390,11 +575,13 @@ const Kg2 = {
     const hasSynthesisMessages = config.parallelTasksCount > 1 && 
       progressMessages.some(msg => msg.toolUseID.startsWith("synthesis_"));
     
-    if (hasAgentMessages && config.parallelTasksCount > 1) {
-      return renderParallelAgentProgress(progressMessages, tools, verbose, hasSynthesisMessages);
-    } else {
-      return renderSingleAgentProgress(progressMessages, tools, verbose);
-    }
+    return React.createElement(AgentProgressView, {
+      progressMessages,
+      tools,
+      verbose,
+      parallel: hasAgentMessages,
+      hasSynthesis: hasSynthesisMessages
+    });
   },
   
   renderToolUseRejectedMessage(result, { progressMessagesForMessage, tools, verbose }) {
@@ -414,7 +601,8 @@ const Kg2 = {
 
 // Helper functions
 function getTaskConfig() {
-  return { parallelTasksCount: 1 }; // Default configuration
+  const { parallelTasksCount = 1, parallelTasksIsolation = "none" } = getGlobalConfig();
+  return { parallelTasksCount: Number(parallelTasksCount) || 1, isolation: parallelTasksIsolation };
 }
 
 function formatTokens(tokens) {
@@ -437,63 +625,185 @@ function createCompletionMessage({ content, usage }) {
   };
 }
 
-function renderParallelAgentProgress(messages, tools, verbose, hasSynthesis) {
+function getAgentName(message) {
+  const match = message.toolUseID.match(/^agent_(\d+)_/);
+  if (match) {
+    return `Agent ${parseInt(match[1]) + 1}`;
+  }
+  return message.toolUseID.startsWith("synthesis_") ? "Synthesis" : "main";
+}
+
+function groupProgressByAgent(messages) {
   const agentGroups = new Map();
-  
   for (const message of messages) {
-    let agentName = "main";
-    
-    if (message.toolUseID.startsWith("agent_") && message.toolUseID.includes("_")) {
-      const match = message.toolUseID.match(/^agent_(\d+)_/);
-      if (match && match[1]) {
-        agentName = `Agent ${parseInt(match[1]) + 1}`;
-      }
-    } else if (message.toolUseID.startsWith("synthesis_")) {
-      agentName = "Synthesis";
-    }
-    
+    const agentName = getAgentName(message);
     if (!agentGroups.has(agentName)) {
       agentGroups.set(agentName, []);
     }
     agentGroups.get(agentName).push(message);
   }
+  return agentGroups;
+}
+
+function hasToolUse(message) {
+  return message.data.message.message.content.some(content => content.type === "tool_use");
+}
+
+function renderProgressMessage(message, messages, tools, verbose, style) {
+  return React.createElement('div', {
+    key: message.uuid,
+    message: message.data.message,
+    messages: message.data.normalizedMessages,
+    addMargin: false,
+    tools,
+    verbose,
+    erroredToolUseIDs: new Set(),
+    inProgressToolUseIDs: new Set(),
+    resolvedToolUseIDs: new Set(messages.map(m => m.toolUseID)),
+    progressMessagesForMessage: messages,
+    shouldAnimate: false,
+    shouldShowDot: false,
+    style
+  });
+}
+
+// Every message the agent has exchanged so far, tool results included
+function renderAgentTranscript(agentMessages, tools) {
+  const { normalizedMessages } = agentMessages[agentMessages.length - 1].data;
+  return normalizedMessages.map(transcriptMessage =>
+    React.createElement('div', {
+      key: transcriptMessage.uuid,
+      message: transcriptMessage,
+      messages: normalizedMessages,
+      addMargin: false,
+      tools,
+      verbose: true,
+      erroredToolUseIDs: new Set(),
+      inProgressToolUseIDs: new Set(),
+      resolvedToolUseIDs: new Set(agentMessages.map(m => m.toolUseID)),
+      progressMessagesForMessage: agentMessages,
+      shouldAnimate: false,
+      shouldShowDot: false
+    })
+  );
+}
+
+function renderAgentUsage(lastMessage) {
+  const { usage, budget } = lastMessage.data;
+  if (!usage) {
+    return null;
+  }
+  return React.createElement('span', { color: 'secondaryText' }, formatAgentUsage(usage, budget));
+}
+
+// Which progress view owns ctrl+o / ctrl+g: only the most recently shown view with
+// running agents. Both keys are left unbound by the prompt input, so they never
+// compete with line editing.
+const agentViewFocus = {
+  views: [],
+  listeners: new Set()
+};
+
+function notifyAgentViewFocus() {
+  for (const listener of agentViewFocus.listeners) {
+    listener();
+  }
+}
+
+function useAgentViewFocus(hasRunningAgents) {
+  const [viewId] = React.useState(() => Symbol("AgentProgressView"));
+  const [, rerender] = React.useReducer((count) => count + 1, 0);
+
+  React.useEffect(() => {
+    agentViewFocus.listeners.add(rerender);
+    return () => agentViewFocus.listeners.delete(rerender);
+  }, []);
+
+  React.useEffect(() => {
+    if (!hasRunningAgents) {
+      return undefined;
+    }
+    agentViewFocus.views.push(viewId);
+    notifyAgentViewFocus();
+    return () => {
+      agentViewFocus.views.splice(agentViewFocus.views.indexOf(viewId), 1);
+      notifyAgentViewFocus();
+    };
+  }, [hasRunningAgents, viewId]);
+
+  return agentViewFocus.views[agentViewFocus.views.length - 1] === viewId;
+}
+
+// Live progress of the Task's agents. ctrl+o cycles which agent's full transcript is
+// expanded and ctrl+g stops the expanded agent (or the only running one); the other
+// agents and the parent conversation keep going.
+function AgentProgressView({ progressMessages, tools, verbose, parallel, hasSynthesis }) {
+  const [expandedAgent, setExpandedAgent] = React.useState(null);
+  const [notice, setNotice] = React.useState(null);
+  const agentGroups = groupProgressByAgent(progressMessages);
+  const agentData = new Map([...agentGroups].map(([agentName, agentMessages]) =>
+    [agentName, agentMessages[agentMessages.length - 1].data]
+  ));
+  const runningAgents = [...agentData]
+    .filter(([, { agentId }]) => agentId && isAgentRunning(agentId))
+    .map(([agentName]) => agentName);
+  const isFocused = useAgentViewFocus(runningAgents.length > 0);
+  
+  useInput((input, key) => {
+    if (!key.ctrl) {
+      return;
+    }
+    if (input === "o") {
+      const agentNames = [...agentGroups.keys()];
+      setExpandedAgent(agentNames[agentNames.indexOf(expandedAgent) + 1] ?? null);
+      setNotice(null);
+    } else if (input === "g") {
+      const target = expandedAgent ?? (runningAgents.length === 1 ? runningAgents[0] : null);
+      if (!target || !runningAgents.includes(target)) {
+        setNotice("Expand a running agent with ctrl+o to choose which one to stop");
+        return;
+      }
+      const { agentId, sessionId } = agentData.get(target);
+      stopAgent(agentId, { sessionId });
+      setNotice(`Stopping ${target}…`);
+    }
+  }, { isActive: isFocused && runningAgents.length > 0 });
   
-  const toolUseCount = messages.filter(msg => 
-    msg.data.message.message.content.some(content => content.type === "tool_use")
-  ).length;
+  const progress = parallel
+    ? renderParallelAgentProgress(agentGroups, progressMessages, tools, verbose, hasSynthesis, expandedAgent)
+    : renderSingleAgentProgress(progressMessages, tools, verbose, expandedAgent !== null);
+  
+  return React.createElement('div', { style: { flexDirection: 'column' } }, [
+    progress,
+    notice && React.createElement('span', { key: 'notice', color: 'warning' }, notice),
+    isFocused && runningAgents.length > 0 && React.createElement('span', { key: 'hint', color: 'secondaryText', dimColor: true },
+      expandedAgent ? `ctrl+o next agent · ctrl+g stop ${expandedAgent}` : "ctrl+o expand transcript · ctrl+g stop agent"
+    )
+  ]);
+}
+
+function renderParallelAgentProgress(agentGroups, messages, tools, verbose, hasSynthesis, expandedAgent) {
+  const toolUseCount = messages.filter(hasToolUse).length;
   
   const agentElements = [];
   for (const [agentName, agentMessages] of agentGroups.entries()) {
-    if (agentMessages.length > 0) {
-      const lastMessage = agentMessages[agentMessages.length - 1];
-      if (lastMessage) {
-        agentElements.push(
-          React.createElement('div', {
-            key: agentName,
-            style: { flexDirection: 'column', marginY: 1 }
-          }, [
-            React.createElement('span', {
-              color: 'success',
-              bold: true
-            }, agentName, hasSynthesis && agentName === "Synthesis" ? " (combining results)" : "", ":"),
-            React.createElement('div', {
-              key: lastMessage.uuid,
-              message: lastMessage.data.message,
-              messages: lastMessage.data.normalizedMessages,
-              addMargin: false,
-              tools,
-              verbose,
-              erroredToolUseIDs: new Set(),
-              inProgressToolUseIDs: new Set(),
-              resolvedToolUseIDs: new Set(agentMessages.map(m => m.toolUseID)),
-              progressMessagesForMessage: agentMessages,
-              shouldAnimate: false,
-              shouldShowDot: false
-            })
-          ])
-        );
-      }
-    }
+    const lastMessage = agentMessages[agentMessages.length - 1];
+    const expanded = agentName === expandedAgent;
+    agentElements.push(
+      React.createElement('div', {
+        key: agentName,
+        style: { flexDirection: 'column', marginY: 1 }
+      }, [
+        React.createElement('span', {
+          color: 'success',
+          bold: true
+        }, agentName, hasSynthesis && agentName === "Synthesis" ? " (combining results)" : "", ":"),
+        renderAgentUsage(lastMessage),
+        ...(expanded
+          ? renderAgentTranscript(agentMessages, tools)
+          : [renderProgressMessage(lastMessage, agentMessages, tools, verbose)])
+      ])
+    );
   }
   
   return React.createElement('div', null,
@@ -506,40 +816,27 @@ function renderParallelAgentProgress(messages, tools, verbose, hasSynthesis) {
   );
 }
 
-function renderSingleAgentProgress(messages, tools, verbose) {
-  const displayMessages = verbose ? messages : messages.slice(-FQA);
-  const visibleToolUses = displayMessages.filter(msg =>
-    msg.data.message.message.content.some(content => content.type === "tool_use")
-  ).length;
-  
-  const totalToolUses = messages.filter(msg =>
-    msg.data.message.message.content.some(content => content.type === "tool_use")
-  ).length;
+function renderSingleAgentProgress(messages, tools, verbose, expanded) {
+  const lastMessage = messages[messages.length - 1];
+  if (expanded) {
+    return React.createElement('div', { style: { flexDirection: 'column' } }, [
+      ...renderAgentTranscript(messages, tools),
+      renderAgentUsage(lastMessage)
+    ]);
+  }
   
+  const displayMessages = verbose ? messages : messages.slice(-FQA);
+  const visibleToolUses = displayMessages.filter(hasToolUse).length;
+  const totalToolUses = messages.filter(hasToolUse).length;
   const hiddenToolUses = totalToolUses - visibleToolUses;
   
   return React.createElement('div', null,
     React.createElement('div', { style: { flexDirection: 'column' } }, [
-      ...displayMessages.map(msg =>
-        React.createElement('div', {
-          key: msg.uuid,
-          message: msg.data.message,
-          messages: msg.data.normalizedMessages,
-          addMargin: false,
-          tools,
-          verbose,
-          erroredToolUseIDs: new Set(),
-          inProgressToolUseIDs: new Set(),
-          resolvedToolUseIDs: new Set(messages.map(m => m.toolUseID)),
-          progressMessagesForMessage: messages,
-          shouldAnimate: false,
-          shouldShowDot: false,
-          style: "condensed"
-        })
-      ),
+      ...displayMessages.map(msg => renderProgressMessage(msg, messages, tools, verbose, "condensed")),
       hiddenToolUses > 0 && React.createElement('span', { color: 'secondaryText' },
         "+", hiddenToolUses, " more tool ", hiddenToolUses === 1 ? "use" : "uses"
-      )
+      ),
+      renderAgentUsage(lastMessage)
     ])
   );
 }
@@ -9,6 +9,7 @@ const { v1 } = require('uuid'); // Assuming uuid v1 is used for unique IDs
 const { h1 } = require('./error-utils'); // Assuming error-utils is available
 const { fN } = require('./file-system'); // Assuming file-system is available
 const { PB } = require('./system-core'); // Assuming system-core is available
+const { syncTodosToIssues } = require('./github-issues-manager');
 
 // Todo item Zod schemas
 const TodoStatusSchema = m.enum(["pending", "in_progress", "completed"]);
@@ -32,8 +33,26 @@ function readAgentTodos(agentId) {
     return readTodosFromFile(getAgentTodoFilePath(agentId));
 }
 
+const GITHUB_SYNC_DEBOUNCE_MS = 3000;
+let githubSyncQueue = Promise.resolve();
+let githubSyncTimer = null;
+
+// Rapid TodoWrite calls collapse into one sync of the latest list
+function scheduleGithubSync(todos, sessionId) {
+    clearTimeout(githubSyncTimer);
+    githubSyncTimer = setTimeout(() => {
+        githubSyncTimer = null;
+        // Syncs run one after another so a slow sync can't create duplicate issues
+        githubSyncQueue = githubSyncQueue.then(() => syncTodosToIssues(todos, {scope: sessionId})).catch(error => h1(error instanceof Error ? error : new Error(String(error))));
+    }, GITHUB_SYNC_DEBOUNCE_MS);
+}
+
 function writeAgentTodos(todos, agentId) {
     writeTodosToFile(todos, getAgentTodoFilePath(agentId));
+    syncCompletedTodosToBacklog(todos, agentId);
+    // Opt-in: mirror the main session's list to GitHub issues with "todos": {"githubSync": true} in settings.
+    // Sub-agent lists stay local.
+    if (kQ().todos?.githubSync && agentId === PB()) scheduleGithubSync(todos, agentId);
 }
 
 // Todo sorting logic
@@ -85,9 +104,132 @@ function writeTodosToFile(todos, filePath) {
     }
 }
 
+// Project backlog (.claude/todos.json)
+// Optional: only used once the file exists. Items keep the TodoItemSchema fields plus
+// timestamps and the session that completed them; array order is the manual order.
+const BacklogItemSchema = TodoItemSchema.extend({
+    createdAt: m.string(),
+    createdBySession: m.string().optional(),
+    completedAt: m.string().optional(),
+    completedBySession: m.string().optional()
+});
+const BacklogSchema = m.object({items: m.array(BacklogItemSchema)});
+
+function getProjectBacklogPath() {
+    return join(process.cwd(), ".claude", "todos.json");
+}
+
+function hasProjectBacklog() {
+    return fs.existsSync(getProjectBacklogPath());
+}
+
+function readProjectBacklog() {
+    let backlogPath = getProjectBacklogPath();
+    if (!fs.existsSync(backlogPath)) return [];
+    try {
+        return BacklogSchema.parse(JSON.parse(fs.readFileSync(backlogPath, {encoding: "utf-8"}))).items;
+    } catch (error) {
+        return h1(error instanceof Error ? error : new Error(String(error))), [];
+    }
+}
+
+function writeProjectBacklog(items) {
+    let backlogPath = getProjectBacklogPath();
+    try {
+        fs.mkdirSync(join(process.cwd(), ".claude"), {recursive: true});
+        fN(backlogPath, JSON.stringify({items}, null, 2));
+    } catch (error) {
+        h1(error instanceof Error ? error : new Error(String(error)));
+    }
+}
+
+// Backlog items in display order: status, then priority, then manual order (sort is stable)
+function getSortedBacklog() {
+    return readProjectBacklog().sort(sortTodos);
+}
+
+function addBacklogItem(content, priority = "medium", sessionId) {
+    let item = BacklogItemSchema.parse({content, priority, status: "pending", id: v1(), createdAt: new Date().toISOString(), createdBySession: sessionId});
+    writeProjectBacklog([...readProjectBacklog(), item]);
+    return item;
+}
+
+function updateBacklogItem(id, changes, sessionId) {
+    let items = readProjectBacklog();
+    let item = items.find(candidate => candidate.id === id);
+    if (!item) return null;
+    Object.assign(item, changes);
+    if (changes.status === "completed") {
+        item.completedAt = new Date().toISOString();
+        item.completedBySession = sessionId;
+    } else if (changes.status) {
+        delete item.completedAt;
+        delete item.completedBySession;
+    }
+    writeProjectBacklog(items);
+    return item;
+}
+
+function removeBacklogItem(id) {
+    let items = readProjectBacklog();
+    let remaining = items.filter(item => item.id !== id);
+    if (remaining.length === items.length) return false;
+    return writeProjectBacklog(remaining), true;
+}
+
+// Move an item to a position (0-based) in the manual order
+function moveBacklogItem(id, position) {
+    let items = readProjectBacklog();
+    let index = items.findIndex(item => item.id === id);
+    if (index === -1) return false;
+    let [item] = items.splice(index, 1);
+    items.splice(Math.max(0, Math.min(position, items.length)), 0, item);
+    return writeProjectBacklog(items), true;
+}
+
+// Copy open backlog items into a session's todo list, keeping their ids so that
+// completing them in the session checks them off in the backlog too
+function importBacklogIntoSession(agentId) {
+    let todos = readAgentTodos(agentId);
+    let existingIds = new Set(todos.map(todo => todo.id));
+    let imported = readProjectBacklog()
+        .filter(item => item.status !== "completed" && !existingIds.has(item.id))
+        .map(({content, status, priority, id}) => ({content, status, priority, id}));
+    if (imported.length > 0) writeTodosToFile([...todos, ...imported], getAgentTodoFilePath(agentId));
+    return imported;
+}
+
+// Record which session completed a backlog item when its session todo is completed
+function syncCompletedTodosToBacklog(todos, sessionId) {
+    if (!hasProjectBacklog()) return 0;
+    let items = readProjectBacklog();
+    let completedIds = new Set(todos.filter(todo => todo.status === "completed").map(todo => todo.id));
+    let updated = 0;
+    for (let item of items) {
+        if (item.status !== "completed" && completedIds.has(item.id)) {
+            item.status = "completed";
+            item.completedAt = new Date().toISOString();
+            item.completedBySession = sessionId;
+            updated++;
+        }
+    }
+    if (updated > 0) writeProjectBacklog(items);
+    return updated;
+}
+
+// Markdown checklist export, for files and PR bodies
+function formatTodosAsMarkdown(todos, title = "Todo list") {
+    let lines = [...todos].sort(sortTodos).map(todo => {
+        let notes = [todo.priority === "high" ? "high priority" : null, todo.status === "in_progress" ? "in progress" : null].filter(Boolean);
+        return `- [${todo.status === "completed" ? "x" : " "}] ${todo.content.replace(/\s+/g, " ")}${notes.length > 0 ? ` _(${notes.join(", ")})_` : ""}`;
+    });
+    return `## ${title}\n\n${lines.length > 0 ? lines.join("\n") : "_No todos._"}\n`;
+}
+
 // TodoWrite tool prompt (co0)
 const todoWritePrompt = `Use this tool to create and manage a structured task list for your current coding session. This helps you track progress, organize complex tasks, and demonstrate thoroughness to the user.\nIt also helps the user understand the progress of the task and overall progress of their requests.\n\n## When to Use This Tool\nUse this tool proactively in these scenarios:`;
 
 module.exports = {
-    TodoStatusSchema, TodoPrioritySchema, TodoItemSchema, TodoListSchema, getTodoDirectory, getAgentTodoFilePath, readAgentTodos, writeAgentTodos, todoStatusOrder, todoPriorityOrder, sortTodos, handleSessionContinuation, copyTodosBetweenAgents, readTodosFromFile, writeTodosToFile, todoWritePrompt
+    TodoStatusSchema, TodoPrioritySchema, TodoItemSchema, TodoListSchema, getTodoDirectory, getAgentTodoFilePath, readAgentTodos, writeAgentTodos, todoStatusOrder, todoPriorityOrder, sortTodos, handleSessionContinuation, copyTodosBetweenAgents, readTodosFromFile, writeTodosToFile, todoWritePrompt,
+    BacklogItemSchema, getProjectBacklogPath, hasProjectBacklog, readProjectBacklog, writeProjectBacklog, getSortedBacklog, addBacklogItem, updateBacklogItem, removeBacklogItem, moveBacklogItem, importBacklogIntoSession, syncCompletedTodosToBacklog, formatTodosAsMarkdown
 };
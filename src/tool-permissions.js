@@ -3,22 +3,185 @@
  * cli.js 597-608行から復元
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { readFileSync, writeFileSync, existsSync, realpathSync } from 'fs';
+import { homedir } from 'os';
+import { join, isAbsolute, relative, resolve, dirname, basename } from 'path';
+import { minimatch } from 'minimatch';
+import { RO2, runPreToolUseHooks } from './hook-system.js';
+import { parseCommandList } from './command-parser.js';
+import { getScopedSessionId } from './session-context.js';
 
 // 権限動作タイプ
-const PERMISSION_BEHAVIORS = ['allow', 'deny'];
+const PERMISSION_BEHAVIORS = ['allow', 'deny', 'ask'];
+
+// 権限モード（Shift+Tab で切り替える順）
+const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypassPermissions'];
+
+// ルール評価順（先にマッチした動作が優先）: deny > ask > allow
+const PERMISSION_EVALUATION_ORDER = ['deny', 'ask', 'allow'];
+
+// ファイルパスを入力に持つツールの入力キー
+const PATH_INPUT_KEYS = ['file_path', 'notebook_path', 'path'];
+
+// グロブ記号を含むかの判定
+const GLOB_CHARACTERS = /[*?[\]{}]/;
+
+// コマンド置換・プロセス置換の判定（中身は別のコマンドとして実行される）
+const COMMAND_SUBSTITUTION = /\$\(|`|<\(|>\(/;
+
+// ルールの動作ごとの Bash 複合コマンドの照合方法
+// 許可は全サブコマンドがマッチした場合のみ、拒否・確認はいずれかがマッチすれば適用
+const RULE_MATCH_MODES = { allow: 'every', deny: 'some', ask: 'some' };
+
+// 設定ファイルから読み込めるソース
+const FILE_SETTINGS_SOURCES = ['localSettings', 'projectSettings', 'policySettings', 'userSettings'];
+
+// セッション限定ルールのソース名（設定ファイルには保存しない）
+const SESSION_RULE_SOURCE = 'session';
 
 // 設定レベルの優先順位（高い順）
 const SETTINGS_HIERARCHY = [
   'cliArg',         // CLI引数（最高優先度）
   'command',        // コマンド設定
+  'session',        // セッション限定の許可
   'localSettings',  // ローカル設定
   'projectSettings', // プロジェクト設定
   'policySettings', // ポリシー設定
   'userSettings'    // ユーザー設定（最低優先度）
 ];
 
+// セッション限定の権限ルール（セッションごと、プロセス終了時に破棄）
+// claude serve では1プロセスで複数のセッションが動くため、スコープ中のセッションIDで分ける
+const sessionPermissionRules = new Map();
+
+/**
+ * 呼び出し元のセッションのセッション限定ルールを取得
+ * @returns {Array} ルールエントリの配列（破壊的に変更してよい）
+ */
+function getSessionPermissionRules() {
+  const sessionId = getScopedSessionId();
+  if (!sessionPermissionRules.has(sessionId)) {
+    sessionPermissionRules.set(sessionId, []);
+  }
+  return sessionPermissionRules.get(sessionId);
+}
+
+/**
+ * セッション終了時にそのセッション限定ルールを破棄
+ * @param {string} sessionId セッションID
+ */
+function clearSessionPermissionRules(sessionId) {
+  sessionPermissionRules.delete(sessionId);
+}
+
+/**
+ * ルールエントリを正規化
+ * 設定内のルールは文字列、または期限付きの { rule, expiresAt } オブジェクト
+ * @param {string|Object} entry ルールエントリ
+ * @returns {Object} { rule, expiresAt }（expiresAt はミリ秒）
+ */
+function normalizeRuleEntry(entry) {
+  if (typeof entry === 'string') {
+    return { rule: entry };
+  }
+
+  const expiresAt = entry.expiresAt ? new Date(entry.expiresAt).getTime() : undefined;
+  return { rule: entry.rule, expiresAt, sandboxProfile: entry.sandboxProfile };
+}
+
+/**
+ * ルールエントリが期限切れかチェック
+ * @param {string|Object} entry ルールエントリ
+ * @param {number} now 現在時刻（ミリ秒）
+ * @returns {boolean} 期限切れかどうか
+ */
+function isRuleEntryExpired(entry, now = Date.now()) {
+  const { expiresAt } = normalizeRuleEntry(entry);
+  return expiresAt !== undefined && expiresAt <= now;
+}
+
+/**
+ * 設定の permissions から期限切れのルールエントリを全ての動作タイプについて除去
+ * 設定ファイルを書き込む際に呼び、期限切れルールがファイルに残り続けないようにする
+ * @param {Object} permissions 設定の permissions
+ * @param {number} now 現在時刻（ミリ秒）
+ * @returns {Object} { permissions, removed }
+ */
+function pruneExpiredRuleEntries(permissions, now = Date.now()) {
+  const pruned = { ...permissions };
+  let removed = 0;
+  for (const behavior of PERMISSION_BEHAVIORS) {
+    const entries = permissions[behavior] || [];
+    const activeEntries = entries.filter(entry => !isRuleEntryExpired(entry, now));
+    if (activeEntries.length !== entries.length) {
+      removed += entries.length - activeEntries.length;
+      pruned[behavior] = activeEntries;
+    }
+  }
+  return { permissions: pruned, removed };
+}
+
+/**
+ * 期間文字列（30s, 30m, 2h, 1d）をミリ秒に変換
+ * @param {string} duration 期間文字列
+ * @returns {number|null} ミリ秒、不正な場合はnull
+ */
+function parseDuration(duration) {
+  const match = String(duration).trim().match(/^(\d+)\s*([smhd])$/);
+  if (!match) {
+    return null;
+  }
+
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return Number(match[1]) * units[match[2]];
+}
+
+/**
+ * ルールの残り時間を表示用に整形
+ * @param {Object} rule ルール
+ * @param {number} now 現在時刻（ミリ秒）
+ * @returns {string|null} 表示文字列、期限なしの永続ルールはnull
+ */
+function formatRuleExpiry(rule, now = Date.now()) {
+  if (rule.expiresAt === undefined) {
+    return rule.source === SESSION_RULE_SOURCE ? 'until session ends' : null;
+  }
+
+  const remainingSeconds = Math.max(0, Math.ceil((rule.expiresAt - now) / 1000));
+  if (remainingSeconds < 60) {
+    return `expires in ${remainingSeconds}s`;
+  }
+  const minutes = Math.ceil(remainingSeconds / 60);
+  if (minutes < 60) {
+    return `expires in ${minutes}m`;
+  }
+  return `expires in ${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * 存在する最も近い祖先ディレクトリのシンボリックリンクを解決し、残りのパスを連結
+ * （まだ存在しないファイルでも、シンボリックリンク経由のディレクトリを実体のパスで照合できる）
+ * @param {string} absolutePath 絶対パス
+ * @returns {string} シンボリックリンクを解決した絶対パス
+ */
+function realpathNearestAncestor(absolutePath) {
+  const missing = [];
+  let current = absolutePath;
+  while (!existsSync(current)) {
+    const parent = dirname(current);
+    if (parent === current) {
+      return absolutePath;
+    }
+    missing.unshift(basename(current));
+    current = parent;
+  }
+  try {
+    return join(realpathSync(current), ...missing);
+  } catch {
+    return absolutePath;
+  }
+}
+
 /**
  * ツール権限管理クラス
  */
@@ -46,26 +209,60 @@ class ToolPermissionManager {
     for (const behavior of PERMISSION_BEHAVIORS) {
       const behaviorRules = permissions[behavior];
       if (behaviorRules) {
-        for (const rule of behaviorRules) {
-          rules.push({
-            source,
-            ruleBehavior: behavior,
-            ruleValue: this.parseToolRule(rule)
-          });
-        }
+        rules.push(...this.buildRulesFromEntries(behaviorRules, source, behavior));
       }
     }
 
     return rules;
   }
 
+  /**
+   * ルールエントリ配列からルールを構築（期限切れは除外）
+   * @param {Array} entries ルールエントリ
+   * @param {string} source 設定ソース
+   * @param {string} behavior 動作タイプ
+   * @returns {Array} ルール配列
+   */
+  buildRulesFromEntries(entries, source, behavior) {
+    const now = Date.now();
+    return entries
+      .filter(entry => !isRuleEntryExpired(entry, now))
+      .map(entry => {
+        const { rule, expiresAt, sandboxProfile } = normalizeRuleEntry(entry);
+        return {
+          source,
+          ruleBehavior: behavior,
+          ruleValue: this.parseToolRule(rule),
+          ...(expiresAt !== undefined && { expiresAt }),
+          ...(sandboxProfile !== undefined && { sandboxProfile })
+        };
+      });
+  }
+
+  /**
+   * コンテキスト内のルールとセッション限定ルールを取得
+   * @param {Object} rulesBySource ソース別のルールエントリ
+   * @param {string} behavior 動作タイプ
+   * @returns {Array} ルール配列
+   */
+  extractContextRules(rulesBySource, behavior) {
+    return SETTINGS_HIERARCHY.flatMap(source => {
+      const entries = [...(rulesBySource?.[source] || [])];
+      if (source === SESSION_RULE_SOURCE) {
+        entries.push(...getSessionPermissionRules().filter(entry => entry.ruleBehavior === behavior));
+      }
+      return this.buildRulesFromEntries(entries, source, behavior);
+    });
+  }
+
   /**
    * ツールルール文字列をパース
    * @param {string} ruleString ルール文字列
    * @returns {Object} パースされたルール
    */
   parseToolRule(ruleString) {
-    const match = ruleString.match(/^([^(]+)\(([^)]+)\)$/);
+    // 内容に括弧を含む正規表現ルール（Bash(/^npm (test|run lint)$/)）も受け付ける
+    const match = ruleString.match(/^([^(]+)\((.+)\)$/);
     if (!match) {
       return { toolName: ruleString };
     }
@@ -148,24 +345,56 @@ class ToolPermissionManager {
 
   /**
    * 権限コンテキストからツール実行権限をチェック
+   *
+   * 評価順序（先に決まったものが優先）:
+   * 1. PreToolUseフックのブロック
+   * 2. 拒否ルール（deny）
+   * 3. ツール自身のチェックによる拒否
+   * 4. 確認ルール（ask）— バイパスモードやフックの許可より優先
+   * 5. フックの ask / approve
+   * 6. バイパスモード
+   * 7. 許可ルール（allow）
+   * 8. ツール自身のチェック結果、なければユーザーに確認
+   * つまりルール同士では deny > ask > allow となる。
    * @param {Object} tool ツールオブジェクト
    * @param {Object} input 入力データ
    * @param {Object} context 実行コンテキスト
+   * @param {Object} [hookResult] PreToolUseフックの集計結果（runPreToolUseHooks）。省略時はここでフックを実行する
    * @returns {Promise<Object>} 権限チェック結果
    */
-  async checkToolPermission(tool, input, context) {
+  async checkToolPermission(tool, input, context, hookResult) {
     if (context.abortController.signal.aborted) {
       throw new AbortError('Request aborted');
     }
 
+    // ツール実行前に PreToolUse フックを実行し、その結果で判定する
+    if (hookResult === undefined) {
+      hookResult = await runPreToolUseHooks(tool.name, context.toolUseId, input, context.abortController.signal);
+    }
+
+    // フックによるブロックは他のすべての判定より優先
+    if (hookResult.blockingErrors.length > 0) {
+      return {
+        behavior: 'deny',
+        decisionReason: { type: 'hook', hookName: 'PreToolUse', reason: hookResult.permissionDecisionReason },
+        ruleSuggestions: null,
+        message: RO2(tool.name, hookResult.blockingErrors)
+      };
+    }
+
+    // フックが書き換えた入力で以降のチェックを行う
+    if (hookResult.updatedInput) {
+      input = { ...input, ...hookResult.updatedInput };
+    }
+
     // 拒否ルールの確認
-    const denyRule = this.findMatchingRule(context.getToolPermissionContext(), tool, 'deny');
+    const denyRule = this.findMatchingRule(context.getToolPermissionContext(), tool, 'deny', input);
     if (denyRule) {
       return {
         behavior: 'deny',
         decisionReason: { type: 'rule', rule: denyRule },
         ruleSuggestions: null,
-        message: `Permission to use ${tool.name} has been denied.`
+        message: `Permission to use ${tool.name} has been denied by rule ${this.describeRule(denyRule)}.`
       };
     }
 
@@ -186,6 +415,38 @@ class ToolPermissionManager {
       return permissionResult;
     }
 
+    // 確認ルールは許可ルールやバイパスモードより優先
+    const askRule = this.findMatchingRule(context.getToolPermissionContext(), tool, 'ask', input);
+    if (askRule) {
+      return {
+        ...permissionResult,
+        behavior: 'ask',
+        updatedInput: input,
+        decisionReason: { type: 'rule', rule: askRule },
+        message: `Rule ${this.describeRule(askRule)} requires confirmation to use ${tool.name}.`
+      };
+    }
+
+    // フックの "ask" は許可ルールやバイパスモードより優先して確認を求める
+    if (hookResult.permissionDecision === 'ask') {
+      return {
+        ...permissionResult,
+        behavior: 'ask',
+        updatedInput: input,
+        decisionReason: { type: 'hook', hookName: 'PreToolUse', reason: hookResult.permissionDecisionReason },
+        message: hookResult.permissionDecisionReason ?? `A PreToolUse hook requested confirmation for ${tool.name}.`
+      };
+    }
+
+    // フックの "approve" は確認なしで許可（拒否ルールは上で評価済み）
+    if (hookResult.permissionDecision === 'allow') {
+      return {
+        behavior: 'allow',
+        updatedInput: input,
+        decisionReason: { type: 'hook', hookName: 'PreToolUse', reason: hookResult.permissionDecisionReason }
+      };
+    }
+
     // バイパスモードのチェック
     if (context.getToolPermissionContext().mode === 'bypassPermissions') {
       return {
@@ -196,7 +457,7 @@ class ToolPermissionManager {
     }
 
     // 許可ルールの確認
-    const allowRule = this.findMatchingRule(context.getToolPermissionContext(), tool, 'allow');
+    const allowRule = this.findMatchingRule(context.getToolPermissionContext(), tool, 'allow', input);
     if (allowRule) {
       return {
         behavior: 'allow',
@@ -205,28 +466,43 @@ class ToolPermissionManager {
       };
     }
 
+    // フックが書き換えた入力で実行されるよう updatedInput を必ず返す
     if (permissionResult.behavior === 'allow') {
-      return permissionResult;
+      return { ...permissionResult, updatedInput: permissionResult.updatedInput ?? input };
     }
 
     return {
       ...permissionResult,
       behavior: 'ask',
+      updatedInput: permissionResult.updatedInput ?? input,
       message: `Claude requested permissions to use ${tool.name}, but you haven't granted it yet.`
     };
   }
 
   /**
    * マッチする権限ルールを検索
+   * 入力が渡された場合は引数付きルール（Tool(content)）も照合する
    * @param {Object} permissionContext 権限コンテキスト
    * @param {Object} tool ツール
-   * @param {string} behavior 動作（'allow' | 'deny'）
+   * @param {string} behavior 動作（'allow' | 'deny' | 'ask'）
+   * @param {Object} [input] ツール入力
    * @returns {Object|null} マッチしたルール
    */
-  findMatchingRule(permissionContext, tool, behavior) {
+  findMatchingRule(permissionContext, tool, behavior, input) {
     const rules = this.getAllRules(permissionContext, behavior);
     
-    return rules.find(rule => this.isRuleMatchingTool(tool, rule)) || null;
+    return rules.find(rule => input
+      ? this.isRuleMatchingCall(rule, tool.name, input)
+      : this.isRuleMatchingTool(tool, rule)) || null;
+  }
+
+  /**
+   * ルールを "Tool(content) (from user settings)" 形式で表示
+   * @param {Object} rule ルール
+   * @returns {string} 表示文字列
+   */
+  describeRule(rule) {
+    return `${this.ruleToString(rule.ruleValue)} (from ${getSourceDisplayName(rule.source)})`;
   }
 
   /**
@@ -245,6 +521,9 @@ class ToolPermissionManager {
       case 'deny':
         allRules.push(...this.extractAlwaysDenyRules(permissionContext));
         break;
+      case 'ask':
+        allRules.push(...this.extractAlwaysAskRules(permissionContext));
+        break;
     }
 
     return allRules;
@@ -256,13 +535,7 @@ class ToolPermissionManager {
    * @returns {Array} 許可ルール配列
    */
   extractAlwaysAllowRules(context) {
-    return SETTINGS_HIERARCHY.flatMap(source => 
-      (context.alwaysAllowRules[source] || []).map(rule => ({
-        source,
-        ruleBehavior: 'allow',
-        ruleValue: this.parseToolRule(rule)
-      }))
-    );
+    return this.extractContextRules(context.alwaysAllowRules, 'allow');
   }
 
   /**
@@ -271,13 +544,16 @@ class ToolPermissionManager {
    * @returns {Array} 拒否ルール配列
    */
   extractAlwaysDenyRules(context) {
-    return SETTINGS_HIERARCHY.flatMap(source => 
-      (context.alwaysDenyRules[source] || []).map(rule => ({
-        source,
-        ruleBehavior: 'deny',
-        ruleValue: this.parseToolRule(rule)
-      }))
-    );
+    return this.extractContextRules(context.alwaysDenyRules, 'deny');
+  }
+
+  /**
+   * 常時確認ルールを抽出
+   * @param {Object} context コンテキスト
+   * @returns {Array} 確認ルール配列
+   */
+  extractAlwaysAskRules(context) {
+    return this.extractContextRules(context.alwaysAskRules, 'ask');
   }
 
   /**
@@ -307,6 +583,281 @@ class ToolPermissionManager {
     return false;
   }
 
+  /**
+   * ルールの引数部分（Tool(content) の content）をツール入力と照合
+   *
+   * - Bash: "prefix:*" はプレフィックス一致、"/regex/flags" は正規表現（全体一致）、それ以外は完全一致。
+   *   複合コマンド（;、&&、||、|、改行）はサブコマンドごとに照合する（matchBashRule 参照）
+   * - WebFetch: "domain:example.com" はホスト名一致
+   * - ファイル系ツール: パスパターン（resolveRulePathPattern 参照）。グロブ記号を含まない
+   *   パターンはそのパス自身と配下すべてにマッチするパスプレフィックスとして扱う
+   * @param {string} toolName ツール名
+   * @param {string} ruleContent ルール内容
+   * @param {Object} input ツール入力
+   * @param {string} [matchMode] 'every'（許可）または 'some'（拒否・確認）
+   * @returns {boolean} マッチするかどうか
+   */
+  matchRuleContent(toolName, ruleContent, input, matchMode = 'every') {
+    if (!input) {
+      return false;
+    }
+
+    if (toolName === 'Bash') {
+      return this.matchBashRule(ruleContent, String(input.command ?? '').trim(), matchMode);
+    }
+
+    if (toolName === 'WebFetch' && ruleContent.startsWith('domain:')) {
+      try {
+        return new URL(input.url).hostname === ruleContent.slice('domain:'.length);
+      } catch {
+        return false;
+      }
+    }
+
+    const pathKey = PATH_INPUT_KEYS.find(key => typeof input[key] === 'string');
+    if (pathKey) {
+      return this.matchPathPattern(input[pathKey], ruleContent);
+    }
+
+    // その他のツール（MCPなど）はトップレベルの文字列引数のいずれかと照合
+    return Object.values(input).some(value =>
+      typeof value === 'string' && minimatch(value, ruleContent, { dot: true })
+    );
+  }
+
+  /**
+   * 単一のコマンドが Bash ルールの内容にマッチするかチェック
+   * @param {string} ruleContent ルール内容
+   * @param {string} command コマンド
+   * @returns {boolean} マッチするかどうか
+   */
+  matchBashCommand(ruleContent, command) {
+    const regex = this.parseRegexRule(ruleContent);
+    if (regex) {
+      return regex.test(command);
+    }
+    // "prefix:*" はプレフィックスで始まるコマンドにマッチ
+    if (ruleContent.endsWith(':*')) {
+      const prefix = ruleContent.slice(0, -2);
+      return command === prefix || command.startsWith(`${prefix} `);
+    }
+    return command === ruleContent;
+  }
+
+  /**
+   * Bash コマンドを Bash ツールと同じ方法でサブコマンドに分割して照合
+   * - 'every': 全サブコマンドがマッチする場合のみ（コマンド置換を含む場合はマッチしない）
+   * - 'some': コマンド全体、いずれかのサブコマンド、またはコマンド置換の中身がマッチする場合
+   * @param {string} ruleContent ルール内容
+   * @param {string} command コマンド
+   * @param {string} matchMode 'every' または 'some'
+   * @returns {boolean} マッチするかどうか
+   */
+  matchBashRule(ruleContent, command, matchMode) {
+    const subcommands = parseCommandList(command);
+
+    if (matchMode === 'every') {
+      return subcommands.length > 0 &&
+        !COMMAND_SUBSTITUTION.test(command) &&
+        subcommands.every(subcommand => this.matchBashCommand(ruleContent, subcommand));
+    }
+
+    // $(...) や `...` の中身も個別のコマンドとして照合する
+    const substitutions = [...command.matchAll(/\$\(([^()]*)\)|`([^`]*)`|[<>]\(([^()]*)\)/g)]
+      .flatMap(match => parseCommandList(match[1] ?? match[2] ?? match[3]));
+    return [command, ...subcommands, ...substitutions]
+      .some(candidate => this.matchBashCommand(ruleContent, candidate));
+  }
+
+  /**
+   * "/pattern/flags" 形式の正規表現ルールをパース
+   * パターンはコマンド全体に一致する必要がある（^…$ で固定）
+   * @param {string} ruleContent ルール内容
+   * @returns {RegExp|null} 正規表現、形式が異なるか不正な場合はnull
+   */
+  parseRegexRule(ruleContent) {
+    const match = ruleContent.match(/^\/(.+)\/([a-z]*)$/);
+    if (!match) {
+      return null;
+    }
+
+    try {
+      return new RegExp(`^(?:${match[1]})$`, match[2]);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * ルールのパスパターンを絶対パスのパターンに変換
+   * - "//etc/**" はファイルシステムの絶対パス（/etc/**）
+   * - "~/.ssh/**" はホームディレクトリからの相対パス
+   * - "/src/**" と "src/**" はプロジェクト（作業ディレクトリ）からの相対パス
+   * @param {string} pattern ルールのパスパターン
+   * @returns {string} 絶対パスのパターン
+   */
+  resolveRulePathPattern(pattern) {
+    if (pattern.startsWith('//')) {
+      return pattern.slice(1);
+    }
+    if (pattern === '~' || pattern.startsWith('~/')) {
+      return join(homedir(), pattern.slice(1));
+    }
+    return join(dA(), pattern.replace(/^\.?\//, ''));
+  }
+
+  /**
+   * 絶対パスのパターンのうち、グロブを含まない先頭部分のシンボリックリンクを解決
+   * @param {string} resolvedPattern 絶対パスのパターン
+   * @returns {string} シンボリックリンクを解決したパターン
+   */
+  realpathRulePathPattern(resolvedPattern) {
+    const segments = resolvedPattern.split('/');
+    const globIndex = segments.findIndex(segment => GLOB_CHARACTERS.test(segment));
+    const prefixLength = globIndex === -1 ? segments.length : globIndex;
+    const prefix = segments.slice(0, prefixLength).join('/') || '/';
+    return [realpathNearestAncestor(prefix), ...segments.slice(prefixLength)].join('/').replace(/^\/\//, '/');
+  }
+
+  /**
+   * ツール入力のパスを照合用に正規化（".." を解決し、存在する最も近い祖先までのシンボリックリンクも解決）
+   * @param {string} filePath ツール入力のファイルパス
+   * @returns {string} 正規化された絶対パス
+   */
+  normalizeInputPath(filePath) {
+    return realpathNearestAncestor(resolve(dA(), filePath));
+  }
+
+  /**
+   * ファイルパスがルールのパスパターンにマッチするかチェック
+   * @param {string} filePath ツール入力のファイルパス
+   * @param {string} pattern ルールのパスパターン
+   * @returns {boolean} マッチするかどうか
+   */
+  matchPathPattern(filePath, pattern) {
+    const absolutePath = this.normalizeInputPath(filePath);
+    const resolvedPattern = this.realpathRulePathPattern(this.resolveRulePathPattern(pattern));
+
+    if (!GLOB_CHARACTERS.test(pattern)) {
+      // パスプレフィックス: パス自身、またはその配下
+      const relativePath = relative(resolvedPattern, absolutePath);
+      return relativePath === '' || (!relativePath.startsWith('..') && !isAbsolute(relativePath));
+    }
+
+    return minimatch(absolutePath, resolvedPattern, { dot: true });
+  }
+
+  /**
+   * ルールが特定のツール呼び出しにマッチするかチェック（引数付きルールを含む）
+   * @param {Object} rule ルール
+   * @param {string} toolName ツール名
+   * @param {Object} input ツール入力
+   * @returns {boolean} マッチするかどうか
+   */
+  isRuleMatchingCall(rule, toolName, input) {
+    if (rule.ruleValue.ruleContent === undefined) {
+      return this.isRuleMatchingTool({ name: toolName }, rule);
+    }
+
+    return rule.ruleValue.toolName === toolName &&
+      this.matchRuleContent(toolName, rule.ruleValue.ruleContent, input, RULE_MATCH_MODES[rule.ruleBehavior] ?? 'every');
+  }
+
+  /**
+   * 権限コンテキストから全ルール（許可・拒否）を取得
+   * @param {Object} permissionContext 権限コンテキスト
+   * @returns {Array} ルール配列
+   */
+  getRulesFromContext(permissionContext) {
+    return [
+      ...this.extractAlwaysDenyRules(permissionContext),
+      ...this.extractAlwaysAskRules(permissionContext),
+      ...this.extractAlwaysAllowRules(permissionContext)
+    ];
+  }
+
+  /**
+   * 設定ファイルから全ルールを読み込み
+   * @returns {Array} ルール配列
+   */
+  loadRulesFromSettingsFiles() {
+    return FILE_SETTINGS_SOURCES.flatMap(source =>
+      this.extractPermissionRules(this.loadSettings(source), source)
+    );
+  }
+
+  /**
+   * ツール呼び出しに対するルール評価を説明
+   * 拒否ルールは許可ルールに優先し、同じ動作のルール同士は SETTINGS_HIERARCHY の順で優先される。
+   * ツール自身の権限チェック（読み取り専用ツールの自動許可など）は含まない。
+   * @param {Array} rules 評価するルール
+   * @param {string} toolName ツール名
+   * @param {Object} input ツール入力
+   * @returns {Object} 判定結果、採用ルール、隠されたルール
+   */
+  explainPermission(rules, toolName, input = {}) {
+    const matchingRules = rules
+      .filter(rule => this.isRuleMatchingCall(rule, toolName, input))
+      .sort((a, b) =>
+        PERMISSION_EVALUATION_ORDER.indexOf(a.ruleBehavior) - PERMISSION_EVALUATION_ORDER.indexOf(b.ruleBehavior) ||
+        SETTINGS_HIERARCHY.indexOf(a.source) - SETTINGS_HIERARCHY.indexOf(b.source)
+      );
+
+    const [winningRule, ...shadowedRules] = matchingRules;
+
+    return {
+      toolName,
+      input,
+      decision: winningRule?.ruleBehavior ?? 'ask',
+      winningRule: winningRule ?? null,
+      settingsPath: winningRule ? this.describeRuleLocation(winningRule.source) : null,
+      shadowedRules
+    };
+  }
+
+  /**
+   * ルールの定義場所を表示用に取得
+   * @param {string} source 設定ソース
+   * @returns {string} 設定ファイルパスまたはソース名
+   */
+  describeRuleLocation(source) {
+    try {
+      return this.getSettingsPath(source);
+    } catch {
+      return getSourceDisplayName(source);
+    }
+  }
+
+  /**
+   * ルール評価の説明を文字列に整形
+   * @param {Object} explanation explainPermission の結果
+   * @returns {string} 整形済みテキスト
+   */
+  formatPermissionExplanation({ toolName, input, decision, winningRule, settingsPath, shadowedRules }) {
+    const lines = [
+      `${toolName} ${JSON.stringify(input)}`,
+      `  Decision: ${decision}`
+    ];
+
+    if (winningRule) {
+      const expiry = formatRuleExpiry(winningRule);
+      lines.push(`  Rule: ${winningRule.ruleBehavior} ${this.ruleToString(winningRule.ruleValue)}${expiry ? ` (${expiry})` : ''}`);
+      const sourceName = getSourceDisplayName(winningRule.source);
+      lines.push(`  From: ${sourceName}${settingsPath !== sourceName ? ` (${settingsPath})` : ''}`);
+    } else {
+      lines.push('  Rule: none matched — the tool\'s own check decides, prompting if needed');
+    }
+
+    if (shadowedRules.length > 0) {
+      lines.push('  Shadowed:');
+      for (const rule of shadowedRules) {
+        lines.push(`    - ${rule.ruleBehavior} ${this.ruleToString(rule.ruleValue)} (${getSourceDisplayName(rule.source)})`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * ツール特定のパターンルールマップを取得
    * @param {Object} context コンテキスト
@@ -340,28 +891,41 @@ class ToolPermissionManager {
 
   /**
    * 権限ルールを保存
-   * @param {Object} ruleData ルールデータ
+   * expiresIn を指定すると期限付きルールとして保存し、期限切れ後は自動的に無効化・削除される。
+   * destination が 'session' の場合は設定ファイルに書き込まずメモリ上にのみ保持する。
+   * @param {Object} ruleData ルールデータ（ruleValues, ruleBehavior, expiresIn ミリ秒）
    * @param {string} destination 保存先
    * @returns {boolean} 成功/失敗
    */
-  savePermissionRule({ ruleValues, ruleBehavior }, destination) {
+  savePermissionRule({ ruleValues, ruleBehavior, expiresIn }, destination) {
     if (ruleValues.length < 1) {
       return true;
     }
 
     const toolNames = ruleValues.map(this.ruleToString.bind(this));
+    const expiresAt = expiresIn ? Date.now() + expiresIn : undefined;
+
+    if (destination === SESSION_RULE_SOURCE) {
+      const sessionRules = getSessionPermissionRules();
+      for (const rule of toolNames) {
+        sessionRules.push({ ruleBehavior, rule, expiresAt });
+      }
+      return true;
+    }
+
     const currentSettings = this.loadSettings(destination) || this.createEmptyPermissions();
 
     try {
       const permissions = currentSettings.permissions || {};
+      const entries = toolNames.map(rule =>
+        expiresAt ? { rule, expiresAt: new Date(expiresAt).toISOString() } : rule
+      );
+      const { permissions: activePermissions } = pruneExpiredRuleEntries(permissions);
       const updatedSettings = {
         ...currentSettings,
         permissions: {
-          ...permissions,
-          [ruleBehavior]: [
-            ...permissions[ruleBehavior] || [],
-            ...toolNames
-          ]
+          ...activePermissions,
+          [ruleBehavior]: [...(activePermissions[ruleBehavior] || []), ...entries]
         }
       };
 
@@ -383,6 +947,19 @@ class ToolPermissionManager {
     }
 
     const toolName = this.ruleToString(rule.ruleValue);
+
+    if (rule.source === SESSION_RULE_SOURCE) {
+      const sessionRules = getSessionPermissionRules();
+      const index = sessionRules.findIndex(entry =>
+        entry.ruleBehavior === rule.ruleBehavior && entry.rule === toolName
+      );
+      if (index === -1) {
+        return false;
+      }
+      sessionRules.splice(index, 1);
+      return true;
+    }
+
     const settings = this.loadSettings(rule.source);
     
     if (!settings || !settings.permissions) {
@@ -390,16 +967,18 @@ class ToolPermissionManager {
     }
 
     const behaviorRules = settings.permissions[rule.ruleBehavior];
-    if (!behaviorRules || !behaviorRules.includes(toolName)) {
+    const matchesRule = entry => normalizeRuleEntry(entry).rule === toolName;
+    if (!behaviorRules || !behaviorRules.some(matchesRule)) {
       return false;
     }
 
     try {
+      const { permissions: activePermissions } = pruneExpiredRuleEntries(settings.permissions);
       const updatedSettings = {
         ...settings,
         permissions: {
-          ...settings.permissions,
-          [rule.ruleBehavior]: behaviorRules.filter(r => r !== toolName)
+          ...activePermissions,
+          [rule.ruleBehavior]: (activePermissions[rule.ruleBehavior] || []).filter(entry => !matchesRule(entry))
         }
       };
 
@@ -410,6 +989,47 @@ class ToolPermissionManager {
     }
   }
 
+  /**
+   * 期限切れの権限ルールをセッションから削除
+   * 期限切れルールは読み込み時に無視され、設定ファイルへの書き込み時にも除去されるため、
+   * 書き込みの無い設定ファイルの書き換えは明示的に指定された場合のみ行う
+   * @param {Object} [options] オプション
+   * @param {boolean} [options.settingsFiles=false] ローカル設定とユーザー設定のファイルからも削除するか
+   * @returns {number} 削除したルール数
+   */
+  pruneExpiredPermissionRules({ settingsFiles = false } = {}) {
+    const now = Date.now();
+    let removed = 0;
+
+    const sessionRules = getSessionPermissionRules();
+    for (let i = sessionRules.length - 1; i >= 0; i--) {
+      if (isRuleEntryExpired(sessionRules[i], now)) {
+        sessionRules.splice(i, 1);
+        removed++;
+      }
+    }
+
+    if (!settingsFiles) {
+      return removed;
+    }
+
+    // プロジェクト設定（共有）とポリシー設定は書き換えない
+    for (const source of ['localSettings', 'userSettings']) {
+      const settings = this.loadSettings(source);
+      if (!settings || !settings.permissions) {
+        continue;
+      }
+
+      const pruned = pruneExpiredRuleEntries(settings.permissions, now);
+      if (pruned.removed > 0) {
+        removed += pruned.removed;
+        this.saveSettings(source, { ...settings, permissions: pruned.permissions });
+      }
+    }
+
+    return removed;
+  }
+
   /**
    * 空の権限設定を作成
    * @returns {Object} 空の権限設定
@@ -493,27 +1113,29 @@ class ToolPermissionManager {
    * @returns {Object} 更新されたコンテキスト
    */
   updatePermissionContext(context, rules) {
-    const allowRules = { ...context.alwaysAllowRules };
-    const denyRules = { ...context.alwaysDenyRules };
+    const rulesByBehavior = {
+      allow: { ...context.alwaysAllowRules },
+      deny: { ...context.alwaysDenyRules },
+      ask: { ...context.alwaysAskRules }
+    };
 
     for (const rule of rules) {
       const toolName = this.ruleToString(rule.ruleValue);
       const source = rule.source;
-      const targetRules = rule.ruleBehavior === 'allow' ? allowRules : denyRules;
+      const targetRules = rulesByBehavior[rule.ruleBehavior];
 
-      if (!targetRules[source]) {
-        targetRules[source] = [];
-      }
-      
-      if (targetRules[source]) {
-        targetRules[source].push(toolName);
-      }
+      // 既存配列を変更しないようコピーしてから追加
+      targetRules[source] = [
+        ...(targetRules[source] || []),
+        rule.expiresAt !== undefined ? { rule: toolName, expiresAt: rule.expiresAt } : toolName
+      ];
     }
 
     return {
       ...context,
-      alwaysAllowRules: allowRules,
-      alwaysDenyRules: denyRules
+      alwaysAllowRules: rulesByBehavior.allow,
+      alwaysDenyRules: rulesByBehavior.deny,
+      alwaysAskRules: rulesByBehavior.ask
     };
   }
 
@@ -548,6 +1170,8 @@ function getSourceDisplayName(source) {
       return 'CLI argument';
     case 'command':
       return 'command configuration';
+    case 'session':
+      return 'this session';
     case 'localSettings':
       return 'project local settings';
     case 'projectSettings':
@@ -564,7 +1188,14 @@ function getSourceDisplayName(source) {
 export {
   ToolPermissionManager,
   AbortError,
+  clearSessionPermissionRules,
   getSourceDisplayName,
+  formatRuleExpiry,
+  parseDuration,
+  FILE_SETTINGS_SOURCES,
   PERMISSION_BEHAVIORS,
+  PERMISSION_EVALUATION_ORDER,
+  PERMISSION_MODES,
+  SESSION_RULE_SOURCE,
   SETTINGS_HIERARCHY
 };
\ No newline at end of file
@@ -1,14 +1,18 @@
 // Tools and checkpoint management from cli.js (lines 2518-2527)
 
-import { relative } from "path";
+import { relative, isAbsolute } from "path";
 import { join } from "path";
 import { createHash } from "crypto";
+import { homedir } from "os";
+import { bashOutputTool, killShellTool } from "./background-shell-tools.js";
+import { readHookRunLog } from "./hook-system.js";
+import { HookRunLogUI } from "./hooks-ui.js";
 import { dirname, basename } from "path";
 
 // Tool permission system
 export function getAvailableTools(permissionContext, includeSpecialTools) {
   const baseTools = [
-    Kg2, _9, w$, Vk, hU, OT, F8, VI, W$, SC,
+    Kg2, _9, bashOutputTool, killShellTool, w$, Vk, hU, OT, F8, VI, W$, SC,
     ...(process.env.CLAUDE_CODE_ENABLE_UNIFIED_READ_TOOL ? [] : [WA1]),
     xT, GW,
     ...(includeSpecialTools ? [jq, ZG] : []),
@@ -33,10 +37,18 @@ export function getAvailableTools(permissionContext, includeSpecialTools) {
 export const hooksCommand = {
   type: "local-jsx",
   name: "hooks",
-  description: "Manage hook configurations for tool events",
+  description: "Manage hook configurations for tool events, or view recent hook runs with /hooks log",
   isEnabled: () => true,
   isHidden: false,
-  async call(onDone, context) {
+  argumentHint: "[log]",
+  async call(onDone, context, args) {
+    if (args?.trim() === "log") {
+      return WQA.createElement(HookRunLogUI, {
+        entries: readHookRunLog(),
+        onExit: () => onDone()
+      });
+    }
+    
     const permissionContext = context.getToolPermissionContext();
     const toolNames = getAvailableTools(permissionContext, false).map(tool => tool.name);
     
@@ -73,12 +85,45 @@ export const filesCommand = {
   }
 };
 
+// Checkpoints are kept reachable through refs in the shadow repo
+const CHECKPOINT_REF_PREFIX = "refs/checkpoints/";
+const DEFAULT_CHECKPOINT_KEEP = 50;
+
+// Snapshot store limits for directories that are not git repositories
+const DEFAULT_SNAPSHOT_MAX_SIZE_MB = 100;
+const DEFAULT_SNAPSHOT_IGNORE = [
+  ".git/",
+  ".claude/",
+  "node_modules/",
+  "__pycache__/",
+  ".venv/",
+  "venv/",
+  "dist/",
+  "build/",
+  "target/",
+  ".DS_Store",
+  "*.log"
+];
+
+function isValidCheckpointName(name) {
+  return /^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name) &&
+    !name.includes("..") &&
+    !name.endsWith(".lock") &&
+    !/^(auto|manual)-/.test(name);
+}
+
 // Checkpoint management singleton
 class CheckpointManager {
   static instance;
   initialized = false;
   checkpoints = [];
   shadowRepoPath;
+  worktreePath;
+  isSnapshotStore = false;
+  // Contents last written to the snapshot store's info/exclude
+  snapshotExclude = null;
+  // Turns (keyed by their abort controller) that already have an automatic checkpoint
+  autoCheckpointTurns = new WeakSet();
   
   static getInstance() {
     if (!CheckpointManager.instance) {
@@ -93,23 +138,27 @@ class CheckpointManager {
     try {
       const workingDir = dA();
       const gitRoot = await fcA(workingDir);
-      
-      if (!gitRoot) {
-        throw new Error("Checkpointing is only supported within a git directory.");
-      }
-      
-      const repoHash = createHash("sha256").update(gitRoot).digest("hex");
-      const shadowDir = join(gitRoot, ".claude", "checkpoints", repoHash);
+
+      // Outside a git repo, fall back to a snapshot store kept in the user's
+      // config dir so nothing is written into the directory itself
+      const worktree = gitRoot ?? workingDir;
+      const repoHash = createHash("sha256").update(worktree).digest("hex");
+      const shadowDir = gitRoot
+        ? join(gitRoot, ".claude", "checkpoints", repoHash)
+        : join(homedir(), ".claude", "checkpoints", repoHash);
       const fs = v1();
       
       if (!fs.existsSync(shadowDir)) {
-        fs.mkdirSync(shadowDir);
+        fs.mkdirSync(shadowDir, { recursive: true });
       }
       
       this.shadowRepoPath = shadowDir;
+      this.worktreePath = worktree;
+      this.isSnapshotStore = !gitRoot;
       const gitDir = join(shadowDir, ".git");
+      const isNewRepo = !fs.existsSync(gitDir);
       
-      if (!fs.existsSync(gitDir)) {
+      if (isNewRepo) {
         // Initialize git repository
         const { code: initCode, stderr: initError } = await N3("git", ["init"], { cwd: shadowDir });
         if (initCode !== 0) {
@@ -118,14 +167,21 @@ class CheckpointManager {
         
         // Configure worktree
         const { code: configCode, stderr: configError } = await N3("git", [
-          "config", "--local", "core.worktree", gitRoot
+          "config", "--local", "core.worktree", worktree
         ], { cwd: shadowDir });
         if (configCode !== 0) {
           throw new Error(`Failed to initialize checkpointing (config): ${configError}`);
         }
-        
-        // Initial commit
-        await N3("git", ["add", "--all", "--ignore-errors"], { cwd: shadowDir });
+      }
+
+      
+      // Initial commit (also retried if an earlier attempt stopped before committing)
+      const { code: headCode } = await N3("git", [
+        "rev-parse", "--verify", "--quiet", "HEAD"
+      ], { cwd: shadowDir });
+      
+      if (headCode !== 0) {
+        await this.stageChanges();
         const { code: commitCode, stderr: commitError } = await N3("git", [
           "commit", "-m", "Initial checkpoint", "--allow-empty"
         ], { cwd: shadowDir });
@@ -141,18 +197,32 @@ class CheckpointManager {
     }
   }
   
-  async saveCheckpoint(label = "Auto checkpoint") {
+  async saveCheckpoint(label = "Auto checkpoint", { name, auto = false } = {}) {
     if (!this.initialized) {
       await this.initShadowRepo();
     }
-    
+
     if (!this.shadowRepoPath) {
       throw new Error("Checkpointing not initialized");
     }
-    
+
+    if (name !== undefined && !isValidCheckpointName(name)) {
+      throw new Error(`Invalid checkpoint name "${name}". Use letters, numbers, ".", "_" or "-".`);
+    }
+
+    if (name) {
+      const { code: existingCode } = await N3("git", [
+        "show-ref", "--verify", "--quiet", `${CHECKPOINT_REF_PREFIX}${name}`
+      ], { cwd: this.shadowRepoPath });
+
+      if (existingCode === 0) {
+        throw new Error(`A checkpoint named "${name}" already exists`);
+      }
+    }
+
     try {
       // Stage all changes
-      await N3("git", ["add", "--all", "--ignore-errors"], { cwd: this.shadowRepoPath });
+      await this.stageChanges();
       
       // Create commit
       const { code: commitCode, stderr: commitError } = await N3("git", [
@@ -173,12 +243,26 @@ class CheckpointManager {
       }
       
       const commitHash = hashOutput.trim();
+
+      // Keep a ref per checkpoint so it can be listed and deleted later
+      const refName = name ?? `${auto ? "auto" : "manual"}-${commitHash.substring(0, 9)}`;
+      const { code: refCode, stderr: refError } = await N3("git", [
+        "update-ref", `${CHECKPOINT_REF_PREFIX}${refName}`, commitHash
+      ], { cwd: this.shadowRepoPath });
+
+      if (refCode !== 0) {
+        throw new Error(`Failed to create checkpoint ref: ${refError}`);
+      }
+
       const checkpoint = {
         commit: commitHash,
         timestamp: new Date(),
-        label: label
+        label: label,
+        name: name,
+        ref: refName,
+        auto: auto
       };
-      
+
       this.checkpoints.push(checkpoint);
       await Au1(checkpoint);
       
@@ -189,15 +273,21 @@ class CheckpointManager {
     }
   }
   
-  async restoreCheckpoint(commitHash) {
+  async restoreCheckpoint(reference, { path: filePath } = {}) {
     if (!this.initialized) {
       await this.initShadowRepo();
     }
-    
+
     try {
+      const commitHash = await this.resolveCheckpoint(reference);
+
+      if (filePath) {
+        return await this.restoreFile(commitHash, filePath);
+      }
+
       // Create backup before restore
-      await this.saveCheckpoint(`Backup checkpoint (before restoring to ${commitHash.substring(0, 9)})`);
-      
+      await this.saveCheckpoint(`Backup checkpoint (before restoring to ${commitHash.substring(0, 9)})`, { auto: true });
+
       // Get current HEAD
       const { stdout: currentHead, code: headCode } = await N3("git", [
         "rev-parse", "HEAD"
@@ -223,7 +313,317 @@ class CheckpointManager {
       throw error;
     }
   }
-  
+
+  // Restore a single path from a checkpoint, leaving the rest of the tree alone
+  async restoreFile(commitHash, filePath) {
+    const relativePath = this.toWorktreePath(filePath);
+
+    await this.saveCheckpoint(`Backup checkpoint (before restoring ${relativePath} from ${commitHash.substring(0, 9)})`, { auto: true });
+
+    const { code: existsCode } = await N3("git", [
+      "cat-file", "-e", `${commitHash}:${relativePath}`
+    ], { cwd: this.shadowRepoPath });
+
+    if (existsCode === 0) {
+      const { code, stderr } = await N3("git", [
+        "checkout", commitHash, "--", relativePath
+      ], { cwd: this.shadowRepoPath });
+
+      if (code !== 0) {
+        throw new Error(`Failed to restore ${relativePath}: ${stderr}`);
+      }
+    } else {
+      // The file did not exist at the checkpoint, so restoring means removing it
+      const { code, stderr } = await N3("git", [
+        "rm", "--quiet", "--ignore-unmatch", "--", relativePath
+      ], { cwd: this.shadowRepoPath });
+
+      if (code !== 0) {
+        throw new Error(`Failed to restore ${relativePath}: ${stderr}`);
+      }
+    }
+
+    await N3("git", [
+      "commit", "-m", `Restore ${relativePath} to checkpoint ${commitHash}`, "--allow-empty"
+    ], { cwd: this.shadowRepoPath });
+
+    return relativePath;
+  }
+
+  // Automatic checkpoint taken before the first file-modifying tool of a turn, so a
+  // turn with many edits stages the tree once. Never throws, so a checkpointing
+  // problem can't block the edit itself.
+  async createAutoCheckpoint(toolName, filePath, { turn } = {}) {
+    if (kQ().checkpoints?.autoCheckpoint === false) return;
+    if (turn) {
+      if (this.autoCheckpointTurns.has(turn)) return;
+      this.autoCheckpointTurns.add(turn);
+    }
+
+    try {
+      const target = filePath ? ` ${relative(dA(), filePath)}` : "";
+      return await this.saveCheckpoint(`Before ${toolName}${target}`, { auto: true });
+    } catch (error) {
+      iA(`Skipping automatic checkpoint before ${toolName}: ${error instanceof Error ? error.message : String(error)}`);
+    }
+  }
+
+  // Resolve a checkpoint name, ref or (abbreviated) commit hash to a full commit hash
+  async resolveCheckpoint(reference) {
+    if (!reference) {
+      throw new Error("No checkpoint specified");
+    }
+
+    const known = this.checkpoints.find(checkpoint =>
+      checkpoint.name === reference ||
+      checkpoint.ref === reference ||
+      checkpoint.commit.startsWith(reference)
+    );
+    if (known) return known.commit;
+
+    for (const candidate of [`${CHECKPOINT_REF_PREFIX}${reference}`, reference]) {
+      const { stdout, code } = await N3("git", [
+        "rev-parse", "--verify", "--quiet", `${candidate}^{commit}`
+      ], { cwd: this.shadowRepoPath });
+
+      if (code === 0 && stdout.trim()) {
+        return stdout.trim();
+      }
+    }
+
+    throw new Error(`Checkpoint not found: ${reference}`);
+  }
+
+  // List checkpoints stored in the shadow repo, newest first, with a diffstat against the current tree
+  async listCheckpoints({ withStats = true } = {}) {
+    if (!this.initialized) {
+      await this.initShadowRepo();
+    }
+
+    const { stdout, code, stderr } = await N3("git", [
+      "for-each-ref",
+      "--sort=-committerdate",
+      "--format=%(objectname)%00%(refname:strip=2)%00%(committerdate:unix)%00%(subject)",
+      CHECKPOINT_REF_PREFIX.replace(/\/$/, "")
+    ], { cwd: this.shadowRepoPath });
+
+    if (code !== 0) {
+      throw new Error(`Failed to list checkpoints: ${stderr}`);
+    }
+
+    const checkpoints = stdout.split("\n").filter(Boolean).map(line => {
+      const [commit, ref, timestamp, label] = line.split("\0");
+      const isAuto = ref.startsWith("auto-");
+      return {
+        commit,
+        ref,
+        name: isAuto || ref.startsWith("manual-") ? undefined : ref,
+        auto: isAuto,
+        timestamp: new Date(Number(timestamp) * 1000),
+        label
+      };
+    });
+
+    if (withStats) {
+      // Stage the current tree so new files show up in the stats
+      await this.stageChanges();
+
+      for (const checkpoint of checkpoints) {
+        const { stdout: stat } = await N3("git", [
+          "diff", "--cached", "--shortstat", checkpoint.commit
+        ], { cwd: this.shadowRepoPath });
+        checkpoint.diffStat = stat.trim() || "no changes";
+      }
+    }
+
+    return checkpoints;
+  }
+
+  // Diff between a checkpoint and the current tree, optionally limited to one path
+  async diffCheckpoint(reference, filePath) {
+    if (!this.initialized) {
+      await this.initShadowRepo();
+    }
+
+    const commitHash = await this.resolveCheckpoint(reference);
+    await this.stageChanges();
+
+    const args = ["diff", "--cached", commitHash];
+    if (filePath) {
+      args.push("--", this.toWorktreePath(filePath));
+    }
+
+    const { stdout, code, stderr } = await N3("git", args, { cwd: this.shadowRepoPath });
+    if (code !== 0) {
+      throw new Error(`Failed to diff checkpoint: ${stderr}`);
+    }
+
+    return stdout;
+  }
+
+  async deleteCheckpoint(reference) {
+    if (!this.initialized) {
+      await this.initShadowRepo();
+    }
+
+    const commitHash = await this.resolveCheckpoint(reference);
+    const refs = await this.listCheckpoints({ withStats: false });
+    const matching = refs.filter(checkpoint =>
+      checkpoint.ref === reference || checkpoint.commit === commitHash
+    );
+
+    if (matching.length === 0) {
+      throw new Error(`Checkpoint not found: ${reference}`);
+    }
+
+    for (const checkpoint of matching) {
+      const { code, stderr } = await N3("git", [
+        "update-ref", "-d", `${CHECKPOINT_REF_PREFIX}${checkpoint.ref}`
+      ], { cwd: this.shadowRepoPath });
+
+      if (code !== 0) {
+        throw new Error(`Failed to delete checkpoint ${checkpoint.ref}: ${stderr}`);
+      }
+    }
+
+    this.checkpoints = this.checkpoints.filter(checkpoint => checkpoint.commit !== commitHash);
+    return matching.length;
+  }
+
+  // Drop automatic checkpoints beyond `keep` or older than `olderThanDays`.
+  // Named checkpoints are only pruned when `includeNamed` is set.
+  async pruneCheckpoints({ keep = DEFAULT_CHECKPOINT_KEEP, olderThanDays, includeNamed = false } = {}) {
+    const checkpoints = await this.listCheckpoints({ withStats: false });
+    const candidates = checkpoints.filter(checkpoint => includeNamed || !checkpoint.name);
+    const cutoff = olderThanDays !== undefined
+      ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000
+      : undefined;
+
+    const candidatesToPrune = candidates.filter((checkpoint, index) =>
+      index >= keep || (cutoff !== undefined && checkpoint.timestamp.getTime() < cutoff)
+    );
+
+    const pruned = [];
+    const failures = [];
+    for (const checkpoint of candidatesToPrune) {
+      const { code, stderr } = await N3("git", [
+        "update-ref", "-d", `${CHECKPOINT_REF_PREFIX}${checkpoint.ref}`
+      ], { cwd: this.shadowRepoPath });
+
+      if (code === 0) {
+        pruned.push(checkpoint);
+      } else {
+        failures.push(`${checkpoint.ref}: ${stderr.trim()}`);
+      }
+    }
+
+    const prunedCommits = new Set(pruned.map(checkpoint => checkpoint.commit));
+    this.checkpoints = this.checkpoints.filter(checkpoint => !prunedCommits.has(checkpoint.commit));
+
+    if (failures.length > 0) {
+      throw new Error(`Pruned ${pruned.length} checkpoint(s) but failed to delete ${failures.length}:\n${failures.join("\n")}`);
+    }
+    return pruned.length;
+  }
+
+  async stageChanges() {
+    if (this.isSnapshotStore) {
+      this.writeSnapshotExclude();
+      await this.checkSnapshotSize();
+    }
+
+    await N3("git", ["add", "--all", "--ignore-errors"], { cwd: this.shadowRepoPath });
+  }
+
+  // Plain directories have no .gitignore to lean on, so apply our own ignore list.
+  // Checked before every snapshot so changes to checkpoints.ignore take effect mid-session.
+  writeSnapshotExclude() {
+    const ignorePatterns = [
+      ...DEFAULT_SNAPSHOT_IGNORE,
+      ...(kQ().checkpoints?.ignore ?? [])
+    ];
+    const contents = `${ignorePatterns.join('\n')}\n`;
+    if (contents === this.snapshotExclude) {
+      return;
+    }
+
+    const fs = v1();
+    const infoDir = join(this.shadowRepoPath, ".git", "info");
+    fs.mkdirSync(infoDir, { recursive: true });
+    fs.writeFileSync(join(infoDir, "exclude"), contents);
+    this.snapshotExclude = contents;
+  }
+
+  // Sizes of the files in the last snapshot, from git, keyed by path (null before the first one)
+  async getCommittedFileSizes() {
+    const { stdout, code } = await N3("git", ["ls-tree", "-r", "-l", "-z", "HEAD"], { cwd: this.shadowRepoPath });
+    if (code !== 0) {
+      return null;
+    }
+
+    const sizes = new Map();
+    for (const entry of stdout.split("\0").filter(Boolean)) {
+      // "<mode> <type> <object> <size>\t<path>"
+      const tab = entry.indexOf("\t");
+      const size = Number(entry.slice(0, tab).trim().split(/\s+/)[3]);
+      sizes.set(entry.slice(tab + 1), Number.isNaN(size) ? 0 : size);
+    }
+    return sizes;
+  }
+
+  // Refuse to snapshot plain directories whose non-ignored files exceed the size cap.
+  // Sizes come from the last snapshot's tree, so only files git reports as changed
+  // since then are stat'ed; before the first snapshot every file is.
+  async checkSnapshotSize() {
+    const maxSizeMB = kQ().checkpoints?.maxSnapshotSizeMB ?? DEFAULT_SNAPSHOT_MAX_SIZE_MB;
+    const committedSizes = await this.getCommittedFileSizes();
+    const listArgs = committedSizes
+      ? ["status", "--porcelain", "-z", "--untracked-files=all", "--no-renames"]
+      : ["ls-files", "-z", "--cached", "--others", "--exclude-standard"];
+    const { stdout, code, stderr } = await N3("git", listArgs, { cwd: this.shadowRepoPath });
+
+    if (code !== 0) {
+      throw new Error(`Failed to list files for checkpoint: ${stderr}`);
+    }
+
+    const fs = v1();
+    const sizes = committedSizes ?? new Map();
+    const entries = stdout.split("\0").filter(Boolean);
+    // Status entries are "XY path"
+    const files = committedSizes ? entries.map(entry => entry.slice(3)) : entries;
+    for (const file of files) {
+      try {
+        sizes.set(file, fs.statSync(join(this.worktreePath, file)).size);
+      } catch {
+        // Deleted since the last snapshot or since listing; nothing to snapshot
+        sizes.delete(file);
+      }
+    }
+
+    let totalBytes = 0;
+    for (const size of sizes.values()) {
+      totalBytes += size;
+    }
+
+    if (totalBytes > maxSizeMB * 1024 * 1024) {
+      throw new Error(
+        `Directory is too large to checkpoint (${(totalBytes / 1024 / 1024).toFixed(1)} MB, limit ${maxSizeMB} MB). ` +
+        `Add paths to checkpoints.ignore or raise checkpoints.maxSnapshotSizeMB in settings.`
+      );
+    }
+  }
+
+  toWorktreePath(filePath) {
+    const absolutePath = isAbsolute(filePath) ? filePath : join(dA(), filePath);
+    const relativePath = relative(this.worktreePath, absolutePath);
+
+    if (relativePath.startsWith("..") || isAbsolute(relativePath)) {
+      throw new Error(`${filePath} is outside the checkpointed directory`);
+    }
+
+    return relativePath;
+  }
+
   getCheckpoints() {
     return this.checkpoints.toReversed();
   }
@@ -247,11 +647,111 @@ class CheckpointManager {
     this.initialized = false;
     this.checkpoints = [];
     this.shadowRepoPath = undefined;
+    this.worktreePath = undefined;
+    this.isSnapshotStore = false;
+    this.snapshotExclude = null;
   }
 }
 
 export const checkpointManager = CheckpointManager.getInstance();
 
+const CHECKPOINT_USAGE = `Usage:
+  /checkpoint create [name]          Save a checkpoint of the current tree
+  /checkpoint list                   List checkpoints with changes since each one
+  /checkpoint diff <checkpoint> [path]
+  /checkpoint restore <checkpoint> [path]
+  /checkpoint delete <checkpoint>
+  /checkpoint prune [--keep N] [--older-than DAYS] [--include-named]`;
+
+function formatCheckpointLine(checkpoint) {
+  const id = checkpoint.name ?? checkpoint.commit.substring(0, 9);
+  const kind = checkpoint.auto ? " (auto)" : "";
+  const stat = checkpoint.diffStat ? ` — ${checkpoint.diffStat}` : "";
+  return `  ${id}  ${checkpoint.timestamp.toLocaleString()}  ${checkpoint.label}${kind}${stat}`;
+}
+
+// Checkpoint command for creating, browsing and restoring checkpoints
+export const checkpointCommand = {
+  type: "local",
+  name: "checkpoint",
+  description: "Create, list, diff and restore checkpoints of your working tree",
+  isEnabled: () => true,
+  isHidden: false,
+  argumentHint: "create [name] | list | diff <checkpoint> [path] | restore <checkpoint> [path] | delete <checkpoint> | prune",
+  async call(args) {
+    const [subcommand = "list", ...rest] = args.trim().split(/\s+/).filter(Boolean);
+
+    switch (subcommand) {
+      case "create": {
+        const name = rest[0];
+        const commit = await checkpointManager.saveCheckpoint(name ?? "Manual checkpoint", { name });
+        return `Created checkpoint ${name ?? commit.substring(0, 9)}`;
+      }
+
+      case "list": {
+        const checkpoints = await checkpointManager.listCheckpoints();
+        if (checkpoints.length === 0) {
+          return "No checkpoints";
+        }
+        return `Checkpoints (newest first):\n${checkpoints.map(formatCheckpointLine).join('\n')}`;
+      }
+
+      case "diff": {
+        const [reference, filePath] = rest;
+        const diff = await checkpointManager.diffCheckpoint(reference, filePath);
+        return diff.trim() || "No changes since checkpoint";
+      }
+
+      case "restore": {
+        const [reference, filePath] = rest;
+        if (filePath) {
+          const restoredPath = await checkpointManager.restoreCheckpoint(reference, { path: filePath });
+          return `Restored ${restoredPath} from checkpoint ${reference}`;
+        }
+        await checkpointManager.restoreCheckpoint(reference);
+        return `Restored working tree to checkpoint ${reference}`;
+      }
+
+      case "delete": {
+        await checkpointManager.deleteCheckpoint(rest[0]);
+        return `Deleted checkpoint ${rest[0]}`;
+      }
+
+      case "prune": {
+        const options = {};
+        for (let i = 0; i < rest.length; i++) {
+          switch (rest[i]) {
+            case "--keep":
+              options.keep = Number(rest[++i]);
+              break;
+            case "--older-than":
+              options.olderThanDays = Number(rest[++i]);
+              break;
+            case "--include-named":
+              options.includeNamed = true;
+              break;
+            default:
+              throw new Error(`Unknown option: ${rest[i]}\n\n${CHECKPOINT_USAGE}`);
+          }
+        }
+
+        if (Number.isNaN(options.keep) || Number.isNaN(options.olderThanDays)) {
+          throw new Error(`--keep and --older-than expect a number\n\n${CHECKPOINT_USAGE}`);
+        }
+
+        const pruned = await checkpointManager.pruneCheckpoints(options);
+        return `Pruned ${pruned} checkpoint${pruned === 1 ? "" : "s"}`;
+      }
+
+      default:
+        return CHECKPOINT_USAGE;
+    }
+  },
+  userFacingName() {
+    return "checkpoint";
+  }
+};
+
 // Frontmatter parser for markdown files
 export function parseFrontmatter(content) {
   const frontmatterRegex = /^---\s*\n([\s\S]*?)---\s*\n?/;
@@ -2,9 +2,53 @@
 // 元ファイル: cli.js 2057-2066行より復元
 
 import { existsSync, readFileSync, writeFileSync, mkdirSync, statSync } from "fs";
-import { join } from "path";
+import { isAbsolute, join } from "path";
 import { homedir } from "os";
 import { execFile } from "child_process";
+import {
+    collectHookResults,
+    executePreCompactHooks,
+    executeSessionEndHooks,
+    getSessionStartHookMessages
+} from "./hook-system.js";
+import { searchConversations, formatSearchResults } from "./conversation-search.js";
+import {
+    formatBranchTree,
+    forkConversation,
+    getForkPoints,
+    getSessionLogPath,
+    listBranches,
+    loadBranchSelection,
+    resolveActiveLeaf,
+    saveBranchSelection
+} from "./conversation-branches.js";
+import { buildMessageChain } from "./conversation-log.js";
+import { formatWebCacheEntries, listWebCacheEntries, purgeWebCache } from "./web-content-pipeline.js";
+import { syncTodosToIssues, writeChecklistToPullRequest } from "./github-issues-manager.js";
+import { formatSandboxExplanation, formatSandboxProfiles } from "./sandbox-profiles.js";
+import { discardAgentRun, formatAgentRun, getAgentDiff, listAgentRuns, mergeAgentChanges } from "./agent-worktrees.js";
+import {
+    TodoPrioritySchema,
+    addBacklogItem,
+    formatTodosAsMarkdown,
+    getProjectBacklogPath,
+    getSortedBacklog,
+    hasProjectBacklog,
+    importBacklogIntoSession,
+    moveBacklogItem,
+    readAgentTodos,
+    readProjectBacklog,
+    removeBacklogItem,
+    sortTodos,
+    updateBacklogItem
+} from "./todo-management.js";
+import {
+    ToolPermissionManager,
+    SESSION_RULE_SOURCE,
+    formatRuleExpiry,
+    getSourceDisplayName,
+    parseDuration
+} from "./tool-permissions.js";
 
 // ドキュメント作成制限警告
 const DOCUMENTATION_WARNING = "NEVER proactively create documentation files (*.md) or README files. Only create documentation files if explicitly requested by the User.";
@@ -74,7 +118,14 @@ const clearCommand = {
     isEnabled: () => true,
     isHidden: false,
     async call(args, context) {
+        await executeSessionEndHooks("clear");
         await clearConversationHistory(context);
+        
+        // SessionStartフックのコンテキストを新しい会話に追加
+        const sessionStartMessages = await getSessionStartHookMessages("clear", context.abortController?.signal);
+        if (sessionStartMessages.length > 0 && context.setMessages) {
+            context.setMessages(sessionStartMessages);
+        }
         return "";
     },
     userFacingName() {
@@ -118,8 +169,19 @@ const compactCommand = {
         
         const customInstructions = args.trim();
         
+        // PreCompactフック: 終了コード2でコンパクトを中止、stdoutは要約指示に追加
+        const hookResults = await collectHookResults(
+            executePreCompactHooks("manual", customInstructions, abortController?.signal)
+        );
+        if (hookResults.blockingErrors.length > 0) {
+            throw new Error(`Compaction blocked by hook:\n${hookResults.blockingErrors.map(err => `- ${err.blockingError}`).join('\n')}`);
+        }
+        const instructions = [customInstructions, ...hookResults.additionalContexts]
+            .filter(Boolean)
+            .join('\n\n');
+        
         try {
-            const result = await compactConversation(messages, context, false, customInstructions);
+            const result = await compactConversation(messages, context, false, instructions);
             return result.message;
         } catch (error) {
             if (abortController?.signal.aborted) {
@@ -363,6 +425,502 @@ const configCommand = {
     }
 };
 
+// permissions explain サブコマンド
+function explainPermissionCommand(toolName, inputJson, context) {
+    let input = {};
+    if (inputJson) {
+        try {
+            input = JSON.parse(inputJson);
+        } catch (error) {
+            return `Invalid input JSON: ${error.message}`;
+        }
+    }
+
+    // 現在のセッションで有効なルール（CLI引数やセッション中の許可を含む）で評価
+    const permissionManager = new ToolPermissionManager();
+    const rules = permissionManager.getRulesFromContext(context.getToolPermissionContext());
+    const explanation = permissionManager.explainPermission(rules, toolName, input);
+    return permissionManager.formatPermissionExplanation(explanation);
+}
+
+// permissions の付与先フラグと保存先の設定ソース
+const PERMISSION_GRANT_TARGETS = {
+    "--project": "projectSettings",
+    "--local": "localSettings",
+    "--user": "userSettings"
+};
+
+// permissions allow/ask/deny サブコマンド: 既定はセッション限定、"for 30m" で期限付き、
+// 末尾の --project / --local / --user で設定ファイルに保存（期限付きも可）
+function grantPermissionCommand(ruleBehavior, args) {
+    const targetMatch = args.match(/^(.*?)\s*(--project|--local|--user)$/);
+    const destination = targetMatch ? PERMISSION_GRANT_TARGETS[targetMatch[2]] : SESSION_RULE_SOURCE;
+    const ruleArgs = targetMatch ? targetMatch[1] : args;
+    const durationMatch = ruleArgs.match(/^(.+?)\s+for\s+(\S+)$/);
+    const ruleString = (durationMatch ? durationMatch[1] : ruleArgs).trim();
+    if (!ruleString) {
+        return `Usage: /permissions ${ruleBehavior} <rule> [for <duration>] [--project|--local|--user]`;
+    }
+
+    let expiresIn;
+    if (durationMatch) {
+        expiresIn = parseDuration(durationMatch[2]);
+        if (!expiresIn) {
+            return `Invalid duration: ${durationMatch[2]} (use e.g. 30s, 30m, 2h, 1d)`;
+        }
+    }
+
+    const permissionManager = new ToolPermissionManager();
+    const saved = permissionManager.savePermissionRule({
+        ruleValues: [permissionManager.parseToolRule(ruleString)],
+        ruleBehavior,
+        expiresIn
+    }, destination);
+    if (!saved) {
+        return `Could not save ${ruleBehavior} rule ${ruleString} to ${getSourceDisplayName(destination)}`;
+    }
+
+    if (destination === SESSION_RULE_SOURCE) {
+        return `Added ${ruleBehavior} rule ${ruleString} ${expiresIn ? `for ${durationMatch[2]}` : "until this session ends"}`;
+    }
+    return `Added ${ruleBehavior} rule ${ruleString} to ${getSourceDisplayName(destination)}${expiresIn ? ` for ${durationMatch[2]}` : ""}`;
+}
+
+// permissions list サブコマンド: 有効なルールを残り時間付きで一覧表示
+function listPermissionsCommand(context) {
+    const permissionManager = new ToolPermissionManager();
+    permissionManager.pruneExpiredPermissionRules();
+    const rules = permissionManager.getRulesFromContext(context.getToolPermissionContext());
+    if (rules.length === 0) {
+        return "No permission rules configured";
+    }
+
+    return rules.map((rule) => {
+        const expiry = formatRuleExpiry(rule);
+        return `${rule.ruleBehavior} ${permissionManager.ruleToString(rule.ruleValue)} (${getSourceDisplayName(rule.source)}${expiry ? `, ${expiry}` : ""})`;
+    }).join("\n");
+}
+
+// permissions prune サブコマンド: 期限切れルールをローカル設定とユーザー設定のファイルからも削除
+function prunePermissionsCommand() {
+    const removed = new ToolPermissionManager().pruneExpiredPermissionRules({ settingsFiles: true });
+    return removed > 0 ? `Removed ${removed} expired permission rule${removed === 1 ? "" : "s"}` : "No expired permission rules";
+}
+
+// permissionsコマンド定義
+const permissionsCommand = {
+    type: "local",
+    name: "permissions",
+    description: "List, grant or explain permission rules. Grants last for this session, or a duration with \"for 30m\"; add --project, --local or --user to save them",
+    isEnabled: () => true,
+    isHidden: false,
+    argumentHint: "[list | allow|ask|deny <rule> [for <duration>] [--project|--local|--user] | explain <tool> [input-json] | prune]",
+    async call(args, context) {
+        const trimmed = args.trim();
+        const [subcommand = "list"] = trimmed.split(/\s+/).filter(Boolean);
+        const rest = trimmed.slice(subcommand.length).trim();
+
+        switch (subcommand) {
+            case "list":
+                return listPermissionsCommand(context);
+            case "allow":
+            case "deny":
+            case "ask":
+                return grantPermissionCommand(subcommand, rest);
+            case "explain": {
+                const [toolName, ...inputParts] = rest.split(/\s+/);
+                if (!toolName) {
+                    return "Usage: /permissions explain <tool> [input-json]";
+                }
+                return explainPermissionCommand(toolName, inputParts.join(" "), context);
+            }
+            case "prune":
+                return prunePermissionsCommand();
+            default:
+                return `Unknown subcommand: ${subcommand}. Usage: /permissions ${permissionsCommand.argumentHint}`;
+        }
+    },
+    userFacingName() {
+        return "permissions";
+    }
+};
+
+// "--name value" 形式のオプションと残りの引数を分離
+function parseCommandOptions(args, optionNames) {
+    const options = {};
+    const rest = [];
+    const tokens = args.trim().split(/\s+/).filter(Boolean);
+
+    for (let i = 0; i < tokens.length; i++) {
+        const name = tokens[i].startsWith("--") ? tokens[i].slice(2) : null;
+        if (name && optionNames.includes(name) && i + 1 < tokens.length) {
+            options[name] = tokens[++i];
+        } else {
+            rest.push(tokens[i]);
+        }
+    }
+
+    return { options, rest: rest.join(" ") };
+}
+
+// searchコマンド定義
+const searchCommand = {
+    type: "local",
+    name: "search",
+    description: "Search past conversations across all projects",
+    isEnabled: () => true,
+    isHidden: false,
+    argumentHint: "<query> [--project <path>] [--tool <name>] [--file <path>] [--since <date>] [--until <date>]",
+    async call(args) {
+        const { options, rest: query } = parseCommandOptions(args, ["project", "tool", "file", "since", "until"]);
+        if (!query && !options.tool && !options.file) {
+            return `Usage: /search ${searchCommand.argumentHint}`;
+        }
+
+        try {
+            const hits = searchConversations(query, { ...options, limit: 10 });
+            return formatSearchResults(hits);
+        } catch (error) {
+            return `Search failed: ${error.message}`;
+        }
+    },
+    userFacingName() {
+        return "search";
+    }
+};
+
+// forkコマンド定義
+const forkCommand = {
+    type: "local",
+    name: "fork",
+    description: "Fork the conversation from an earlier prompt; the current branch is kept",
+    isEnabled: () => true,
+    isHidden: false,
+    argumentHint: "[prompt number]",
+    async call(args, context) {
+        const forkPoints = getForkPoints(context.messages ?? []);
+        if (forkPoints.length === 0) {
+            return "No earlier prompts to fork from";
+        }
+
+        const index = Number(args.trim());
+        const forkPoint = forkPoints.find((point) => point.index === index);
+        if (!forkPoint) {
+            const list = forkPoints.map((point) => `  ${point.index}. ${point.label}`).join("\n");
+            return `Choose a prompt to fork from with /fork <number>:\n${list}`;
+        }
+
+        const { messages, prompt } = forkConversation(context.messages, forkPoint, getSessionLogPath(PB()));
+        context.setMessages?.(messages);
+        return `Forked before prompt ${forkPoint.index}. Send a prompt to start the new branch; use /branches to switch back.\nOriginal prompt: ${prompt}`;
+    },
+    userFacingName() {
+        return "fork";
+    }
+};
+
+// branchesコマンド定義
+const branchesCommand = {
+    type: "local",
+    name: "branches",
+    description: "Show the branches of this conversation as a tree, or switch branch",
+    isEnabled: () => true,
+    isHidden: false,
+    argumentHint: "[switch <branch number>]",
+    async call(args, context) {
+        const logFile = getSessionLogPath(PB());
+        if (!existsSync(logFile)) {
+            return "No messages in this conversation yet";
+        }
+
+        const { messages } = await Bu1(logFile);
+        const branches = listBranches(messages);
+        const [subcommand, branchNumber] = args.trim().split(/\s+/);
+
+        if (subcommand === "switch") {
+            const branch = branches.find((candidate) => candidate.index === Number(branchNumber));
+            if (!branch) {
+                return `No branch ${branchNumber ?? ""}. Run /branches to list branches.`;
+            }
+
+            // 選択を保存して --resume でも同じブランチを続ける
+            saveBranchSelection(logFile, branch.leafUuid);
+            context.setMessages?.(buildMessageChain(messages.get(branch.leafUuid), messages));
+            return `Switched to branch ${branch.index}: ${branch.label}`;
+        }
+
+        const activeLeaf = resolveActiveLeaf(messages, loadBranchSelection(logFile));
+        return formatBranchTree(messages, branches, activeLeaf?.uuid);
+    },
+    userFacingName() {
+        return "branches";
+    }
+};
+
+// webcacheコマンド定義
+const webcacheCommand = {
+    type: "local",
+    name: "webcache",
+    description: "List or purge cached WebFetch responses",
+    isEnabled: () => true,
+    isHidden: false,
+    argumentHint: "[list [filter] | purge [--expired | <url substring>]]",
+    async call(args) {
+        const [subcommand = "list", ...rest] = args.trim().split(/\s+/).filter(Boolean);
+        const target = rest.join(" ");
+
+        switch (subcommand) {
+            case "list": {
+                const entries = listWebCacheEntries().filter((entry) => !target || entry.url.includes(target));
+                return formatWebCacheEntries(entries);
+            }
+            case "purge": {
+                const removed = target === "--expired"
+                    ? purgeWebCache({ expiredOnly: true })
+                    : purgeWebCache({ pattern: target || undefined });
+                return removed.length === 1 ? "Purged 1 cache entry" : `Purged ${removed.length} cache entries`;
+            }
+            default:
+                return `Usage: /webcache ${webcacheCommand.argumentHint}`;
+        }
+    },
+    userFacingName() {
+        return "webcache";
+    }
+};
+
+const TODO_STATUS_MARKERS = { pending: "[ ]", in_progress: "[~]", completed: "[x]" };
+
+function formatTodoLine(todo, index) {
+    const number = index !== undefined ? `${index + 1}. ` : "";
+    const completedBy = todo.completedBySession ? ` · completed in session ${todo.completedBySession.slice(0, 8)}` : "";
+    return `  ${number}${TODO_STATUS_MARKERS[todo.status]} (${todo.priority}) ${todo.content}${completedBy}`;
+}
+
+function formatTodoLists(sessionTodos, backlog) {
+    const lines = [];
+    lines.push(sessionTodos.length > 0 ? "Session todos:" : "Session todos: none");
+    lines.push(...[...sessionTodos].sort(sortTodos).map((todo) => formatTodoLine(todo)));
+    lines.push("");
+    if (!hasProjectBacklog()) {
+        lines.push("No project backlog yet. Create one with /todos add [high|medium|low] <text>");
+    } else {
+        lines.push(`Project backlog (${getProjectBacklogPath()}):`);
+        lines.push(...(backlog.length > 0 ? backlog.map(formatTodoLine) : ["  (empty)"]));
+    }
+    return lines.join("\n");
+}
+
+// todosコマンド定義
+// 番号は表示順（状態→優先度→手動順）で、/todos の一覧と対応する
+const todosCommand = {
+    type: "local",
+    name: "todos",
+    description: "View the session todos and manage the project backlog in .claude/todos.json",
+    isEnabled: () => true,
+    isHidden: false,
+    argumentHint: "[add [priority] <text> | done|start|reopen|remove <n> | priority <n> <level> | move <n> <to> | import | export [--backlog] [pr [<number>] | <file>] | sync [--backlog]]",
+    async call(args) {
+        const [subcommand = "list", ...rest] = args.trim().split(/\s+/).filter(Boolean);
+        const sessionId = PB();
+        const backlog = getSortedBacklog();
+        const findItem = (value) => backlog[Number(value) - 1];
+        const usage = `Usage: /todos ${todosCommand.argumentHint}`;
+
+        switch (subcommand) {
+            case "list":
+                return formatTodoLists(readAgentTodos(sessionId), backlog);
+            case "add": {
+                const priority = TodoPrioritySchema.safeParse(rest[0]).success ? rest.shift() : "medium";
+                const content = rest.join(" ");
+                if (!content) {
+                    return usage;
+                }
+                addBacklogItem(content, priority, sessionId);
+                return `Added to backlog: ${content} (${priority})`;
+            }
+            case "done":
+            case "start":
+            case "reopen": {
+                const item = findItem(rest[0]);
+                if (!item) {
+                    return `No backlog item ${rest[0] ?? ""}. ${usage}`;
+                }
+                const status = { done: "completed", start: "in_progress", reopen: "pending" }[subcommand];
+                updateBacklogItem(item.id, { status }, sessionId);
+                return formatTodoLists(readAgentTodos(sessionId), getSortedBacklog());
+            }
+            case "priority": {
+                const item = findItem(rest[0]);
+                if (!item || !TodoPrioritySchema.safeParse(rest[1]).success) {
+                    return `Usage: /todos priority <n> <high|medium|low>`;
+                }
+                updateBacklogItem(item.id, { priority: rest[1] }, sessionId);
+                return formatTodoLists(readAgentTodos(sessionId), getSortedBacklog());
+            }
+            case "move": {
+                const item = findItem(rest[0]);
+                const target = findItem(rest[1]);
+                if (!item || !target) {
+                    return `Usage: /todos move <n> <to>`;
+                }
+                // 表示順の位置を保存順の位置に変換する
+                moveBacklogItem(item.id, readProjectBacklog().findIndex((candidate) => candidate.id === target.id));
+                return formatTodoLists(readAgentTodos(sessionId), getSortedBacklog());
+            }
+            case "remove": {
+                const item = findItem(rest[0]);
+                if (!item || !removeBacklogItem(item.id)) {
+                    return `No backlog item ${rest[0] ?? ""}. ${usage}`;
+                }
+                return `Removed from backlog: ${item.content}`;
+            }
+            case "import": {
+                const imported = importBacklogIntoSession(sessionId);
+                return imported.length > 0
+                    ? `Imported ${imported.length} backlog ${imported.length === 1 ? "item" : "items"} into this session's todo list`
+                    : "No open backlog items to import";
+            }
+            case "export": {
+                // --backlog でプロジェクトのバックログを、指定なしでセッションの Todo を出力する
+                const useBacklog = rest.includes("--backlog");
+                const [target, prNumber = ""] = rest.filter((token) => token !== "--backlog");
+                const markdown = useBacklog
+                    ? formatTodosAsMarkdown(backlog, "Project backlog")
+                    : formatTodosAsMarkdown(readAgentTodos(sessionId), "Todo list");
+                if (!target) {
+                    return markdown;
+                }
+                try {
+                    if (target === "pr") {
+                        await writeChecklistToPullRequest(markdown, prNumber);
+                        return `Wrote the todo checklist to ${prNumber ? `PR #${prNumber}` : "the current branch's PR"}`;
+                    }
+                    const filePath = isAbsolute(target) ? target : join(dA(), target);
+                    writeFileSync(filePath, markdown, "utf8");
+                    return `Wrote the todo checklist to ${filePath}`;
+                } catch (error) {
+                    return `Error exporting todos: ${error.message}`;
+                }
+            }
+            case "sync": {
+                const fromBacklog = rest.includes("--backlog");
+                const todos = fromBacklog ? backlog : readAgentTodos(sessionId);
+                if (todos.length === 0) {
+                    return "No todos to sync";
+                }
+                try {
+                    const summary = await syncTodosToIssues(todos, { scope: fromBacklog ? "backlog" : sessionId });
+                    const counts = ["created", "updated", "closed", "reopened"]
+                        .map((key) => `${summary[key].length} ${key}`)
+                        .join(", ");
+                    const links = summary.created.map(({ todo, url }) => `  + ${todo.content}: ${url}`);
+                    return [`Synced ${todos.length} todos with GitHub issues: ${counts}`, ...links].join("\n");
+                } catch (error) {
+                    return `Error syncing todos with GitHub issues: ${error.message}`;
+                }
+            }
+            default:
+                return usage;
+        }
+    },
+    userFacingName() {
+        return "todos";
+    }
+};
+
+// sandboxコマンド定義
+const sandboxCommand = {
+    type: "local",
+    name: "sandbox",
+    description: "Show sandbox profiles, or which profile a Bash command would run under and why",
+    isEnabled: () => true,
+    isHidden: false,
+    argumentHint: "[<command>]",
+    async call(args) {
+        const command = args.trim();
+        try {
+            return command ? formatSandboxExplanation(command) : formatSandboxProfiles();
+        } catch (error) {
+            return `Error: ${error.message}`;
+        }
+    },
+    userFacingName() {
+        return "sandbox";
+    }
+};
+
+// agentsコマンド定義
+// 並列エージェント（parallelTasksIsolation: worktree）の変更を確認・マージ・破棄する
+const agentsCommand = {
+    type: "local",
+    name: "agents",
+    description: "Review, merge or discard the changes of parallel Task agents run in git worktrees",
+    isEnabled: () => true,
+    isHidden: false,
+    argumentHint: "[diff <run> <n> | merge <run> <n>[,<n>...] | discard <run>]",
+    async call(args) {
+        const [subcommand = "list", runId, agentNumbers = ""] = args.trim().split(/\s+/).filter(Boolean);
+        const usage = `Usage: /agents ${agentsCommand.argumentHint}`;
+
+        try {
+            switch (subcommand) {
+                case "list": {
+                    const runs = listAgentRuns(await fcA(dA()));
+                    return runs.length > 0
+                        ? runs.map(formatAgentRun).join("\n\n")
+                        : "No parallel agent runs. Set parallelTasksIsolation to worktree and parallelTasksCount above 1 to run agents in git worktrees.";
+                }
+                case "diff": {
+                    if (!runId || !agentNumbers) {
+                        return usage;
+                    }
+                    return (await getAgentDiff(runId, agentNumbers)) || `Agent ${agentNumbers} made no changes`;
+                }
+                case "merge": {
+                    const numbers = agentNumbers.split(",").filter(Boolean);
+                    if (!runId || numbers.length === 0) {
+                        return usage;
+                    }
+                    const results = await mergeAgentChanges(runId, numbers);
+                    const lines = results.map(({ number, status, conflicts, error }) => {
+                        switch (status) {
+                            case "applied":
+                                return `Agent ${number}: applied`;
+                            case "empty":
+                                return `Agent ${number}: no changes`;
+                            case "conflicts":
+                                return `Agent ${number}: applied with conflicts in:\n${conflicts.map((file) => `  ${file}`).join("\n")}`;
+                            default:
+                                return `Agent ${number}: failed to apply: ${error}`;
+                        }
+                    });
+                    if (results.some(({ status }) => status === "conflicts")) {
+                        lines.push("", `Resolve the conflict markers, then run /agents discard ${runId} to remove the worktrees. Binary files and files the agent deleted keep their local version; take the agent's from its claude/agent-${runId}-<n> branch before discarding.`);
+                    } else {
+                        lines.push("", `Changes are in the working tree, not committed. Run /agents discard ${runId} to remove the worktrees.`);
+                    }
+                    return lines.join("\n");
+                }
+                case "discard": {
+                    if (!runId) {
+                        return usage;
+                    }
+                    const run = await discardAgentRun(runId);
+                    return `Removed ${run.agents.length} worktrees and branches of run ${runId}`;
+                }
+                default:
+                    return usage;
+            }
+        } catch (error) {
+            return `Error: ${error.message}`;
+        }
+    },
+    userFacingName() {
+        return "agents";
+    }
+};
+
 module.exports = {
     // 定数
     DOCUMENTATION_WARNING,
@@ -394,5 +952,13 @@ module.exports = {
     
     // コマンド
     costCommand,
-    configCommand
+    configCommand,
+    permissionsCommand,
+    searchCommand,
+    forkCommand,
+    branchesCommand,
+    webcacheCommand,
+    todosCommand,
+    sandboxCommand,
+    agentsCommand
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 // Vim editor mode and advanced input processing from cli.js (lines 2538-2547)
 
 import { basename } from "path";
+import { collectHookResults, executeUserPromptSubmitHooks, RO2 } from "./hook-system.js";
 
 // Vim editor mode implementation
 export function createVimEditor(config) {
@@ -657,14 +658,19 @@ export async function processUserInput(input, mode, setToolJSX, toolUseContext,
     const commandType = isMCP ? "mcp" : isCustom ? "custom" : commandName;
     
     if (!yg2(commandName, toolUseContext.options.commands)) {
+      const promptHooks = await runUserPromptSubmitHooks(input, toolUseContext);
+      if (promptHooks.blockedMessage) {
+        return { messages: [promptHooks.blockedMessage], shouldQuery: false };
+      }
+      
       E1("tengu_input_prompt", {});
       VE("user_prompt", {
-        prompt_length: String(input.length),
-        prompt: F0A(input)
+        prompt_length: String(promptHooks.prompt.length),
+        prompt: F0A(promptHooks.prompt)
       });
       
       return {
-        messages: [W2({ content: input }), ...contextMessages],
+        messages: [W2({ content: promptHooks.prompt }), ...contextMessages, ...promptHooks.contextMessages],
         shouldQuery: true
       };
     }
@@ -705,25 +711,54 @@ export async function processUserInput(input, mode, setToolJSX, toolUseContext,
   }
   
   // Regular prompt input
+  const promptHooks = await runUserPromptSubmitHooks(input, toolUseContext);
+  if (promptHooks.blockedMessage) {
+    return { messages: [promptHooks.blockedMessage], shouldQuery: false };
+  }
+  
+  const prompt = promptHooks.prompt;
   E1("tengu_input_prompt", {});
   VE("user_prompt", {
-    prompt_length: String(input.length),
-    prompt: F0A(input)
+    prompt_length: String(prompt.length),
+    prompt: F0A(prompt)
   });
   
   if (images.length > 0) {
     return {
-      messages: [W2({ content: [...images, { type: "text", text: input }] }), ...contextMessages],
+      messages: [W2({ content: [...images, { type: "text", text: prompt }] }), ...contextMessages, ...promptHooks.contextMessages],
       shouldQuery: true
     };
   }
   
   return {
-    messages: [W2({ content: input }), ...contextMessages],
+    messages: [W2({ content: prompt }), ...contextMessages, ...promptHooks.contextMessages],
     shouldQuery: true
   };
 }
 
+// Run UserPromptSubmit hooks, which may block the prompt, rewrite it or add context
+async function runUserPromptSubmitHooks(input, toolUseContext) {
+  const results = await collectHookResults(
+    executeUserPromptSubmitHooks(input, toolUseContext.abortController?.signal)
+  );
+  
+  if (results.blockingErrors.length > 0) {
+    return { blockedMessage: MD(RO2("UserPromptSubmit", results.blockingErrors), "warning") };
+  }
+  
+  if (results.preventContinuation) {
+    return { blockedMessage: MD(results.stopReason ?? "Prompt stopped by UserPromptSubmit hook", "warning") };
+  }
+  
+  return {
+    prompt: results.updatedPrompt ?? input,
+    contextMessages: results.additionalContexts.map(context => W2({
+      content: `<user-prompt-submit-hook>${context}</user-prompt-submit-hook>`,
+      isMeta: true
+    }))
+  };
+}
+
 // Check if Vim mode is enabled
 export function isVimModeEnabled() {
   return WA().editorMode === "vim";
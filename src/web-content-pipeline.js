@@ -0,0 +1,583 @@
+// WebFetch content pipeline: fetch → robots.txt check → on-disk cache → format handler
+// Responses are cached under ~/.claude/web-cache with a configurable TTL and size cap.
+// Stale entries are revalidated with ETag / Last-Modified, and served as-is when the
+// network is unreachable so repeated doc lookups keep working offline.
+
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { homedir } from "os";
+import { join } from "path";
+import { inflateSync } from "zlib";
+import { TurndownService } from "./html-markdown-converter.js";
+import { WebPolicyError, enforceWebPolicy, loadWebPolicy } from "./web-domain-policy.js";
+
+const DEFAULT_CACHE_TTL_MINUTES = 15;
+const DEFAULT_CACHE_MAX_SIZE_MB = 100;
+const ROBOTS_TXT_TTL_MINUTES = 24 * 60;
+const MAX_CONTENT_BYTES = 10 * 1024 * 1024;
+const MAX_REDIRECTS = 10;
+const ROBOTS_USER_AGENT = "Claude-User";
+const USER_AGENT = `${ROBOTS_USER_AGENT} (claude-code; +https://support.anthropic.com/)`;
+
+// Get the web cache directory
+export function getWebCacheDirectory() {
+  return join(homedir(), ".claude", "web-cache");
+}
+
+// WebFetch settings with defaults, from the "webFetch" key in settings.json
+export function getWebFetchSettings() {
+  const settings = kQ().webFetch ?? {};
+  return {
+    cacheEnabled: settings.cache !== false,
+    cacheTtlMinutes: settings.cacheTtlMinutes ?? DEFAULT_CACHE_TTL_MINUTES,
+    cacheMaxSizeMB: settings.cacheMaxSizeMB ?? DEFAULT_CACHE_MAX_SIZE_MB,
+    respectRobotsTxt: settings.respectRobotsTxt !== false
+  };
+}
+
+function getCacheKey(url) {
+  return createHash("sha256").update(url).digest("hex").slice(0, 32);
+}
+
+function getEntryPaths(key) {
+  const directory = getWebCacheDirectory();
+  return {
+    metadataPath: join(directory, `${key}.json`),
+    bodyPath: join(directory, `${key}.body`)
+  };
+}
+
+function readCacheEntry(url) {
+  const { metadataPath, bodyPath } = getEntryPaths(getCacheKey(url));
+  if (!existsSync(metadataPath) || !existsSync(bodyPath)) {
+    return null;
+  }
+  try {
+    const metadata = JSON.parse(readFileSync(metadataPath, "utf8"));
+    return { metadata, body: readFileSync(bodyPath) };
+  } catch (error) {
+    h1(error instanceof Error ? error : new Error(String(error)));
+    return null;
+  }
+}
+
+function writeCacheEntry(url, metadata, body) {
+  const key = getCacheKey(url);
+  const { metadataPath, bodyPath } = getEntryPaths(key);
+  mkdirSync(getWebCacheDirectory(), { recursive: true });
+  writeFileSync(bodyPath, body);
+  writeFileSync(metadataPath, JSON.stringify({ ...metadata, key, size: body.length }, null, 2), "utf8");
+}
+
+function touchCacheEntry(url, metadata, updates = {}) {
+  const { metadataPath } = getEntryPaths(getCacheKey(url));
+  writeFileSync(metadataPath, JSON.stringify({
+    ...metadata,
+    ...updates,
+    lastAccessedAt: new Date().toISOString()
+  }, null, 2), "utf8");
+}
+
+// List cache entries, most recently used first
+export function listWebCacheEntries() {
+  const directory = getWebCacheDirectory();
+  if (!existsSync(directory)) {
+    return [];
+  }
+
+  return readdirSync(directory)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => {
+      try {
+        return JSON.parse(readFileSync(join(directory, file), "utf8"));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .map((metadata) => ({ ...metadata, expired: Date.parse(metadata.expiresAt) <= Date.now() }))
+    .sort((a, b) => Date.parse(b.lastAccessedAt) - Date.parse(a.lastAccessedAt));
+}
+
+function removeCacheEntry(key) {
+  const { metadataPath, bodyPath } = getEntryPaths(key);
+  rmSync(metadataPath, { force: true });
+  rmSync(bodyPath, { force: true });
+}
+
+// Purge cache entries: all of them, only expired ones, or those whose URL contains a pattern
+export function purgeWebCache({ pattern, expiredOnly = false } = {}) {
+  const removed = listWebCacheEntries().filter((entry) =>
+    (!expiredOnly || entry.expired) && (!pattern || entry.url.includes(pattern)));
+  removed.forEach((entry) => removeCacheEntry(entry.key));
+  return removed;
+}
+
+// Evict least recently used entries until the cache fits its size cap
+function enforceCacheSizeLimit(maxSizeMB) {
+  const maxBytes = maxSizeMB * 1024 * 1024;
+  const entries = listWebCacheEntries();
+  let totalBytes = entries.reduce((total, entry) => total + (entry.size ?? 0), 0);
+
+  while (totalBytes > maxBytes && entries.length > 0) {
+    const entry = entries.pop();
+    removeCacheEntry(entry.key);
+    totalBytes -= entry.size ?? 0;
+    iA(`Evicted ${entry.url} from the web cache`);
+  }
+}
+
+export function getWebCacheStats() {
+  const entries = listWebCacheEntries();
+  return {
+    entries: entries.length,
+    expired: entries.filter((entry) => entry.expired).length,
+    totalBytes: entries.reduce((total, entry) => total + (entry.size ?? 0), 0)
+  };
+}
+
+// Cache-Control: no-store responses are never written to disk
+function isCacheable(headers) {
+  return !/\bno-store\b/i.test(headers.get("cache-control") ?? "");
+}
+
+// Stop reading as soon as the body passes the limit instead of buffering all of it
+async function readLimitedBody(response) {
+  const contentLength = Number(response.headers.get("content-length"));
+  if (contentLength > MAX_CONTENT_BYTES) {
+    await response.body?.cancel();
+    throw new Error(`Content is too large (${contentLength} bytes, limit ${MAX_CONTENT_BYTES} bytes)`);
+  }
+  if (!response.body) {
+    return Buffer.alloc(0);
+  }
+
+  const chunks = [];
+  let size = 0;
+  // Leaving the loop early cancels the stream, which aborts the download
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > MAX_CONTENT_BYTES) {
+      throw new Error(`Content is too large (more than ${MAX_CONTENT_BYTES} bytes)`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+function isSameHost(fromUrl, toUrl) {
+  const stripWww = (hostname) => hostname.replace(/^www\./, "");
+  return stripWww(new URL(fromUrl).hostname) === stripWww(new URL(toUrl).hostname);
+}
+
+// GET a URL following same-host redirects. Cross-host redirects are returned
+// to the caller so the model can decide whether to follow them. checkUrl runs
+// before every hop after the first, so redirects can't escape the domain policy.
+async function fetchFollowingRedirects(url, headers, signal, checkUrl) {
+  let currentUrl = url;
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    if (redirects > 0) {
+      checkUrl?.(currentUrl, redirects);
+    }
+    const response = await fetch(currentUrl, { headers, signal, redirect: "manual" });
+    if (response.status < 300 || response.status >= 400 || response.status === 304) {
+      return { response, finalUrl: currentUrl };
+    }
+
+    const location = response.headers.get("location");
+    if (!location) {
+      return { response, finalUrl: currentUrl };
+    }
+    const redirectUrl = new URL(location, currentUrl).toString();
+    if (!isSameHost(currentUrl, redirectUrl)) {
+      return { redirect: { originalUrl: url, redirectUrl, statusCode: response.status } };
+    }
+    currentUrl = redirectUrl;
+  }
+  throw new Error(`Too many redirects fetching ${url}`);
+}
+
+// Fetch through the cache. Returns { metadata, body, cacheStatus } or { redirect }.
+async function fetchWithCache(url, { ttlMinutes, signal, checkUrl }) {
+  const settings = getWebFetchSettings();
+  const cached = settings.cacheEnabled ? readCacheEntry(url) : null;
+
+  // Freshness uses the current TTL, so lowering it in settings applies to existing entries
+  const validatedAt = Date.parse(cached?.metadata.revalidatedAt ?? cached?.metadata.fetchedAt);
+  if (cached && validatedAt + ttlMinutes * 60 * 1000 > Date.now()) {
+    touchCacheEntry(url, cached.metadata);
+    return { ...cached, cacheStatus: "hit" };
+  }
+
+  const headers = { "User-Agent": USER_AGENT, "Accept": "text/html,application/json,application/pdf,text/*;q=0.9,*/*;q=0.8" };
+  if (cached?.metadata.etag) {
+    headers["If-None-Match"] = cached.metadata.etag;
+  }
+  if (cached?.metadata.lastModified) {
+    headers["If-Modified-Since"] = cached.metadata.lastModified;
+  }
+
+  let result;
+  try {
+    result = await fetchFollowingRedirects(url, headers, signal, checkUrl);
+  } catch (error) {
+    if (cached && !signal?.aborted && !(error instanceof WebPolicyError)) {
+      iA(`Serving stale web cache entry for ${url}: ${error.message}`);
+      return { ...cached, cacheStatus: "stale" };
+    }
+    throw error;
+  }
+  if (result.redirect) {
+    return result;
+  }
+
+  const { response, finalUrl } = result;
+  const now = Date.now();
+  const expiresAt = new Date(now + ttlMinutes * 60 * 1000).toISOString();
+
+  if (response.status === 304 && cached) {
+    touchCacheEntry(url, cached.metadata, { expiresAt, revalidatedAt: new Date(now).toISOString() });
+    return { ...cached, cacheStatus: "revalidated" };
+  }
+
+  const body = await readLimitedBody(response);
+  const metadata = {
+    url,
+    finalUrl,
+    status: response.status,
+    statusText: response.statusText,
+    contentType: response.headers.get("content-type") ?? "",
+    etag: response.headers.get("etag") ?? undefined,
+    lastModified: response.headers.get("last-modified") ?? undefined,
+    fetchedAt: new Date(now).toISOString(),
+    lastAccessedAt: new Date(now).toISOString(),
+    expiresAt
+  };
+
+  if (settings.cacheEnabled && response.ok && isCacheable(response.headers)) {
+    writeCacheEntry(url, metadata, body);
+    enforceCacheSizeLimit(settings.cacheMaxSizeMB);
+  }
+
+  return { metadata, body, cacheStatus: "miss" };
+}
+
+// Parse robots.txt into the rules that apply to our user agent
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) {
+      continue;
+    }
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === "user-agent") {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (current && (field === "allow" || field === "disallow")) {
+      current.rules.push({ allow: field === "allow", path: value });
+    }
+  }
+
+  const ownAgent = ROBOTS_USER_AGENT.toLowerCase();
+  const ownGroups = groups.filter((group) => group.agents.some((agent) => agent !== "*" && ownAgent.startsWith(agent)));
+  const applicable = ownGroups.length > 0 ? ownGroups : groups.filter((group) => group.agents.includes("*"));
+  return applicable.flatMap((group) => group.rules);
+}
+
+function robotsPathToRegex(path) {
+  const pattern = path
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\\\$$/, "$");
+  return new RegExp(`^${pattern}`);
+}
+
+// Longest matching rule wins; Allow wins ties
+export function isAllowedByRobots(rules, pathWithQuery) {
+  let best = null;
+  for (const rule of rules) {
+    if (!rule.path || !robotsPathToRegex(rule.path).test(pathWithQuery)) {
+      continue;
+    }
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+// robots.txt requests go through the same domain policy checks as the page itself
+async function checkRobotsTxt(url, signal, checkUrl) {
+  const { origin, pathname, search } = new URL(url);
+  let robots;
+  try {
+    const robotsUrl = `${origin}/robots.txt`;
+    checkUrl(robotsUrl, 0);
+    robots = await fetchWithCache(robotsUrl, { ttlMinutes: ROBOTS_TXT_TTL_MINUTES, signal, checkUrl });
+  } catch (error) {
+    // An unreachable robots.txt does not block the fetch
+    iA(`Could not read robots.txt for ${origin}: ${error.message}`);
+    return;
+  }
+  if (robots.redirect || robots.metadata.status !== 200) {
+    return;
+  }
+
+  const rules = parseRobotsTxt(robots.body.toString("utf8"));
+  if (!isAllowedByRobots(rules, `${pathname}${search}`)) {
+    throw new Error(`Fetching ${url} is disallowed by ${origin}/robots.txt. Set "webFetch.respectRobotsTxt": false in settings to override.`);
+  }
+}
+
+// Summarize the shape of a JSON value, merging the shapes of array items
+export function summarizeJsonSchema(value, depth = 0) {
+  const indent = "  ".repeat(depth);
+  if (Array.isArray(value)) {
+    if (value.length === 0 || depth >= 4) {
+      return `array (${value.length} items)`;
+    }
+    const sample = value.slice(0, 20);
+    if (sample.every((item) => item && typeof item === "object" && !Array.isArray(item))) {
+      return `array (${value.length} items) of ${summarizeJsonSchema(Object.assign({}, ...sample), depth)}`;
+    }
+    const types = [...new Set(sample.map((item) => item === null ? "null" : Array.isArray(item) ? "array" : typeof item))];
+    return `array (${value.length} items) of ${types.join(" | ")}`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 0 || depth >= 4) {
+      return `object (${keys.length} keys)`;
+    }
+    const fields = keys.map((key) => `${indent}  ${key}: ${summarizeJsonSchema(value[key], depth + 1)}`);
+    return `object {\n${fields.join("\n")}\n${indent}}`;
+  }
+  return value === null ? "null" : typeof value;
+}
+
+function formatJson(text) {
+  const value = JSON.parse(text);
+  return `Schema:\n${summarizeJsonSchema(value)}\n\nContent:\n${JSON.stringify(value, null, 2)}`;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, "&");
+}
+
+function getXmlTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, "i"));
+  return match ? decodeXmlEntities(match[1]).trim() : "";
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// Render an RSS or Atom feed as a markdown list of entries
+function formatFeed(xml) {
+  const isAtom = /<feed[\s>]/i.test(xml);
+  const itemTag = isAtom ? "entry" : "item";
+  const items = xml.match(new RegExp(`<${itemTag}[\\s>][\\s\\S]*?</${itemTag}>`, "gi")) ?? [];
+  const channel = isAtom ? xml : getXmlTag(xml, "channel") || xml;
+  const feedTitle = getXmlTag(channel.replace(new RegExp(`<${itemTag}[\\s>][\\s\\S]*`, "i"), ""), "title");
+
+  const entries = items.map((item) => {
+    const title = getXmlTag(item, "title") || "(untitled)";
+    const link = isAtom
+      ? item.match(/<link[^>]*href="([^"]+)"/i)?.[1] ?? ""
+      : getXmlTag(item, "link");
+    const date = getXmlTag(item, isAtom ? "updated" : "pubDate") || getXmlTag(item, "published");
+    const summary = stripTags(getXmlTag(item, isAtom ? "summary" : "description") || getXmlTag(item, "content"));
+    return [
+      `## ${title}`,
+      link ? `Link: ${link}` : null,
+      date ? `Date: ${date}` : null,
+      summary ? summary.slice(0, 500) : null
+    ].filter(Boolean).join("\n");
+  });
+
+  return [`# ${feedTitle || (isAtom ? "Atom feed" : "RSS feed")}`, `${entries.length} entries`, ...entries].join("\n\n");
+}
+
+function decodePdfString(text) {
+  return text.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (match, escape) => {
+    const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", "(": "(", ")": ")", "\\": "\\" };
+    return escapes[escape] ?? String.fromCharCode(parseInt(escape, 8));
+  });
+}
+
+// Best-effort text extraction from the content streams of a PDF. Text drawn
+// with custom font encodings comes out garbled; that is a known limitation.
+export function extractPdfText(buffer) {
+  const raw = buffer.toString("latin1");
+  const pages = [];
+  const streamPattern = /<<([\s\S]*?)>>\s*stream\r?\n([\s\S]*?)\r?\nendstream/g;
+
+  let match;
+  while ((match = streamPattern.exec(raw)) !== null) {
+    const [, dictionary, data] = match;
+    let content = data;
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        content = inflateSync(Buffer.from(data, "latin1")).toString("latin1");
+      } catch {
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue;
+    }
+
+    const lines = [];
+    for (const block of content.match(/BT[\s\S]*?ET/g) ?? []) {
+      let line = "";
+      const operatorPattern = /\((?:\\.|[^\\)])*\)\s*(?:Tj|'|")|\[((?:\\.|[^\]])*)\]\s*TJ|T\*|-?[\d.]+\s+-?[\d.]+\s+T[dD]/g;
+      let operator;
+      while ((operator = operatorPattern.exec(block)) !== null) {
+        const token = operator[0];
+        if (token.startsWith("(")) {
+          line += decodePdfString(token.slice(1, token.lastIndexOf(")")));
+        } else if (token.startsWith("[")) {
+          line += (operator[1].match(/\((?:\\.|[^\\)])*\)/g) ?? [])
+            .map((part) => decodePdfString(part.slice(1, -1)))
+            .join("");
+        } else if (line) {
+          lines.push(line);
+          line = "";
+        }
+      }
+      if (line) {
+        lines.push(line);
+      }
+    }
+    if (lines.length > 0) {
+      pages.push(lines.join("\n"));
+    }
+  }
+
+  return pages.join("\n\n").trim();
+}
+
+// Pick a handler from the content type, sniffing the body when it is missing or generic
+export function detectContentFormat(contentType, body) {
+  const type = contentType.split(";")[0].trim().toLowerCase();
+  const head = body.subarray(0, 512).toString("utf8").trimStart();
+
+  if (type === "application/pdf" || head.startsWith("%PDF-")) {
+    return "pdf";
+  }
+  if (/(rss|atom)\+xml$/.test(type) || (/xml$/.test(type) && /<(rss|feed)[\s>]/i.test(head))) {
+    return "feed";
+  }
+  if (type === "application/json" || type.endsWith("+json")) {
+    return "json";
+  }
+  if (type === "text/html" || type === "application/xhtml+xml" || /^<(!doctype html|html)/i.test(head)) {
+    return "html";
+  }
+  return "text";
+}
+
+const FORMAT_HANDLERS = {
+  html: (body) => new TurndownService().turndown(body.toString("utf8")),
+  json: (body) => formatJson(body.toString("utf8")),
+  feed: (body) => formatFeed(body.toString("utf8")),
+  pdf: (body) => extractPdfText(body) || "(No extractable text found in PDF)",
+  text: (body) => body.toString("utf8")
+};
+
+// Convert a response body to text for the model with the handler for its format
+export function convertContent(contentType, body) {
+  const format = detectContentFormat(contentType, body);
+  try {
+    return { format, content: FORMAT_HANDLERS[format](body) };
+  } catch (error) {
+    iA(`${format} handler failed, falling back to text: ${error.message}`);
+    return { format: "text", content: body.toString("utf8") };
+  }
+}
+
+// Fetch a URL for WebFetch. Returns either
+// { type: "redirect", originalUrl, redirectUrl, statusCode } or
+// { type: "content", url, finalUrl, status, format, content, bytes, cacheStatus, fetchedAt }
+export async function fetchWebContent(url, { signal } = {}) {
+  const parsedUrl = new URL(url);
+  if (parsedUrl.protocol === "http:") {
+    parsedUrl.protocol = "https:";
+  }
+  const requestUrl = parsedUrl.toString();
+  const settings = getWebFetchSettings();
+
+  const policy = loadWebPolicy();
+  const checkUrl = (hopUrl, hop) => enforceWebPolicy(hopUrl, { tool: "WebFetch", hop, policy });
+  checkUrl(requestUrl, 0);
+
+  if (settings.respectRobotsTxt) {
+    await checkRobotsTxt(requestUrl, signal, checkUrl);
+  }
+
+  const result = await fetchWithCache(requestUrl, { ttlMinutes: settings.cacheTtlMinutes, signal, checkUrl });
+  if (result.redirect) {
+    return { type: "redirect", ...result.redirect };
+  }
+
+  const { metadata, body, cacheStatus } = result;
+  const { format, content } = convertContent(metadata.contentType, body);
+  return {
+    type: "content",
+    url: requestUrl,
+    finalUrl: metadata.finalUrl,
+    status: metadata.status,
+    statusText: metadata.statusText,
+    format,
+    content,
+    bytes: body.length,
+    cacheStatus,
+    fetchedAt: metadata.fetchedAt
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Format cache entries for /webcache
+export function formatWebCacheEntries(entries) {
+  if (entries.length === 0) {
+    return "Web cache is empty";
+  }
+  const stats = getWebCacheStats();
+  const lines = entries.map((entry) => {
+    const state = entry.expired ? "expired" : `expires ${new Date(entry.expiresAt).toLocaleString()}`;
+    return `  ${entry.url}\n    ${formatBytes(entry.size ?? 0)} · fetched ${new Date(entry.fetchedAt).toLocaleString()} · ${state}`;
+  });
+  return [
+    `Web cache: ${stats.entries} entries, ${formatBytes(stats.totalBytes)} (${stats.expired} expired)`,
+    ...lines
+  ].join("\n");
+}
@@ -0,0 +1,185 @@
+// Domain policy for WebFetch and WebSearch, with a local audit log
+// Rules live under "webPolicy" in any settings file:
+//   { "webPolicy": { "allow": ["*.python.org", "docs.github.com/en/*"], "deny": ["example.com/private/*"] } }
+// A rule is a host (optionally "*." for subdomains) followed by an optional path pattern.
+// Deny rules win over allow rules. Once any allow rule exists, URLs that match none
+// are denied. When managed policy settings define an allowlist it is the only one:
+// other settings files can still add deny rules but not allow rules. Every decision
+// is appended to ~/.claude/web-audit.jsonl, or to webPolicy.auditLog from policy or
+// user settings.
+
+import { appendFileSync, mkdirSync } from "fs";
+import { homedir } from "os";
+import { dirname, join } from "path";
+import { matchesDomain, wildcardMatch } from "./url-pattern-matcher.js";
+import { FILE_SETTINGS_SOURCES, SETTINGS_HIERARCHY, ToolPermissionManager, getSourceDisplayName } from "./tool-permissions.js";
+
+export const WEB_POLICY_BEHAVIORS = ["deny", "allow"];
+
+// Only these sources may move the audit log; a repository must not be able to redirect it
+const AUDIT_LOG_SOURCES = ["policySettings", "userSettings"];
+
+export class WebPolicyError extends Error {
+  constructor(message, decision) {
+    super(message);
+    this.name = "WebPolicyError";
+    this.decision = decision;
+  }
+}
+
+// Get the audit log path, overridable with webPolicy.auditLog
+export function getWebAuditLogPath(policy) {
+  return policy?.auditLog ?? join(homedir(), ".claude", "web-audit.jsonl");
+}
+
+// Split "host/path" into its host and path parts; a bare host matches every path
+export function parseDomainRule(rule) {
+  const trimmed = rule.trim().replace(/^[a-z]+:\/\//i, "");
+  const slash = trimmed.indexOf("/");
+  const host = (slash === -1 ? trimmed : trimmed.slice(0, slash)).toLowerCase();
+  const path = slash === -1 ? null : trimmed.slice(slash);
+  return { rule, host, path };
+}
+
+// "*.example.com" also matches example.com itself, as with matchesDomain
+export function matchesDomainRule(url, { host, path }) {
+  if (!matchesDomain(url, [host])) {
+    return false;
+  }
+  if (!path) {
+    return true;
+  }
+  const { pathname, search } = new URL(url);
+  return path.includes("*")
+    ? wildcardMatch(`${pathname}${search}`, path) || wildcardMatch(pathname, path)
+    : pathname === path || pathname.startsWith(path.endsWith("/") ? path : `${path}/`);
+}
+
+// Collect webPolicy rules from every settings file, highest priority source first
+export function loadWebPolicy() {
+  const permissionManager = new ToolPermissionManager();
+  const sources = [...FILE_SETTINGS_SOURCES].sort((a, b) => SETTINGS_HIERARCHY.indexOf(a) - SETTINGS_HIERARCHY.indexOf(b));
+  const rules = [];
+  let auditLog;
+
+  for (const source of sources) {
+    const policy = permissionManager.loadSettings(source)?.webPolicy;
+    if (!policy) {
+      continue;
+    }
+    if (AUDIT_LOG_SOURCES.includes(source)) {
+      auditLog = auditLog ?? policy.auditLog;
+    }
+    for (const behavior of WEB_POLICY_BEHAVIORS) {
+      for (const rule of policy[behavior] ?? []) {
+        rules.push({ ...parseDomainRule(rule), behavior, source });
+      }
+    }
+  }
+
+  // A managed allowlist can only be narrowed by other sources, never widened
+  const managedAllowlist = rules.some((rule) => rule.behavior === "allow" && rule.source === "policySettings");
+  return {
+    rules: managedAllowlist ? rules.filter((rule) => rule.behavior === "deny" || rule.source === "policySettings") : rules,
+    auditLog
+  };
+}
+
+// Decide whether a URL may be fetched. Returns { decision, rule, source, reason }.
+export function evaluateWebPolicy(url, policy = loadWebPolicy()) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { decision: "deny", rule: null, source: null, reason: `Invalid URL: ${url}` };
+  }
+
+  const matching = policy.rules.filter((rule) => matchesDomainRule(parsed.toString(), rule));
+  const deny = matching.find((rule) => rule.behavior === "deny");
+  if (deny) {
+    return { decision: "deny", rule: deny.rule, source: deny.source, reason: `denied by rule "${deny.rule}" in ${getSourceDisplayName(deny.source)}` };
+  }
+
+  const allow = matching.find((rule) => rule.behavior === "allow");
+  if (allow) {
+    return { decision: "allow", rule: allow.rule, source: allow.source, reason: `allowed by rule "${allow.rule}" in ${getSourceDisplayName(allow.source)}` };
+  }
+
+  if (policy.rules.some((rule) => rule.behavior === "allow")) {
+    return { decision: "deny", rule: null, source: null, reason: "not matched by any allow rule in webPolicy" };
+  }
+  return { decision: "allow", rule: null, source: null, reason: "no webPolicy rule matched" };
+}
+
+// Append one decision to the audit log. Audit failures never block a request.
+export function recordWebAudit(entry, policy) {
+  const logPath = getWebAuditLogPath(policy);
+  try {
+    mkdirSync(dirname(logPath), { recursive: true });
+    appendFileSync(logPath, JSON.stringify({
+      timestamp: new Date().toISOString(),
+      sessionId: PB(),
+      cwd: dA(),
+      ...entry
+    }) + "\n", "utf8");
+  } catch (error) {
+    h1(error instanceof Error ? error : new Error(String(error)));
+  }
+}
+
+// Evaluate and audit a URL, throwing when the policy denies it.
+// `hop` is the position in a redirect chain (0 for the requested URL).
+export function enforceWebPolicy(url, { tool, hop = 0, policy = loadWebPolicy() } = {}) {
+  const result = evaluateWebPolicy(url, policy);
+  recordWebAudit({ tool, url, hop, decision: result.decision, rule: result.rule, source: result.source, reason: result.reason }, policy);
+  if (result.decision === "deny") {
+    throw new WebPolicyError(`Access to ${url} is blocked by the web domain policy: ${result.reason}`, result);
+  }
+  return result;
+}
+
+// Host-only rules can be passed to the search API as domain filters. Path rules
+// and allowlist gaps are enforced by filtering the returned links instead.
+export function getSearchDomainFilters(policy, { allowed_domains, blocked_domains }) {
+  const hostsFor = (behavior) => policy.rules
+    .filter((rule) => rule.behavior === behavior && !rule.path)
+    .map((rule) => rule.host.replace(/^\*\./, ""));
+
+  // The search API accepts either an allow list or a block list, not both
+  if (allowed_domains || policy.rules.some((rule) => rule.behavior === "allow")) {
+    const requested = (allowed_domains ?? [])
+      .filter((domain) => evaluateWebPolicy(`https://${domain}/`, policy).decision === "allow");
+    // When none of the requested domains is allowed, search only the policy's own allow hosts
+    const domains = requested.length > 0 ? requested : hostsFor("allow");
+    if (domains.length === 0) {
+      const reason = allowed_domains
+        ? `none of the requested domains (${allowed_domains.join(", ")}) is allowed`
+        : "no domain is allowed for search";
+      throw new WebPolicyError(`Web search is blocked by the web domain policy: ${reason}`, { decision: "deny", reason });
+    }
+    return { allowed_domains: domains, blocked_domains: undefined };
+  }
+
+  const blocked = [...new Set([...(blocked_domains ?? []), ...hostsFor("deny")])];
+  return { allowed_domains: undefined, blocked_domains: blocked.length > 0 ? blocked : undefined };
+}
+
+// Drop search result links the policy denies, auditing each one
+export function filterSearchResults(results, policy) {
+  return results.map((result) => {
+    if (typeof result === "string") {
+      return result;
+    }
+    return {
+      ...result,
+      content: result.content.filter((link) => {
+        const decision = evaluateWebPolicy(link.url, policy);
+        if (decision.decision === "deny") {
+          recordWebAudit({ tool: "WebSearch", url: link.url, hop: 0, ...decision, reason: `search result removed: ${decision.reason}` }, policy);
+          return false;
+        }
+        return true;
+      })
+    };
+  });
+}
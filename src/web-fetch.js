@@ -2,11 +2,15 @@
  * WebFetch Tool and Utilities
  */
 
+const { fetchWebContent } = require('./web-content-pipeline');
+
 // WebFetch tool description
 const webFetchDescription = `
 - Fetches content from a web page given a URL
 - Can fetch HTML, text, or JSON content
-- Includes a self-cleaning 15-minute cache for faster responses when repeatedly accessing the same URL
+- Includes an on-disk cache (15 minutes by default) for faster responses when repeatedly accessing the same URL; cached pages are revalidated and still served when offline
+- Converts HTML to markdown, pretty-prints JSON with a schema summary, extracts text from PDFs and lists RSS/Atom feed entries
+- Respects the site's robots.txt
 - When a URL redirects to a different host, the tool will inform you and provide the redirect URL in a special format. You should then make a new WebFetch request with the redirect URL to fetch the content.
 - Returns the model's response about the content
 - Use this tool when you need to retrieve and analyze web content
@@ -34,5 +38,6 @@ ${additionalInfo}
 
 module.exports = {
     webFetchDescription,
+    fetchWebContent,
     go0
 };
@@ -0,0 +1,232 @@
+// Search providers for WebSearch
+// "hosted" uses the API's server-side web search tool. The local providers run the
+// query themselves and return the same content blocks the hosted search produces,
+// so processWebSearchResults normalizes every backend into one result shape.
+//
+// Configure under "webSearch" in settings.json:
+//   { "webSearch": { "provider": "searxng", "searxng": { "url": "http://search.internal:8080" } } }
+//   { "webSearch": { "provider": "docs-index", "docsIndex": { "path": "/srv/docs/index.json" } } }
+//   { "webSearch": { "provider": "mcp", "mcp": { "server": "internal-search", "tool": "search" } } }
+
+import { randomUUID } from "crypto";
+import { existsSync, readFileSync } from "fs";
+import { tokenize } from "./conversation-search.js";
+import { matchesDomain } from "./url-pattern-matcher.js";
+
+export const HOSTED_SEARCH_PROVIDER = "hosted";
+const DEFAULT_MAX_RESULTS = 10;
+const SNIPPET_LENGTH = 300;
+
+function truncateSnippet(text) {
+  const singleLine = String(text ?? "").replace(/\s+/g, " ").trim();
+  return singleLine.length > SNIPPET_LENGTH ? `${singleLine.slice(0, SNIPPET_LENGTH - 1)}…` : singleLine;
+}
+
+// SearxNG-style JSON search API: GET <url>/search?q=...&format=json
+const searxngProvider = {
+  name: "searxng",
+
+  validateConfig(config) {
+    if (!config?.url) {
+      return "webSearch.searxng.url is required for the searxng provider";
+    }
+    return null;
+  },
+
+  async search(query, { config, signal }) {
+    const searchUrl = new URL("search", config.url.endsWith("/") ? config.url : `${config.url}/`);
+    searchUrl.searchParams.set("q", query);
+    searchUrl.searchParams.set("format", "json");
+    if (config.engines) {
+      searchUrl.searchParams.set("engines", [].concat(config.engines).join(","));
+    }
+    if (config.categories) {
+      searchUrl.searchParams.set("categories", [].concat(config.categories).join(","));
+    }
+
+    const response = await fetch(searchUrl, { signal, headers: { Accept: "application/json", ...config.headers } });
+    if (!response.ok) {
+      throw new Error(`Search backend returned ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    return (data.results ?? []).map((result) => ({
+      title: result.title ?? result.url,
+      url: result.url,
+      snippet: result.content ?? result.snippet
+    }));
+  }
+};
+
+// A local JSON (array) or JSONL file of { title, url, content } documents,
+// ranked by how often the query terms occur
+const docsIndexProvider = {
+  name: "docs-index",
+
+  validateConfig(config) {
+    if (!config?.path) {
+      return "webSearch.docsIndex.path is required for the docs-index provider";
+    }
+    if (!existsSync(config.path)) {
+      return `Docs index not found: ${config.path}`;
+    }
+    return null;
+  },
+
+  async search(query, { config }) {
+    const text = readFileSync(config.path, "utf8");
+    const documents = text.trimStart().startsWith("[")
+      ? JSON.parse(text)
+      : text.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+
+    const queryTerms = [...new Set(tokenize(query))];
+    return documents
+      .map((document) => {
+        const titleTerms = tokenize(document.title ?? "");
+        const bodyTerms = tokenize(document.content ?? "");
+        const score = queryTerms.reduce((total, term) =>
+          total + titleTerms.filter((t) => t === term).length * 3 + bodyTerms.filter((t) => t === term).length, 0);
+        const matchedAll = queryTerms.every((term) => titleTerms.includes(term) || bodyTerms.includes(term));
+        return { document, score: matchedAll ? score : 0 };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(({ document }) => ({
+        title: document.title ?? document.url,
+        url: document.url,
+        snippet: document.content
+      }));
+  }
+};
+
+// Parse an MCP tool result: a JSON array, { results: [...] }, or plain text with URLs
+function parseMcpSearchResult(result) {
+  const text = (result.content ?? [])
+    .filter((item) => item.type === "text")
+    .map((item) => item.text)
+    .join("\n");
+
+  try {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : data.results ?? [];
+    return items.map((item) => ({
+      title: item.title ?? item.url,
+      url: item.url ?? item.link,
+      snippet: item.snippet ?? item.content ?? item.description
+    }));
+  } catch {
+    return text.split("\n")
+      .map((line) => ({ line, url: line.match(/https?:\/\/\S+/)?.[0] }))
+      .filter(({ url }) => url)
+      .map(({ line, url }) => ({ title: line.replace(url, "").replace(/[\s\-–:|]+$/, "").trim() || url, url }));
+  }
+}
+
+// Calls a search tool on a connected MCP server with { query }
+const mcpProvider = {
+  name: "mcp",
+
+  validateConfig(config) {
+    if (!config?.server || !config?.tool) {
+      return "webSearch.mcp.server and webSearch.mcp.tool are required for the mcp provider";
+    }
+    return null;
+  },
+
+  async search(query, { config, mcpClients = [] }) {
+    const client = mcpClients.find((candidate) => candidate.name === config.server);
+    if (!client) {
+      throw new Error(`Server "${config.server}" not found. Available servers: ${mcpClients.map((candidate) => candidate.name).join(", ") || "none"}`);
+    }
+    if (client.type !== "connected") {
+      throw new Error(`Server "${config.server}" is not connected`);
+    }
+
+    const result = await client.client.request({
+      method: "tools/call",
+      params: { name: config.tool, arguments: { query, ...config.arguments } }
+    });
+    if (result.isError) {
+      throw new Error(`Search tool ${config.tool} failed: ${parseMcpSearchResult(result).map((item) => item.title).join(" ") || "unknown error"}`);
+    }
+    return parseMcpSearchResult(result);
+  }
+};
+
+const SEARCH_PROVIDERS = {
+  searxng: { provider: searxngProvider, configKey: "searxng" },
+  "docs-index": { provider: docsIndexProvider, configKey: "docsIndex" },
+  mcp: { provider: mcpProvider, configKey: "mcp" }
+};
+
+export const SEARCH_PROVIDER_NAMES = [HOSTED_SEARCH_PROVIDER, ...Object.keys(SEARCH_PROVIDERS)];
+
+// Resolve the configured provider. Returns { name, provider, config, maxResults }
+// where provider is null for the hosted search.
+export function getWebSearchProvider() {
+  const settings = kQ().webSearch ?? {};
+  const name = settings.provider ?? HOSTED_SEARCH_PROVIDER;
+  const maxResults = settings.maxResults ?? DEFAULT_MAX_RESULTS;
+
+  if (name === HOSTED_SEARCH_PROVIDER) {
+    return { name, provider: null, config: null, maxResults };
+  }
+  const entry = SEARCH_PROVIDERS[name];
+  if (!entry) {
+    throw new Error(`Unknown webSearch.provider "${name}". Expected one of: ${SEARCH_PROVIDER_NAMES.join(", ")}`);
+  }
+
+  const config = settings[entry.configKey] ?? {};
+  const configError = entry.provider.validateConfig(config);
+  if (configError) {
+    throw new Error(configError);
+  }
+  return { name, provider: entry.provider, config, maxResults };
+}
+
+// The API applies domain filters server-side; local providers filter here instead
+function applyDomainFilters(results, { allowed_domains, blocked_domains }) {
+  return results.filter((result) => {
+    if (!result.url) {
+      return false;
+    }
+    if (allowed_domains?.length && !matchesDomain(result.url, allowed_domains.map((domain) => `*.${domain.replace(/^\*\./, "")}`))) {
+      return false;
+    }
+    return !blocked_domains?.length || !matchesDomain(result.url, blocked_domains.map((domain) => `*.${domain.replace(/^\*\./, "")}`));
+  });
+}
+
+// Run a local provider and return content blocks shaped like the hosted search
+// response: a server_tool_use, its web_search_tool_result, and a text block with snippets
+export async function runLocalWebSearch({ provider, config, maxResults }, input, { signal, mcpClients }) {
+  const toolUseId = `srvtoolu_local_${randomUUID().replace(/-/g, "")}`;
+  const blocks = [{ type: "server_tool_use", id: toolUseId, name: "web_search", input: { query: input.query } }];
+
+  let results;
+  try {
+    results = applyDomainFilters(await provider.search(input.query, { config, signal, mcpClients }), input)
+      .slice(0, maxResults);
+  } catch (error) {
+    h1(error instanceof Error ? error : new Error(String(error)));
+    blocks.push({
+      type: "web_search_tool_result",
+      tool_use_id: toolUseId,
+      content: { type: "web_search_tool_result_error", error_code: `${provider.name}: ${error.message}` }
+    });
+    return blocks;
+  }
+
+  blocks.push({
+    type: "web_search_tool_result",
+    tool_use_id: toolUseId,
+    content: results.map((result) => ({ type: "web_search_result", title: result.title, url: result.url }))
+  });
+
+  const snippets = results
+    .filter((result) => result.snippet)
+    .map((result) => `- ${result.title}: ${truncateSnippet(result.snippet)}`);
+  if (snippets.length > 0) {
+    blocks.push({ type: "text", text: `Search results from ${provider.name}:\n${snippets.join("\n")}` });
+  }
+  return blocks;
+}
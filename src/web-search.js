@@ -1,6 +1,8 @@
 // Web search and SearchTool (grep) implementation from cli.js (lines 2508-2517, 1977-1986, 1967-1976)
 
 import { C2A, zM6, X2A } from './search-tool-utils.js';
+import { WebPolicyError, filterSearchResults, getSearchDomainFilters, loadWebPolicy, recordWebAudit } from './web-domain-policy.js';
+import { getWebSearchProvider, runLocalWebSearch } from './web-search-providers.js';
 
 // Web search tool description
 const webSearchDescription = `
@@ -120,7 +122,15 @@ export const webSearchTool = {
   },
   
   isEnabled() {
-    return A7() === "firstParty";
+    if (A7() === "firstParty") {
+      return true;
+    }
+    // Local search providers work with any API provider, including air-gapped setups
+    try {
+      return getWebSearchProvider().provider !== null;
+    } catch {
+      return false;
+    }
   },
   
   inputSchema: webSearchInputSchema,
@@ -261,7 +271,57 @@ export const webSearchTool = {
       content: "Perform a web search for the query: " + query
     });
     
-    const toolConfig = createWebSearchTool(input);
+    // Organization domain policy narrows the per-call domain filters
+    const policy = loadWebPolicy();
+    let domainFilters;
+    try {
+      domainFilters = getSearchDomainFilters(policy, input);
+    } catch (error) {
+      if (error instanceof WebPolicyError) {
+        recordWebAudit({ tool: "WebSearch", query, decision: "deny", reason: error.decision.reason }, policy);
+      }
+      throw error;
+    }
+    recordWebAudit({
+      tool: "WebSearch",
+      query,
+      decision: "allow",
+      allowedDomains: domainFilters.allowed_domains,
+      blockedDomains: domainFilters.blocked_domains
+    }, policy);
+    
+    const searchProvider = getWebSearchProvider();
+    if (searchProvider.provider) {
+      yield {
+        type: "progress",
+        toolUseID: "search-progress-1",
+        data: { type: "query_update", query }
+      };
+      
+      const blocks = await runLocalWebSearch(searchProvider, { ...input, ...domainFilters }, {
+        signal: context.abortController.signal,
+        mcpClients: context.options.mcpClients
+      });
+      const resultBlock = blocks.find(block => block.type === "web_search_tool_result");
+      yield {
+        type: "progress",
+        toolUseID: resultBlock.tool_use_id,
+        data: {
+          type: "search_results_received",
+          resultCount: Array.isArray(resultBlock.content) ? resultBlock.content.length : 0,
+          query
+        }
+      };
+      
+      const searchResults = processWebSearchResults(blocks, query, (performance.now() - startTime) / 1000);
+      yield {
+        type: "result",
+        data: { ...searchResults, results: filterSearchResults(searchResults.results, policy) }
+      };
+      return;
+    }
+    
+    const toolConfig = createWebSearchTool({ ...input, ...domainFilters });
     
     const stream = Xc(
       [searchMessage],
@@ -357,10 +417,11 @@ export const webSearchTool = {
       .flatMap(event => event.message.content);
     
     const durationSeconds = (performance.now() - startTime) / 1000;
+    const searchResults = processWebSearchResults(assistantMessages, query, durationSeconds);
     
     yield {
       type: "result",
-      data: processWebSearchResults(assistantMessages, query, durationSeconds)
+      data: { ...searchResults, results: filterSearchResults(searchResults.results, policy) }
     };
   },
   
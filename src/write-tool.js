@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { checkpointManager } = require('./tools-checkpoint');
 
 /**
  * Write toolの使用指示
@@ -169,7 +170,7 @@ const SC = {
     
     async* call(params, context) {
         const { file_path, content } = params;
-        const { readFileState } = context;
+        const { readFileState, abortController } = context;
         
         const resolvedPath = path.resolve(file_path);
         const dirPath = path.dirname(resolvedPath);
@@ -178,6 +179,9 @@ const SC = {
         const encoding = exists ? 'utf-8' : 'utf-8';
         const currentContent = exists ? fs.readFileSync(resolvedPath, { encoding }) : null;
         
+        // 書き込み前に自動チェックポイントを作成
+        await checkpointManager.createAutoCheckpoint("Write", resolvedPath, { turn: abortController });
+        
         // ディレクトリを作成
         fs.mkdirSync(dirPath, { recursive: true });
         